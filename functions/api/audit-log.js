@@ -0,0 +1,60 @@
+// ---------------------------------------------------
+// 文件: /functions/api/audit-log.js
+// 作用: 超级管理员查看审计日志 (见 audit.js)
+// GET ?action=&actorId=&targetType=&targetId=&from=&to=&limit=&cursor=  -> { entries, nextCursor, actions }
+// GET ...&format=csv                                                  -> 按相同筛选导出 CSV (最多 MAX_AUDIT_EXPORT_ROWS 行)
+// 日志只能追加, 没有修改或删除的接口
+// ---------------------------------------------------
+
+import { AUDIT_ACTIONS, MAX_AUDIT_EXPORT_ROWS, buildAuditCsv, listAuditEntries, parseAuditFilters } from './audit.js';
+import { validateSuperAdmin } from './auth.js';
+
+const EXPORT_BATCH_SIZE = 200;
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    try {
+        await validateSuperAdmin(request, env);
+        const searchParams = new URL(request.url).searchParams;
+        const filters = parseAuditFilters(searchParams);
+
+        if (searchParams.get('format') === 'csv') {
+            const entries = [];
+            let cursor = null;
+            do {
+                const page = await listAuditEntries(env.DB, {
+                    ...filters,
+                    limit: Math.min(EXPORT_BATCH_SIZE, MAX_AUDIT_EXPORT_ROWS - entries.length),
+                    cursor
+                });
+                entries.push(...page.entries);
+                cursor = page.nextCursor;
+            } while (cursor && entries.length < MAX_AUDIT_EXPORT_ROWS);
+            const date = new Date().toISOString().slice(0, 10);
+            return new Response(buildAuditCsv(entries), {
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="pistacho-audit-${date}.csv"`,
+                    'Cache-Control': 'no-store',
+                    // 超出上限时提示调用方缩小时间范围
+                    'X-Audit-Truncated': cursor ? 'true' : 'false'
+                }
+            });
+        }
+
+        const page = await listAuditEntries(env.DB, filters);
+        return jsonResponse({ ...page, actions: AUDIT_ACTIONS });
+    } catch (e) {
+        console.error('[audit-log API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        else if (e.message.startsWith('Invalid action') || e.message.startsWith('Invalid cursor') || e.message.endsWith('date.')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
@@ -0,0 +1,226 @@
+// Utility functions for the audit log of privileged actions.
+// Every privileged change (certify / pin, role and capability changes, comment mutes, config profiles, Instagram
+// settings and publishes, and edits, deletes, trash restores and purges of other members' ratings) appends one row to `audit_log` with the
+// actor, the action, the target, JSON snapshots of the target before and after, the client IP and the time.
+// The table is append-only: triggers abort any UPDATE or DELETE, so entries cannot be changed through the API.
+// Callers that change data with a single statement add prepareAuditEntry() to the same batch; the others call
+// recordAuditEntry() after the change succeeded. Super admins read the log through /api/audit-log.
+
+import { getClientIp } from './limits.js';
+
+export const AUDIT_ACTIONS = [
+    'rating.certify',
+    'rating.uncertify',
+    'rating.pin',
+    'rating.unpin',
+    'rating.admin_edit',
+    'rating.admin_delete',
+    'rating.admin_restore',
+    'rating.admin_purge',
+    'user.role_change',
+    'role.capabilities_save',
+    'role.delete',
+    'comment.mute',
+    'comment.unmute',
+    'config.save',
+    'config.delete',
+    'instagram.config',
+    'instagram.publish'
+];
+
+export const DEFAULT_AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+export const MAX_AUDIT_EXPORT_ROWS = 10000;
+// 配置方案等快照可能很大, 超过时只保留截断标记
+const MAX_SNAPSHOT_LENGTH = 64 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let auditTablesEnsured = false;
+
+export async function ensureAuditTables(db) {
+    if (auditTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS audit_log (
+        id TEXT PRIMARY KEY,
+        actorId TEXT,
+        actorName TEXT,
+        actorRole TEXT,
+        action TEXT NOT NULL,
+        targetType TEXT NOT NULL,
+        targetId TEXT,
+        beforeData TEXT,
+        afterData TEXT,
+        ip TEXT,
+        createdAt TEXT NOT NULL
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_audit_log_createdAt ON audit_log(createdAt)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actorId, createdAt)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(targetType, targetId)').run();
+    await db.prepare(`CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`).run();
+    await db.prepare(`CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`).run();
+    auditTablesEnsured = true;
+}
+
+function serializeSnapshot(value) {
+    if (value === undefined || value === null) return null;
+    const text = JSON.stringify(value);
+    if (text.length <= MAX_SNAPSHOT_LENGTH) return text;
+    return JSON.stringify({ truncated: true, length: text.length, preview: text.slice(0, 1000) });
+}
+
+function parseSnapshot(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * 生成一条审计记录的 INSERT (调用前需要 ensureAuditTables), 可以和业务修改放进同一个 batch
+ * @param {{actor: object, action: string, targetType: string, targetId?: string, before?: any, after?: any, request?: Request}} entry
+ */
+export function prepareAuditEntry(db, { actor, action, targetType, targetId = null, before = null, after = null, request = null }) {
+    if (!AUDIT_ACTIONS.includes(action)) throw new Error(`Unknown audit action: ${action}`);
+    return db.prepare(`
+        INSERT INTO audit_log (id, actorId, actorName, actorRole, action, targetType, targetId, beforeData, afterData, ip, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        crypto.randomUUID(),
+        actor?.sub ?? null,
+        actor ? (actor.nickname || actor.name || actor.email || null) : null,
+        actor?.db_role ?? null,
+        action,
+        targetType,
+        targetId === null || targetId === undefined ? null : String(targetId),
+        serializeSnapshot(before),
+        serializeSnapshot(after),
+        request ? getClientIp(request) : null,
+        new Date().toISOString()
+    );
+}
+
+export async function recordAuditEntry(db, entry) {
+    await ensureAuditTables(db);
+    await prepareAuditEntry(db, entry).run();
+}
+
+// 评分的审计快照只保留主要字段, fullData 中的评分明细见 rating_revisions
+export function snapshotRating(row) {
+    if (!row) return null;
+    return {
+        userId: row.userId ?? null,
+        title: row.title ?? null,
+        cigarName: row.cigarName ?? null,
+        cigarSize: row.cigarSize ?? null,
+        cigarOrigin: row.cigarOrigin ?? null,
+        normalizedScore: row.normalizedScore ?? null,
+        grade: row.finalGrade_grade ?? null,
+        cigarReview: row.cigarReview ?? null,
+        isCertified: !!row.isCertified,
+        isPinned: !!row.isPinned
+    };
+}
+
+function toAuditEntry(row) {
+    return {
+        id: row.id,
+        actorId: row.actorId,
+        actorName: row.actorName,
+        actorRole: row.actorRole,
+        action: row.action,
+        targetType: row.targetType,
+        targetId: row.targetId,
+        before: parseSnapshot(row.beforeData),
+        after: parseSnapshot(row.afterData),
+        ip: row.ip,
+        createdAt: row.createdAt
+    };
+}
+
+/**
+ * 校验查看器的筛选参数: action (可多个, 逗号分隔), actorId, targetType, targetId, from / to (ISO 日期)
+ * to 包含当时的记录; 只有日期 (YYYY-MM-DD) 时包含当天整天。结果中的 before 是不包含的上界。
+ */
+export function parseAuditFilters(searchParams) {
+    const actions = searchParams.getAll('action').flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+    const unknown = actions.find(action => !AUDIT_ACTIONS.includes(action));
+    if (unknown) throw new Error(`Invalid action "${unknown}", expected one of: ${AUDIT_ACTIONS.join(', ')}.`);
+    const readDate = name => {
+        const value = searchParams.get(name);
+        if (!value) return null;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date.`);
+        return date.toISOString();
+    };
+    const to = readDate('to');
+    const dateOnlyTo = /^\d{4}-\d{2}-\d{2}$/.test(searchParams.get('to') || '');
+    const parsedLimit = Number.parseInt(searchParams.get('limit'), 10);
+    return {
+        actions,
+        actorId: searchParams.get('actorId') || null,
+        targetType: searchParams.get('targetType') || null,
+        targetId: searchParams.get('targetId') || null,
+        from: readDate('from'),
+        before: to ? new Date(new Date(to).getTime() + (dateOnlyTo ? DAY_MS : 1)).toISOString() : null,
+        limit: Number.isInteger(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, MAX_AUDIT_PAGE_SIZE) : DEFAULT_AUDIT_PAGE_SIZE,
+        cursor: searchParams.get('cursor') || null
+    };
+}
+
+/**
+ * 按时间倒序分页; cursor 是上一页最后一条的 "createdAt|id"
+ * @returns {Promise<{entries: object[], nextCursor: string|null}>}
+ */
+export async function listAuditEntries(db, { actions = [], actorId = null, targetType = null, targetId = null, from = null, before = null, limit = DEFAULT_AUDIT_PAGE_SIZE, cursor = null } = {}) {
+    await ensureAuditTables(db);
+    const clauses = [];
+    const bindings = [];
+    if (actions.length > 0) {
+        clauses.push(`action IN (${actions.map(() => '?').join(', ')})`);
+        bindings.push(...actions);
+    }
+    if (actorId) { clauses.push('actorId = ?'); bindings.push(actorId); }
+    if (targetType) { clauses.push('targetType = ?'); bindings.push(targetType); }
+    if (targetId) { clauses.push('targetId = ?'); bindings.push(targetId); }
+    if (from) { clauses.push('createdAt >= ?'); bindings.push(from); }
+    if (before) { clauses.push('createdAt < ?'); bindings.push(before); }
+    if (cursor) {
+        const separator = cursor.lastIndexOf('|');
+        if (separator <= 0) throw new Error('Invalid cursor.');
+        const createdAt = cursor.slice(0, separator);
+        const id = cursor.slice(separator + 1);
+        clauses.push('(createdAt < ? OR (createdAt = ? AND id < ?))');
+        bindings.push(createdAt, createdAt, id);
+    }
+    const { results } = await db.prepare(`
+        SELECT * FROM audit_log
+        ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
+        ORDER BY createdAt DESC, id DESC
+        LIMIT ?
+    `).bind(...bindings, limit + 1).all();
+    const rows = results || [];
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+        entries: page.map(toAuditEntry),
+        nextCursor: rows.length > limit && last ? `${last.createdAt}|${last.id}` : null
+    };
+}
+
+// 以 = + - @ 开头的单元格在表格软件中会被当成公式
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function buildAuditCsv(entries) {
+    const header = ['createdAt', 'action', 'actorId', 'actorName', 'actorRole', 'targetType', 'targetId', 'before', 'after', 'ip', 'id'];
+    const lines = entries.map(entry => header.map(column => csvCell(entry[column])).join(','));
+    // BOM 让 Excel 按 UTF-8 打开中文
+    return `\uFEFF${[header.join(','), ...lines].join('\r\n')}\r\n`;
+}
@@ -0,0 +1,386 @@
+// Utility functions for authenticating API requests.
+// Access tokens issued by Authing are JWTs signed with the keys published at the issuer's JWKS endpoint. They are
+// verified here with WebCrypto (signature, exp / nbf, iss and optionally aud), so a request does not need a round
+// trip to Authing. The JWKS is cached per isolate and a copy is kept in `system_configs`, so a cold isolate can still
+// verify tokens while Authing is unreachable. Tokens that cannot be verified locally (opaque tokens, unsupported
+// algorithms) fall back to /oidc/me, whose answer is cached for a few minutes per token.
+// Access tokens carry only the user id; email and nickname come from the `users` row kept up to date at login.
+// Role lookups are cached for ROLE_CACHE_TTL_MS, so a role change can take up to a minute to reach every isolate.
+// The returned user info carries `db_role` and the role's `capabilities` (see permissions.js).
+// Each role lookup that misses the cache also records the user's activity for the member directory (directory.js).
+// With AUTH_FAKE_ISSUER=true and a local AUTHING_ISSUER, tokens are checked against the fake issuer in
+// fake-issuer.js instead (development only).
+
+import { recordUserActivity } from './directory.js';
+import { getFakeIssuerJwks, getFakeProfile, isFakeIssuerEnabled } from './fake-issuer.js';
+import { getRoleCapabilities, hasCapability } from './permissions.js';
+
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+const USERINFO_CACHE_TTL_MS = 5 * 60 * 1000;
+const JWKS_TTL_MS = 60 * 60 * 1000;
+// 遇到未知的 kid (密钥轮换) 时最多每分钟重新拉取一次 JWKS
+const JWKS_REFRESH_MIN_MS = 60 * 1000;
+const JWKS_RETRY_MS = 5 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+const MAX_CACHE_ENTRIES = 1000;
+const STORED_JWKS_KEY = 'AUTH_JWKS';
+
+const SUPPORTED_ALGORITHMS = {
+    RS256: { importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verifyParams: { name: 'RSASSA-PKCS1-v1_5' } },
+    ES256: { importParams: { name: 'ECDSA', namedCurve: 'P-256' }, verifyParams: { name: 'ECDSA', hash: 'SHA-256' } }
+};
+
+const userCache = new Map();      // userId -> { role, email, nickname, expiresAt }
+const userInfoCache = new Map();  // sha256(token) -> { userInfo, expiresAt }
+const importedKeys = new Map();   // `${kid}:${alg}` -> CryptoKey
+let jwksCache = null;             // { keys, fetchedAt }
+let systemConfigEnsured = false;
+
+function cacheSet(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    // Map 按插入顺序遍历, 第一个就是最久没有写入的
+    if (map.size > MAX_CACHE_ENTRIES) map.delete(map.keys().next().value);
+}
+
+function cacheGet(map, key) {
+    const entry = map.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        map.delete(key);
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * 让本 isolate 中缓存的角色立即失效 (例如修改角色之后)
+ */
+export function forgetCachedUser(userId) {
+    userCache.delete(userId);
+}
+
+function nicknameOf(userInfo) {
+    return userInfo.name || userInfo.nickname || userInfo.preferred_username || userInfo.email;
+}
+
+// 用户目录的注册 / 最近活跃时间 (见 directory.js), 每次缓存未命中时记录; 失败不影响认证
+async function recordActivity(db, userId, isNew) {
+    try {
+        await recordUserActivity(db, userId, { isNew });
+    } catch (e) {
+        console.warn(`[auth] Could not record activity for ${userId}:`, e.message);
+    }
+}
+
+/**
+ * 从 D1 获取/更新用户角色和昵称 (SELECT-first approach), 结果缓存一分钟
+ * 1. 优先按 userId 查找, email / nickname 变化时更新
+ * 2. 找不到再按 email 查找 (防止 userId 变更)
+ * 3. 都找不到才创建新用户 (general)
+ * @param {D1Database} db
+ * @param {object} userInfo - 至少包含 sub
+ * @returns {Promise<string>} - 用户的角色, 出错时安全降级为 'general'
+ */
+export async function getRoleFromDatabase(db, userInfo, source = 'auth') {
+    const userId = userInfo.sub;
+    const email = userInfo.email;
+    const nickname = nicknameOf(userInfo);
+    if (!userId) {
+        console.error(`[getRoleFromDatabase @ ${source}] userId missing.`);
+        return 'general';
+    }
+    const cached = cacheGet(userCache, userId);
+    if (cached && (!email || cached.email === email) && (!nickname || cached.nickname === nickname)) return cached.role;
+
+    try {
+        let role;
+        let isNew = false;
+        const userRecord = await db.prepare('SELECT role, nickname as dbNickname, email as dbEmail FROM users WHERE userId = ?').bind(userId).first();
+        if (userRecord) {
+            if ((email && userRecord.dbEmail !== email) || (nickname && userRecord.dbNickname !== nickname) || userRecord.dbEmail === null || userRecord.dbNickname === null) {
+                await db.prepare('UPDATE users SET email = ?, nickname = ? WHERE userId = ?').bind(email ?? null, nickname ?? null, userId).run();
+            }
+            role = userRecord.role;
+        } else {
+            const userRecordEmail = email
+                ? await db.prepare('SELECT userId as dbUserId, role FROM users WHERE email = ?').bind(email).first()
+                : null;
+            if (userRecordEmail) {
+                console.log(`[getRoleFromDatabase @ ${source}] Updating userId (to ${userId}) for existing user found by email ${email}...`);
+                await db.prepare('UPDATE users SET userId = ?, nickname = ? WHERE email = ?').bind(userId, nickname ?? null, email).run();
+                role = userRecordEmail.role;
+            } else {
+                role = 'general';
+                isNew = true;
+                await db.prepare('INSERT INTO users (userId, email, role, nickname) VALUES (?, ?, ?, ?)').bind(userId, email ?? null, role, nickname ?? null).run();
+                console.log(`[getRoleFromDatabase @ ${source}] Created new user ${userId}. Assigned Role: ${role}`);
+            }
+        }
+        cacheSet(userCache, userId, { role, email: email ?? null, nickname: nickname ?? null, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+        await recordActivity(db, userId, isNew);
+        return role;
+    } catch (e) {
+        console.error(`[getRoleFromDatabase @ ${source}] Database error for userId=${userId}:`, e.message);
+        return 'general';
+    }
+}
+
+// 只有 sub 的 access token: 用 users 表中的 email / nickname 补全 (同时预热角色缓存)
+async function loadStoredProfile(db, userId) {
+    const cached = cacheGet(userCache, userId);
+    if (cached) return cached;
+    const row = await db.prepare('SELECT role, email, nickname FROM users WHERE userId = ?').bind(userId).first();
+    if (!row) return null;
+    const profile = { role: row.role, email: row.email, nickname: row.nickname, expiresAt: Date.now() + ROLE_CACHE_TTL_MS };
+    cacheSet(userCache, userId, profile);
+    await recordActivity(db, userId, false);
+    return profile;
+}
+
+function base64UrlToBytes(segment) {
+    const base64 = segment.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(segment.length / 4) * 4, '=');
+    const binary = atob(base64);
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function decodeJwtSegment(segment) {
+    try {
+        return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)));
+    } catch (e) {
+        throw new Error('Invalid token (malformed)');
+    }
+}
+
+function issuerOrigin(env) {
+    if (!env.AUTHING_ISSUER) throw new Error('Server configuration error: AUTHING_ISSUER is not set.');
+    return new URL(env.AUTHING_ISSUER).origin;
+}
+
+function jwksUrl(env) {
+    return env.AUTHING_JWKS_URL || new URL('/oidc/.well-known/jwks.json', env.AUTHING_ISSUER).toString();
+}
+
+async function ensureSystemConfigTable(db) {
+    if (systemConfigEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS system_configs (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updatedAt TEXT
+    )`).run();
+    systemConfigEnsured = true;
+}
+
+async function storeJwks(db, keys) {
+    try {
+        await ensureSystemConfigTable(db);
+        await db.prepare(`INSERT INTO system_configs (key, value, updatedAt)
+            VALUES (?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET value=excluded.value, updatedAt=excluded.updatedAt`)
+            .bind(STORED_JWKS_KEY, JSON.stringify(keys), new Date().toISOString()).run();
+    } catch (e) {
+        console.error('[auth] Failed to store the JWKS:', e.message);
+    }
+}
+
+async function loadStoredJwks(db) {
+    try {
+        await ensureSystemConfigTable(db);
+        const row = await db.prepare('SELECT value FROM system_configs WHERE key = ?').bind(STORED_JWKS_KEY).first();
+        const keys = row?.value ? JSON.parse(row.value) : null;
+        return Array.isArray(keys) && keys.length > 0 ? keys : null;
+    } catch (e) {
+        console.error('[auth] Failed to load the stored JWKS:', e.message);
+        return null;
+    }
+}
+
+/**
+ * 获取签名公钥列表。拉取失败时依次退回到内存中的旧值和 D1 中保存的副本。
+ */
+async function loadJwks(env, { refresh = false } = {}) {
+    if (isFakeIssuerEnabled(env)) return getFakeIssuerJwks();
+    const now = Date.now();
+    if (jwksCache) {
+        const age = now - jwksCache.fetchedAt;
+        if (!refresh && age < JWKS_TTL_MS) return jwksCache.keys;
+        if (refresh && age < JWKS_REFRESH_MIN_MS) return jwksCache.keys;
+    }
+    try {
+        const response = await fetch(jwksUrl(env), { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`JWKS request failed (status: ${response.status})`);
+        const data = await response.json();
+        if (!Array.isArray(data?.keys) || data.keys.length === 0) throw new Error('JWKS response has no keys');
+        const changed = JSON.stringify(data.keys) !== JSON.stringify(jwksCache?.keys);
+        jwksCache = { keys: data.keys, fetchedAt: now };
+        if (changed) await storeJwks(env.DB, data.keys);
+        return data.keys;
+    } catch (e) {
+        console.error('[auth] Failed to fetch the JWKS:', e.message);
+        const keys = jwksCache?.keys || await loadStoredJwks(env.DB);
+        if (!keys) throw new Error('Authentication service unavailable: signing keys could not be loaded.');
+        // 过一会儿再重试, 而不是每个请求都去拉取
+        jwksCache = { keys, fetchedAt: now - JWKS_TTL_MS + JWKS_RETRY_MS };
+        return keys;
+    }
+}
+
+async function importVerifyKey(jwk, alg) {
+    const cacheKey = `${jwk.kid || ''}:${alg}:${jwk.n || jwk.x || ''}`;
+    if (importedKeys.has(cacheKey)) return importedKeys.get(cacheKey);
+    const key = await crypto.subtle.importKey('jwk', jwk, SUPPORTED_ALGORITHMS[alg].importParams, false, ['verify']);
+    cacheSet(importedKeys, cacheKey, key);
+    return key;
+}
+
+function findJwk(keys, header) {
+    const expectedKty = header.alg === 'ES256' ? 'EC' : 'RSA';
+    return keys.find(jwk => jwk.kty === expectedKty
+        && (!header.kid || jwk.kid === header.kid)
+        && (!jwk.use || jwk.use === 'sig')
+        && (!jwk.alg || jwk.alg === header.alg)) || null;
+}
+
+function checkClaims(env, claims) {
+    const now = Math.floor(Date.now() / 1000);
+    if (!claims.sub) throw new Error('Invalid token (missing sub)');
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS <= now) throw new Error('Invalid token (expired)');
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) throw new Error('Invalid token (not yet valid)');
+    // Authing 的 iss 为 https://<host>/oidc; AUTHING_ISSUER 可能只写了域名
+    const trim = value => String(value || '').replace(/\/+$/, '');
+    const issuers = [trim(env.AUTHING_ISSUER), `${issuerOrigin(env)}/oidc`];
+    if (!issuers.includes(trim(claims.iss))) throw new Error('Invalid token (issuer)');
+    if (env.AUTH_AUDIENCE) {
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(env.AUTH_AUDIENCE)) throw new Error('Invalid token (audience)');
+    }
+}
+
+/**
+ * 在本地验证 JWT access token
+ * @returns {Promise<object|null>} - 验证通过的 claims; 无法在本地验证 (不是 JWT 或算法不支持) 时返回 null
+ */
+export async function verifyAccessToken(env, token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+    const header = decodeJwtSegment(parts[0]);
+    if (!SUPPORTED_ALGORITHMS[header.alg]) return null;
+
+    let jwk = findJwk(await loadJwks(env), header);
+    if (!jwk) jwk = findJwk(await loadJwks(env, { refresh: true }), header);
+    if (!jwk) throw new Error('Invalid token (unknown signing key)');
+
+    const key = await importVerifyKey(jwk, header.alg);
+    let valid = false;
+    try {
+        valid = await crypto.subtle.verify(
+            SUPPORTED_ALGORITHMS[header.alg].verifyParams,
+            key,
+            base64UrlToBytes(parts[2]),
+            new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+        );
+    } catch (e) {
+        valid = false;
+    }
+    if (!valid) throw new Error('Invalid token (signature)');
+
+    const claims = decodeJwtSegment(parts[1]);
+    checkClaims(env, claims);
+    return claims;
+}
+
+/**
+ * 调用 Authing /oidc/me 获取用户信息 (登录回调, 以及无法在本地验证的 token)
+ */
+export async function fetchUserInfo(env, token) {
+    const userInfoUrl = new URL('/oidc/me', env.AUTHING_ISSUER);
+    const response = await fetch(userInfoUrl.toString(), { headers: { 'Authorization': `Bearer ${token}` } });
+    if (!response.ok) throw new Error(`Invalid token (status: ${response.status})`);
+    return response.json();
+}
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function fetchUserInfoCached(env, token) {
+    const cacheKey = await sha256Hex(token);
+    const cached = cacheGet(userInfoCache, cacheKey);
+    if (cached) return { ...cached.userInfo };
+    const userInfo = await fetchUserInfo(env, token);
+    cacheSet(userInfoCache, cacheKey, { userInfo, expiresAt: Date.now() + USERINFO_CACHE_TTL_MS });
+    return { ...userInfo };
+}
+
+async function resolveUserInfo(env, token) {
+    const claims = await verifyAccessToken(env, token);
+    if (!claims) return fetchUserInfoCached(env, token);
+
+    const userInfo = { ...claims };
+    const hasName = Boolean(userInfo.name || userInfo.nickname || userInfo.preferred_username);
+    if (userInfo.email && hasName) return userInfo;
+
+    const profile = await loadStoredProfile(env.DB, claims.sub);
+    if (profile) {
+        if (!userInfo.email && profile.email) userInfo.email = profile.email;
+        if (!hasName && profile.nickname) userInfo.name = profile.nickname;
+        return userInfo;
+    }
+    // 第一次见到这个用户 (没有经过登录回调): 向 Authing 要一次资料; 失败时先只用 sub
+    if (isFakeIssuerEnabled(env)) return { ...getFakeProfile(claims.sub), ...claims };
+    try {
+        return { ...(await fetchUserInfoCached(env, token)), ...claims };
+    } catch (e) {
+        console.warn(`[auth] Could not load the profile of new user ${claims.sub}:`, e.message);
+        return userInfo;
+    }
+}
+
+/**
+ * 验证 Bearer token 并返回用户信息 (包含 db_role 和 capabilities)
+ * @param {{optional?: boolean}} options - optional 时没有 token 或 token 无效都返回 null (按匿名处理)
+ * @returns {Promise<object|null>}
+ */
+export async function validateToken(request, env, { optional = false } = {}) {
+    const authHeader = request.headers.get('Authorization') || '';
+    const token = authHeader.replace('Bearer ', '');
+    if (!token) {
+        if (optional) return null;
+        throw new Error('Missing token');
+    }
+    try {
+        const userInfo = await resolveUserInfo(env, token);
+        userInfo.db_role = await getRoleFromDatabase(env.DB, userInfo, `validateToken(${request.method})`);
+        userInfo.capabilities = await getRoleCapabilities(env.DB, userInfo.db_role);
+        return userInfo;
+    } catch (e) {
+        if (optional) {
+            console.warn('[auth] Token validation failed, treating as anonymous:', e.message);
+            return null;
+        }
+        throw e;
+    }
+}
+
+/**
+ * 验证 token 并要求角色具有某项能力 (见 permissions.js)
+ */
+export async function validateCapability(request, env, capability) {
+    const userInfo = await validateToken(request, env);
+    if (!hasCapability(userInfo, capability)) {
+        throw new Error(`Permission denied. The ${capability} capability is required.`);
+    }
+    return userInfo;
+}
+
+/**
+ * 验证 token 并要求 super_admin 角色
+ */
+export async function validateSuperAdmin(request, env) {
+    const userInfo = await validateToken(request, env);
+    if (userInfo.db_role !== 'super_admin') {
+        throw new Error('Permission denied. Super admin role required.');
+    }
+    return userInfo;
+}
@@ -0,0 +1,245 @@
+// Utility functions for the canonical cigar catalog.
+// `cigars` holds one row per brand + line + vitola; ratings point at it through `rating_cigar_links`
+// (confirmed = chosen by the author or approved by an admin, suggested = fuzzy backfill waiting for review,
+// rejected = an admin turned the suggestion down, so the backfill does not propose it again).
+
+let catalogTablesEnsured = false;
+
+export const LINK_STATUS = { CONFIRMED: 'confirmed', SUGGESTED: 'suggested', REJECTED: 'rejected' };
+export const AUTO_MATCH_THRESHOLD = 0.75;
+const MAX_MERGE_DEPTH = 10;
+
+// rate.html 在尺寸/产地留空时会写入翻译后的 "未知"
+const UNKNOWN_PLACEHOLDERS = new Set(['未知', 'unknown', 'desconocido', '(no data)', '（无数据）', '(sin datos)']);
+
+const ROMAN_NUMERALS = { i: '1', ii: '2', iii: '3', iv: '4', v: '5', vi: '6', vii: '7', viii: '8', ix: '9', x: '10' };
+
+export async function ensureCatalogTables(db) {
+    if (catalogTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS cigars (
+        id TEXT PRIMARY KEY,
+        brand TEXT NOT NULL,
+        line TEXT,
+        vitola TEXT,
+        country TEXT,
+        aliases TEXT NOT NULL DEFAULT '[]',
+        searchKey TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'verified',
+        mergedInto TEXT,
+        createdBy TEXT,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT NOT NULL
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_cigars_searchKey ON cigars(searchKey)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_cigars_mergedInto ON cigars(mergedInto)').run();
+    await db.prepare(`CREATE TABLE IF NOT EXISTS rating_cigar_links (
+        ratingId TEXT PRIMARY KEY,
+        cigarId TEXT NOT NULL,
+        status TEXT NOT NULL,
+        matchScore REAL,
+        linkedBy TEXT,
+        linkedAt TEXT NOT NULL
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_rating_cigar_links_cigarId ON rating_cigar_links(cigarId, status)').run();
+    catalogTablesEnsured = true;
+}
+
+export function cleanCatalogField(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.replace(/\s+/g, ' ').trim();
+    if (!trimmed || UNKNOWN_PLACEHOLDERS.has(trimmed.toLowerCase())) return null;
+    return trimmed.slice(0, 120);
+}
+
+/**
+ * 归一化为 token 列表: 去重音, 小写, 罗马数字转阿拉伯数字, 中文按相邻两字切分。
+ * "Cohiba Siglo VI" 与 "cohiba siglo 6" 得到相同的 token。
+ */
+export function tokenizeCigarText(text) {
+    if (!text) return [];
+    const folded = String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const tokens = [];
+    folded.split(/[^\p{L}\p{N}]+/u).filter(Boolean).forEach(part => {
+        // 拆开 "d4" / "no2" 这类字母数字粘连, 以及中文与拉丁字符混写
+        const pieces = part.match(/\p{Script=Han}+|[\p{L}]+|\p{N}+/gu) || [];
+        pieces.forEach(piece => {
+            if (/\p{Script=Han}/u.test(piece)) {
+                if (piece.length === 1) { tokens.push(piece); return; }
+                for (let i = 0; i < piece.length - 1; i++) tokens.push(piece.slice(i, i + 2));
+                return;
+            }
+            tokens.push(ROMAN_NUMERALS[piece] ?? piece);
+        });
+    });
+    return tokens;
+}
+
+export function buildSearchKey(cigar) {
+    return tokenizeCigarText([cigar.brand, cigar.line, cigar.vitola].filter(Boolean).join(' ')).join(' ');
+}
+
+export function cigarDisplayName(cigar) {
+    return [cigar.brand, cigar.line, cigar.vitola].filter(Boolean).join(' ');
+}
+
+function parseAliases(value) {
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed.filter(alias => typeof alias === 'string') : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+export function normalizeAliases(value) {
+    const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(/[,\n，]/) : []);
+    const seen = new Set();
+    return list.map(cleanCatalogField).filter(alias => {
+        if (!alias) return false;
+        const key = tokenizeCigarText(alias).join(' ');
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }).slice(0, 30);
+}
+
+export function toCigarResponse(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        brand: row.brand,
+        line: row.line ?? null,
+        vitola: row.vitola ?? null,
+        country: row.country ?? null,
+        aliases: parseAliases(row.aliases),
+        displayName: cigarDisplayName(row),
+        status: row.status,
+        mergedInto: row.mergedInto ?? null,
+        ratingCount: typeof row.ratingCount === 'number' ? row.ratingCount : undefined
+    };
+}
+
+function tokensClose(a, b) {
+    if (a === b) return true;
+    if (a.length < 5 || b.length < 5 || Math.abs(a.length - b.length) > 1) return false;
+    // 编辑距离 <= 1 视为同一个词 (montecristo / montecrsito 之类的笔误)
+    let i = 0; let j = 0; let edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { i++; j++; continue; }
+        if (++edits > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else { i++; j++; }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+function overlapScore(queryTokens, candidateTokens, allowPrefix) {
+    if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+    const remaining = [...candidateTokens];
+    let matched = 0;
+    queryTokens.forEach((token, position) => {
+        // 输入联想时最后一个词可能还没打完
+        const isPartial = allowPrefix && position === queryTokens.length - 1;
+        const index = remaining.findIndex(candidate => tokensClose(token, candidate) || (isPartial && candidate.startsWith(token)));
+        if (index >= 0) { matched++; remaining.splice(index, 1); }
+    });
+    const containment = matched / Math.min(queryTokens.length, candidateTokens.length);
+    const jaccard = matched / (queryTokens.length + candidateTokens.length - matched);
+    return 0.6 * containment + 0.4 * jaccard;
+}
+
+/**
+ * 自由文本与目录条目的相似度 (0-1)。与名称, 品牌+系列 (不含尺寸) 以及所有别名分别比较取最高分,
+ * 尺寸或产地一致时略微加分。prefix 为 true 时最后一个词按前缀匹配 (输入联想)。
+ */
+export function scoreCigarMatch({ name, size = null, origin = null }, cigar, { prefix = false } = {}) {
+    const queryTokens = tokenizeCigarText(name);
+    if (queryTokens.length === 0) return 0;
+    const candidates = [
+        cigarDisplayName(cigar),
+        [cigar.brand, cigar.line].filter(Boolean).join(' '),
+        ...parseAliases(cigar.aliases)
+    ];
+    let best = 0;
+    candidates.forEach(candidate => {
+        best = Math.max(best, overlapScore(queryTokens, tokenizeCigarText(candidate), prefix));
+    });
+    if (best === 0) return 0;
+    const sizeKey = tokenizeCigarText(cleanCatalogField(size)).join(' ');
+    if (sizeKey && cigar.vitola && sizeKey === tokenizeCigarText(cigar.vitola).join(' ')) best += 0.1;
+    const originKey = tokenizeCigarText(cleanCatalogField(origin)).join(' ');
+    if (originKey && cigar.country && originKey === tokenizeCigarText(cigar.country).join(' ')) best += 0.05;
+    return Math.min(1, best);
+}
+
+export async function loadActiveCigars(db) {
+    const { results } = await db.prepare(`
+        SELECT c.*, (SELECT COUNT(*) FROM rating_cigar_links l WHERE l.cigarId = c.id AND l.status = 'confirmed') AS ratingCount
+        FROM cigars c
+        WHERE c.mergedInto IS NULL
+    `).all();
+    return results || [];
+}
+
+export function rankCigars(cigars, query, { limit = 10, minScore = 0.3, prefix = false } = {}) {
+    return cigars
+        .map(cigar => ({ cigar, score: scoreCigarMatch(query, cigar, { prefix }) }))
+        .filter(entry => entry.score >= minScore)
+        .sort((a, b) => b.score - a.score || (b.cigar.ratingCount || 0) - (a.cigar.ratingCount || 0))
+        .slice(0, limit);
+}
+
+/**
+ * 沿 mergedInto 找到最终的目录条目; 不存在时返回 null
+ */
+export async function resolveCigar(db, cigarId) {
+    let currentId = cigarId;
+    for (let depth = 0; depth < MAX_MERGE_DEPTH && currentId; depth++) {
+        const row = await db.prepare('SELECT * FROM cigars WHERE id = ?').bind(currentId).first();
+        if (!row) return null;
+        if (!row.mergedInto) return row;
+        currentId = row.mergedInto;
+    }
+    return null;
+}
+
+export function prepareLinkUpsert(db, ratingId, cigarId, { status, matchScore = null, linkedBy = null }) {
+    return db.prepare(`
+        INSERT INTO rating_cigar_links (ratingId, cigarId, status, matchScore, linkedBy, linkedAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(ratingId) DO UPDATE SET cigarId = excluded.cigarId, status = excluded.status,
+            matchScore = excluded.matchScore, linkedBy = excluded.linkedBy, linkedAt = excluded.linkedAt
+    `).bind(ratingId, cigarId, status, matchScore, linkedBy, new Date().toISOString());
+}
+
+/**
+ * 保存评分前校验 cigarInfo.cigarId, 并换成合并后的最终 ID。
+ * 返回 undefined 表示请求没有带 cigarId 字段 (旧客户端), 此时不改动已有关联。
+ */
+export async function resolveSubmittedCigarId(db, cigarInfo, errorPrefix) {
+    if (!cigarInfo || typeof cigarInfo !== 'object' || !Object.prototype.hasOwnProperty.call(cigarInfo, 'cigarId')) return undefined;
+    if (cigarInfo.cigarId === null || cigarInfo.cigarId === '') {
+        cigarInfo.cigarId = null;
+        return null;
+    }
+    await ensureCatalogTables(db);
+    const cigar = await resolveCigar(db, String(cigarInfo.cigarId));
+    if (!cigar) throw new Error(`${errorPrefix}: the selected cigar does not exist in the catalog.`);
+    cigarInfo.cigarId = cigar.id;
+    return cigar.id;
+}
+
+/**
+ * 作者在 rate.html 中选择 (或清除) 目录条目后同步关联
+ */
+export async function syncRatingCigarLink(db, ratingId, cigarId, userInfo) {
+    if (cigarId === undefined) return;
+    await ensureCatalogTables(db);
+    if (cigarId === null) {
+        await db.prepare('DELETE FROM rating_cigar_links WHERE ratingId = ?').bind(ratingId).run();
+        return;
+    }
+    await prepareLinkUpsert(db, ratingId, cigarId, { status: LINK_STATUS.CONFIRMED, matchScore: null, linkedBy: userInfo?.sub ?? null }).run();
+}
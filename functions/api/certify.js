@@ -1,49 +1,20 @@
 // ---------------------------------------------------
 // 文件: /functions/api/certify.js
-// 作用: 处理评分的“认证”和“取消认证”操作，仅限管理员
+// 作用: 处理评分的“认证”和“取消认证”操作，需要 ratings.certify 能力 (见 permissions.js)
+// 评分被认证时通知作者 (见 notifications.js), 每次修改都写入审计日志 (见 audit.js)
 // ---------------------------------------------------
 
-/**
- * 验证 Authing Token 并检查 D1 数据库中的 admin/super_admin 角色。
- * (此函数复制自 /api/config/[profileId].js)
- * @param {Request} request
- * @param {object} env
- * @returns {Promise<object>} - User info if authorized
- */
-async function validateAdminToken(request, env) {
-    const authHeader = request.headers.get('Authorization') || '';
-    const token = authHeader.replace('Bearer ', '');
-    if (!token) throw new Error("Missing authorization token.");
-
-    // 1. Validate token with Authing
-    const userInfoUrl = new URL('/oidc/me', env.AUTHING_ISSUER);
-    const response = await fetch(userInfoUrl.toString(), {
-        headers: { 'Authorization': `Bearer ${token}` }
-    });
-    if (!response.ok) throw new Error('Invalid token.');
-    const userInfo = await response.json();
-
-    // 2. 检查 D1 数据库中的角色
-    const userId = userInfo.sub;
-    const stmt = env.DB.prepare("SELECT role FROM users WHERE userId = ?").bind(userId);
-    const userRecord = await stmt.first();
-
-    // 3. 检查用户是否存在且角色为 'admin' 或 'super_admin'
-    if (!userRecord || (userRecord.role !== 'admin' && userRecord.role !== 'super_admin')) {
-        throw new Error("Permission denied. Admin role required.");
-    }
-
-    userInfo.db_role = userRecord.role;
-    return userInfo;
-}
+import { ensureAuditTables, prepareAuditEntry } from './audit.js';
+import { validateCapability } from './auth.js';
+import { notifyUsers } from './notifications.js';
 
 // --- API 方法 ---
 export async function onRequestPost(context) {
     const { request, env } = context;
 
     try {
-        // 1. 验证调用者是否为管理员
-        await validateAdminToken(request, env);
+        // 1. 验证调用者是否有认证权限 (ratings.certify)
+        const userInfo = await validateCapability(request, env, 'ratings.certify');
         
         // 2. 解析请求体
         const { ratingId, certify } = await request.json(); // certify 应该是 true 或 false
@@ -55,12 +26,32 @@ export async function onRequestPost(context) {
         // 3. 更新数据库
         // D1 将 true 视为 1, false 视为 0
         const certifyValue = certify ? 1 : 0;
+        const rating = await env.DB.prepare("SELECT userId, isCertified FROM ratings WHERE id = ?").bind(ratingId).first();
         
         const stmt = env.DB.prepare(
             "UPDATE ratings SET isCertified = ? WHERE id = ?"
         ).bind(certifyValue, ratingId);
         
-        await stmt.run();
+        if (rating) {
+            // 修改和审计记录放在同一个 batch 中, 要么都成功要么都失败
+            await ensureAuditTables(env.DB);
+            await env.DB.batch([stmt, prepareAuditEntry(env.DB, {
+                actor: userInfo,
+                action: certifyValue ? 'rating.certify' : 'rating.uncertify',
+                targetType: 'rating',
+                targetId: ratingId,
+                before: { isCertified: !!rating.isCertified },
+                after: { isCertified: !!certifyValue },
+                request
+            })]);
+        } else {
+            await stmt.run();
+        }
+
+        // 只在 "未认证 -> 已认证" 时通知, 重复提交不会再发
+        if (rating && certifyValue === 1 && !rating.isCertified) {
+            await notifyUsers(env.DB, [{ userId: rating.userId, type: 'certified', actor: userInfo, ratingId }]);
+        }
 
         // 4. 返回成功
         return new Response(JSON.stringify({ success: true, ratingId: ratingId, certified: certify }), { 
@@ -0,0 +1,281 @@
+// ---------------------------------------------------
+// 文件: /functions/api/cigars.js
+// 作用: 雪茄目录 —— 联想搜索/详情(GET), 新建/合并/回填/审核关联(POST action), 编辑(PUT)
+// 除 GET 外均需管理员权限
+// ---------------------------------------------------
+
+import { validateToken } from './auth.js';
+import {
+    AUTO_MATCH_THRESHOLD, buildSearchKey, cigarDisplayName, cleanCatalogField, ensureCatalogTables, LINK_STATUS,
+    loadActiveCigars, normalizeAliases, prepareLinkUpsert, rankCigars, resolveCigar, toCigarResponse
+} from './catalog.js';
+import { hasCapability } from './permissions.js';
+
+const TYPEAHEAD_LIMIT = 10;
+const BACKFILL_BATCH_SIZE = 200;
+const CIGAR_STATUSES = ['verified', 'unverified'];
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+async function requireAdmin(request, env) {
+    const userInfo = await validateToken(request, env);
+    if (!hasCapability(userInfo, 'catalog.edit')) throw new Error('Permission denied: catalog changes require an admin.');
+    return userInfo;
+}
+
+function readCigarFields(body) {
+    const brand = cleanCatalogField(body?.brand);
+    if (!brand) throw new Error('Missing brand.');
+    return {
+        brand,
+        line: cleanCatalogField(body?.line),
+        vitola: cleanCatalogField(body?.vitola),
+        country: cleanCatalogField(body?.country),
+        aliases: normalizeAliases(body?.aliases)
+    };
+}
+
+async function findDuplicate(env, searchKey, excludeId = null) {
+    return await env.DB.prepare('SELECT * FROM cigars WHERE searchKey = ? AND mergedInto IS NULL AND id != ?')
+        .bind(searchKey, excludeId ?? '').first();
+}
+
+async function handleGet(env, request, url) {
+    const cigarId = url.searchParams.get('id');
+    if (cigarId) {
+        const cigar = await resolveCigar(env.DB, cigarId);
+        if (!cigar) throw new Error('Cigar not found.');
+        const { ratingCount } = await env.DB.prepare("SELECT COUNT(*) AS ratingCount FROM rating_cigar_links WHERE cigarId = ? AND status = 'confirmed'").bind(cigar.id).first();
+        // 请求的是已被合并的旧 ID 时, 告诉调用方跳转到新的 ID
+        return jsonResponse({ cigar: toCigarResponse({ ...cigar, ratingCount }), requestedId: cigarId, merged: cigar.id !== cigarId });
+    }
+
+    if (url.searchParams.get('review') === 'true') {
+        await requireAdmin(request, env);
+        const { results } = await env.DB.prepare(`
+            SELECT l.ratingId, l.cigarId, l.matchScore, l.linkedAt,
+                   r.title, r.cigarName, r.cigarSize, r.cigarOrigin, r.userNickname,
+                   c.brand, c.line, c.vitola, c.country, c.aliases, c.status, c.mergedInto
+            FROM rating_cigar_links l
+            JOIN ratings r ON r.id = l.ratingId
+            JOIN cigars c ON c.id = l.cigarId
+            WHERE l.status = 'suggested'
+            ORDER BY l.matchScore IS NULL, l.matchScore DESC, l.linkedAt ASC
+            LIMIT 200
+        `).all();
+        return jsonResponse({
+            suggestions: (results || []).map(row => ({
+                ratingId: row.ratingId,
+                ratingTitle: row.title,
+                cigarName: row.cigarName,
+                cigarSize: row.cigarSize,
+                cigarOrigin: row.cigarOrigin,
+                userNickname: row.userNickname,
+                matchScore: row.matchScore,
+                cigar: toCigarResponse({ ...row, id: row.cigarId })
+            }))
+        });
+    }
+
+    const query = (url.searchParams.get('q') || '').trim();
+    const cigars = await loadActiveCigars(env.DB);
+    if (query) {
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || TYPEAHEAD_LIMIT, 1), 50);
+        const ranked = rankCigars(cigars, { name: query }, { limit, prefix: true });
+        return jsonResponse({ cigars: ranked.map(entry => ({ ...toCigarResponse(entry.cigar), score: Number(entry.score.toFixed(3)) })) });
+    }
+
+    // 不带 q 时返回整个目录, 供管理页面使用
+    const status = url.searchParams.get('status');
+    const filtered = CIGAR_STATUSES.includes(status) ? cigars.filter(cigar => cigar.status === status) : cigars;
+    filtered.sort((a, b) => cigarDisplayName(a).localeCompare(cigarDisplayName(b)));
+    return jsonResponse({ cigars: filtered.map(toCigarResponse) });
+}
+
+async function handleCreate(env, userInfo, body) {
+    const fields = readCigarFields(body);
+    const searchKey = buildSearchKey(fields);
+    const duplicate = await findDuplicate(env, searchKey);
+    if (duplicate) {
+        return jsonResponse({ error: 'A cigar with the same brand, line and vitola already exists.', cigar: toCigarResponse(duplicate) }, 409);
+    }
+    const now = new Date().toISOString();
+    const row = { id: crypto.randomUUID(), ...fields, aliases: JSON.stringify(fields.aliases), searchKey, status: 'verified', mergedInto: null };
+    await env.DB.prepare(`
+        INSERT INTO cigars (id, brand, line, vitola, country, aliases, searchKey, status, mergedInto, createdBy, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?)
+    `).bind(row.id, row.brand, row.line, row.vitola, row.country, row.aliases, searchKey, row.status, userInfo.sub, now, now).run();
+    return jsonResponse({ success: true, cigar: toCigarResponse(row) }, 201);
+}
+
+async function handleUpdate(env, request) {
+    const userInfo = await requireAdmin(request, env);
+    const body = await request.json().catch(() => ({}));
+    if (!body?.id) throw new Error('Missing cigar id.');
+    const existing = await env.DB.prepare('SELECT * FROM cigars WHERE id = ?').bind(body.id).first();
+    if (!existing) throw new Error('Cigar not found.');
+    if (existing.mergedInto) throw new Error('Invalid update: this cigar was merged into another entry.');
+    const fields = readCigarFields(body);
+    const searchKey = buildSearchKey(fields);
+    const duplicate = await findDuplicate(env, searchKey, existing.id);
+    if (duplicate) {
+        return jsonResponse({ error: 'A cigar with the same brand, line and vitola already exists. Merge the two entries instead.', cigar: toCigarResponse(duplicate) }, 409);
+    }
+    // 管理员保存即视为人工核对过
+    const status = CIGAR_STATUSES.includes(body.status) ? body.status : 'verified';
+    await env.DB.prepare(`
+        UPDATE cigars SET brand = ?, line = ?, vitola = ?, country = ?, aliases = ?, searchKey = ?, status = ?, updatedAt = ?
+        WHERE id = ?
+    `).bind(fields.brand, fields.line, fields.vitola, fields.country, JSON.stringify(fields.aliases), searchKey, status, new Date().toISOString(), existing.id).run();
+    console.log(`[cigars] ${userInfo.sub} updated cigar ${existing.id}`);
+    return jsonResponse({ success: true, cigar: toCigarResponse({ ...existing, ...fields, aliases: fields.aliases, searchKey, status }) });
+}
+
+/**
+ * 把 source 合并进 target: 关联改指向 target, source 的名称与别名并入 target 的别名,
+ * source 保留为 mergedInto 记录, 旧 ID 仍可解析。
+ */
+async function handleMerge(env, userInfo, body) {
+    const { sourceId, targetId } = body || {};
+    if (!sourceId || !targetId) throw new Error('Missing sourceId or targetId.');
+    const source = await env.DB.prepare('SELECT * FROM cigars WHERE id = ?').bind(sourceId).first();
+    if (!source || source.mergedInto) throw new Error('Source cigar not found.');
+    const target = await resolveCigar(env.DB, targetId);
+    if (!target) throw new Error('Target cigar not found.');
+    if (target.id === source.id) throw new Error('Invalid merge: source and target are the same cigar.');
+
+    const aliases = normalizeAliases([
+        ...JSON.parse(target.aliases || '[]'),
+        cigarDisplayName(source),
+        ...JSON.parse(source.aliases || '[]')
+    ]).filter(alias => buildSearchKey({ brand: alias }) !== target.searchKey);
+    const now = new Date().toISOString();
+    await env.DB.batch([
+        env.DB.prepare('UPDATE rating_cigar_links SET cigarId = ? WHERE cigarId = ?').bind(target.id, source.id),
+        env.DB.prepare('UPDATE cigars SET mergedInto = ?, updatedAt = ? WHERE mergedInto = ?').bind(target.id, now, source.id),
+        env.DB.prepare('UPDATE cigars SET mergedInto = ?, updatedAt = ? WHERE id = ?').bind(target.id, now, source.id),
+        env.DB.prepare('UPDATE cigars SET aliases = ?, updatedAt = ? WHERE id = ?').bind(JSON.stringify(aliases), now, target.id)
+    ]);
+    console.log(`[cigars] ${userInfo.sub} merged cigar ${source.id} into ${target.id}`);
+    return jsonResponse({ success: true, sourceId: source.id, cigar: toCigarResponse({ ...target, aliases }) });
+}
+
+/**
+ * 为还没有关联的评分做模糊匹配。匹配到已有条目时写入 suggested 关联,
+ * 匹配不到时用评分里的自由文本新建 unverified 条目 (同样是 suggested), 全部等待管理员审核。
+ * 每次处理 BACKFILL_BATCH_SIZE 条, 返回 remaining 供页面继续调用。
+ */
+async function handleBackfill(env, userInfo) {
+    const { results: pending } = await env.DB.prepare(`
+        SELECT r.id, r.cigarName, r.cigarSize, r.cigarOrigin
+        FROM ratings r
+        WHERE NOT EXISTS (SELECT 1 FROM rating_cigar_links l WHERE l.ratingId = r.id)
+          AND r.cigarName IS NOT NULL AND TRIM(r.cigarName) != ''
+        ORDER BY r.timestamp ASC
+        LIMIT ?
+    `).bind(BACKFILL_BATCH_SIZE).all();
+
+    const cigars = await loadActiveCigars(env.DB);
+    const statements = [];
+    let matched = 0;
+    let created = 0;
+    const now = new Date().toISOString();
+
+    (pending || []).forEach(row => {
+        const query = { name: row.cigarName, size: row.cigarSize, origin: row.cigarOrigin };
+        const [best] = rankCigars(cigars, query, { limit: 1, minScore: AUTO_MATCH_THRESHOLD });
+        if (best) {
+            matched++;
+            statements.push(prepareLinkUpsert(env.DB, row.id, best.cigar.id, { status: LINK_STATUS.SUGGESTED, matchScore: Number(best.score.toFixed(3)), linkedBy: userInfo.sub }));
+            return;
+        }
+        // 品牌/系列的拆分只是猜测, 条目标记为 unverified, 由管理员在目录页修正
+        const name = cleanCatalogField(row.cigarName);
+        const [brand, ...rest] = name.split(' ');
+        const draft = {
+            id: crypto.randomUUID(),
+            brand,
+            line: rest.join(' ') || null,
+            vitola: cleanCatalogField(row.cigarSize),
+            country: cleanCatalogField(row.cigarOrigin),
+            status: 'unverified',
+            mergedInto: null
+        };
+        draft.aliases = JSON.stringify(normalizeAliases([name]).filter(alias => alias !== cigarDisplayName(draft)));
+        draft.searchKey = buildSearchKey(draft);
+        cigars.push({ ...draft, ratingCount: 0 });
+        created++;
+        statements.push(env.DB.prepare(`
+            INSERT INTO cigars (id, brand, line, vitola, country, aliases, searchKey, status, mergedInto, createdBy, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'unverified', NULL, ?, ?, ?)
+        `).bind(draft.id, draft.brand, draft.line, draft.vitola, draft.country, draft.aliases, draft.searchKey, userInfo.sub, now, now));
+        statements.push(prepareLinkUpsert(env.DB, row.id, draft.id, { status: LINK_STATUS.SUGGESTED, matchScore: null, linkedBy: userInfo.sub }));
+    });
+
+    if (statements.length > 0) await env.DB.batch(statements);
+    const { remaining } = await env.DB.prepare(`
+        SELECT COUNT(*) AS remaining FROM ratings r
+        WHERE NOT EXISTS (SELECT 1 FROM rating_cigar_links l WHERE l.ratingId = r.id)
+          AND r.cigarName IS NOT NULL AND TRIM(r.cigarName) != ''
+    `).first();
+    console.log(`[cigars] Backfill by ${userInfo.sub}: ${pending?.length || 0} processed, ${matched} matched, ${created} created, ${remaining} remaining`);
+    return jsonResponse({ success: true, processed: pending?.length || 0, matched, created, remaining });
+}
+
+async function handleReviewLink(env, userInfo, body) {
+    const { ratingId, decision } = body || {};
+    if (!ratingId || !['confirm', 'reject'].includes(decision)) throw new Error('Missing ratingId or decision (confirm / reject).');
+    const link = await env.DB.prepare('SELECT * FROM rating_cigar_links WHERE ratingId = ?').bind(ratingId).first();
+    if (!link) throw new Error('Suggested link not found.');
+    if (decision === 'reject') {
+        await env.DB.prepare('UPDATE rating_cigar_links SET status = ?, linkedBy = ?, linkedAt = ? WHERE ratingId = ?')
+            .bind(LINK_STATUS.REJECTED, userInfo.sub, new Date().toISOString(), ratingId).run();
+        return jsonResponse({ success: true, ratingId, status: LINK_STATUS.REJECTED });
+    }
+    // 审核时可以改选另一个条目
+    const cigar = await resolveCigar(env.DB, body.cigarId || link.cigarId);
+    if (!cigar) throw new Error('Cigar not found.');
+    await prepareLinkUpsert(env.DB, ratingId, cigar.id, { status: LINK_STATUS.CONFIRMED, matchScore: link.matchScore, linkedBy: userInfo.sub }).run();
+    return jsonResponse({ success: true, ratingId, status: LINK_STATUS.CONFIRMED, cigar: toCigarResponse(cigar) });
+}
+
+async function handlePost(env, request) {
+    const userInfo = await requireAdmin(request, env);
+    const body = await request.json().catch(() => ({}));
+    switch (body?.action) {
+        case 'create': return await handleCreate(env, userInfo, body);
+        case 'merge': return await handleMerge(env, userInfo, body);
+        case 'backfill': return await handleBackfill(env, userInfo);
+        case 'reviewLink': return await handleReviewLink(env, userInfo, body);
+        default: return jsonResponse({ error: 'Unsupported action.' }, 400);
+    }
+}
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        await ensureCatalogTables(env.DB);
+        if (request.method === 'GET') {
+            return await handleGet(env, request, url);
+        }
+        if (request.method === 'POST') {
+            return await handlePost(env, request);
+        }
+        if (request.method === 'PUT') {
+            return await handleUpdate(env, request);
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+    } catch (e) {
+        console.error('[cigars API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        else if (e.message.includes('not found')) statusCode = 404;
+        else if (e.message.includes('Missing') || e.message.includes('Invalid')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
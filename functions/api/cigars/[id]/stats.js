@@ -0,0 +1,162 @@
+// ---------------------------------------------------
+// 文件: /functions/api/cigars/[id]/stats.js
+// 作用: 动态路由, 汇总同一款雪茄 (目录条目) 的所有评分
+// 访问: /api/cigars/<cigarId>/stats[?excludeRatingId=<ratingId>]
+// 只统计 rating_cigar_links 中已确认 (confirmed) 的关联, 不包括 private 评分
+// ---------------------------------------------------
+
+import { ensureCatalogTables, resolveCigar, toCigarResponse } from '../../catalog.js';
+import { GRADING_SCALE, getRatingKey } from '../../scoring.js';
+import { ensureVisibilityTables } from '../../visibility.js';
+
+const TOP_FLAVOR_LIMIT = 10;
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function parseFullData(value) {
+    if (!value) return {};
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function median(sortedValues) {
+    if (sortedValues.length === 0) return null;
+    const middle = Math.floor(sortedValues.length / 2);
+    return sortedValues.length % 2 === 1 ? sortedValues[middle] : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+}
+
+// 记录评分项与选项的 i18n key; 行按时间倒序, 所以同一个 key 以最新的 config 为准
+function collectCriterionLabels(config, labels) {
+    (config?.ratingCriteria || []).forEach(category => {
+        (category?.criteriaList || []).forEach(criterion => {
+            const key = getRatingKey(category.categoryKey, criterion.nameKey);
+            if (labels.has(key)) return;
+            labels.set(key, {
+                categoryKey: category.categoryKey ?? null,
+                nameKey: criterion.nameKey ?? null,
+                options: (criterion.options || []).map(option => option?.descriptionKey ?? null)
+            });
+        });
+    });
+}
+
+/**
+ * @param {Array<{normalizedScore: number, finalGrade_grade: string, fullData: string}>} rows - 按 timestamp 倒序
+ */
+function aggregateRatings(rows) {
+    const scores = [];
+    const gradeCounts = new Map(GRADING_SCALE.map(entry => [entry.grade, 0]));
+    const optionCounts = new Map();    // "类别-项目" -> Map(optionIndex -> count)
+    const flavorCounts = new Map();
+    const labels = new Map();
+
+    rows.forEach(row => {
+        if (typeof row.normalizedScore === 'number' && Number.isFinite(row.normalizedScore)) scores.push(row.normalizedScore);
+        if (row.finalGrade_grade && gradeCounts.has(row.finalGrade_grade)) {
+            gradeCounts.set(row.finalGrade_grade, gradeCounts.get(row.finalGrade_grade) + 1);
+        }
+
+        const fullData = parseFullData(row.fullData);
+        collectCriterionLabels(fullData.config, labels);
+        Object.entries(fullData.ratings && typeof fullData.ratings === 'object' ? fullData.ratings : {}).forEach(([key, value]) => {
+            const optionIndex = Number(value);
+            if (!Number.isInteger(optionIndex) || optionIndex < 0) return;
+            if (!optionCounts.has(key)) optionCounts.set(key, new Map());
+            const counts = optionCounts.get(key);
+            counts.set(optionIndex, (counts.get(optionIndex) || 0) + 1);
+        });
+        // 同一条评分里重复的风味只算一次
+        new Set(Array.isArray(fullData.selectedFlavors) ? fullData.selectedFlavors : []).forEach(flavor => {
+            if (typeof flavor !== 'string' || !flavor) return;
+            flavorCounts.set(flavor, (flavorCounts.get(flavor) || 0) + 1);
+        });
+    });
+
+    scores.sort((a, b) => a - b);
+    const meanScore = scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+    const medianScore = median(scores);
+
+    const criteria = [...optionCounts.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([key, counts]) => {
+        const label = labels.get(key) || { categoryKey: null, nameKey: null, options: [] };
+        const responses = [...counts.values()].reduce((sum, count) => sum + count, 0);
+        return {
+            key,
+            categoryKey: label.categoryKey,
+            nameKey: label.nameKey,
+            responses,
+            options: [...counts.entries()].sort(([a], [b]) => a - b).map(([optionIndex, count]) => ({
+                optionIndex,
+                descriptionKey: label.options[optionIndex] ?? null,
+                count,
+                share: round(count / responses, 4)
+            }))
+        };
+    });
+
+    return {
+        ratingCount: rows.length,
+        score: {
+            count: scores.length,
+            mean: meanScore === null ? null : round(meanScore),
+            median: medianScore === null ? null : round(medianScore),
+            min: scores.length ? scores[0] : null,
+            max: scores.length ? scores[scores.length - 1] : null
+        },
+        gradeDistribution: GRADING_SCALE.map(entry => ({ grade: entry.grade, nameKey: entry.nameKey, count: gradeCounts.get(entry.grade) })),
+        criteria,
+        topFlavors: [...flavorCounts.entries()]
+            .sort(([flavorA, countA], [flavorB, countB]) => countB - countA || flavorA.localeCompare(flavorB))
+            .slice(0, TOP_FLAVOR_LIMIT)
+            .map(([flavor, count]) => ({ flavor, count, share: round(count / rows.length, 4) }))
+    };
+}
+
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+    const cigarId = params.id;
+    const url = new URL(request.url);
+    // results.html 用来把 "这篇评分" 与 "其他人的评分" 分开比较
+    const excludeRatingId = url.searchParams.get('excludeRatingId');
+
+    if (!cigarId) {
+        return jsonResponse({ error: 'Missing cigar id.' }, 400);
+    }
+
+    try {
+        await ensureCatalogTables(env.DB);
+        await ensureVisibilityTables(env.DB);
+        const cigar = await resolveCigar(env.DB, cigarId);
+        if (!cigar) return jsonResponse({ error: 'Cigar not found.' }, 404);
+
+        const { results } = await env.DB.prepare(`
+            SELECT r.id, r.normalizedScore, r.finalGrade_grade, r.fullData
+            FROM rating_cigar_links l
+            JOIN ratings r ON r.id = l.ratingId
+            WHERE l.cigarId = ? AND l.status = 'confirmed' AND r.id != ?
+              AND NOT EXISTS (SELECT 1 FROM rating_visibility v WHERE v.ratingId = r.id AND v.visibility = 'private')
+            ORDER BY r.timestamp DESC
+        `).bind(cigar.id, excludeRatingId ?? '').all();
+
+        return jsonResponse({
+            cigar: toCigarResponse(cigar),
+            requestedId: cigarId,
+            merged: cigar.id !== cigarId,
+            excludedRatingId: excludeRatingId || null,
+            ...aggregateRatings(results || [])
+        });
+    } catch (e) {
+        console.error(`[cigar-stats] Failed to aggregate cigar ${cigarId}:`, e.message, e);
+        return jsonResponse({ error: e.message || 'Unknown error.' }, 500);
+    }
+}
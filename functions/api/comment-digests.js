@@ -0,0 +1,104 @@
+// ---------------------------------------------------
+// 文件: /functions/api/comment-digests.js
+// 作用: 评论动态邮件摘要 (见 digests.js, 邮件通过 mail.js 发送)
+// GET: 当前用户的摘要设置, ?preview=true 时附带下一封邮件的预览 (不发送)
+// GET / POST ?unsubscribe=<token>: 邮件中的退订链接 (POST 为邮件客户端的一键退订), 不需要登录
+// POST {action: "updatePreferences", frequency, language}: 修改自己的设置
+// POST {action: "run"}: 发送到期的摘要, 由定时任务调用 (Authorization: Bearer DIGEST_CRON_SECRET) 或超级管理员手动触发
+// ---------------------------------------------------
+
+import { validateToken } from './auth.js';
+import {
+    DIGEST_FREQUENCIES,
+    ensureDigestTables,
+    getDigestPreferences,
+    parseDigestPreferences,
+    previewDigest,
+    saveDigestPreferences,
+    sendDueDigests,
+    unsubscribeDigest
+} from './digests.js';
+import { createMailTransport } from './mail.js';
+import { ensureVisibilityTables } from './visibility.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function unsubscribePage(success) {
+    const message = success
+        ? '已退订评论摘要邮件。 / You have been unsubscribed from comment digests. / Te has dado de baja de los resúmenes de comentarios.'
+        : '退订链接无效。 / This unsubscribe link is not valid. / Este enlace de baja no es válido.';
+    const html = `<!DOCTYPE html><html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Pistacho</title></head>`
+        + `<body style="font-family:system-ui,sans-serif;max-width:32rem;margin:4rem auto;padding:0 1rem;color:#1f2937"><p>${message}</p><p><a href="/history.html">Pistacho</a></p></body></html>`;
+    return new Response(html, { status: success ? 200 : 404, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+// 定时任务用共享密钥调用; 没有配置密钥时只有超级管理员能触发
+async function authorizeRun(request, env) {
+    const authHeader = request.headers.get('Authorization') || '';
+    if (env.DIGEST_CRON_SECRET && authHeader === `Bearer ${env.DIGEST_CRON_SECRET}`) return 'cron';
+    const userInfo = await validateToken(request, env);
+    if (userInfo.db_role !== 'super_admin') throw new Error('Permission denied: super admin role required.');
+    return userInfo.sub;
+}
+
+async function handleGet(env, request, url) {
+    const userInfo = await validateToken(request, env);
+    const preferences = await getDigestPreferences(env.DB, userInfo.sub);
+    const body = { preferences: { ...preferences, email: userInfo.email ?? null }, frequencies: DIGEST_FREQUENCIES };
+    if (url.searchParams.get('preview') === 'true') {
+        body.preview = await previewDigest(env.DB, userInfo, { siteUrl: url.origin });
+    }
+    return jsonResponse(body);
+}
+
+async function handlePost(env, request, url) {
+    const body = await request.json().catch(() => ({}));
+    const action = body.action;
+
+    if (action === 'updatePreferences') {
+        const userInfo = await validateToken(request, env);
+        const preferences = await saveDigestPreferences(env.DB, userInfo.sub, parseDigestPreferences(body));
+        console.log(`[comment-digests] ${userInfo.sub} set digest frequency to ${preferences.frequency}`);
+        return jsonResponse({ success: true, preferences: { ...preferences, email: userInfo.email ?? null } });
+    }
+    if (action === 'run') {
+        const caller = await authorizeRun(request, env);
+        const summary = await sendDueDigests(env.DB, createMailTransport(env), { siteUrl: env.SITE_URL || url.origin });
+        console.log(`[comment-digests] Run by ${caller}: ${JSON.stringify(summary)}`);
+        return jsonResponse({ success: true, ...summary });
+    }
+    throw new Error('Invalid action.');
+}
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        await ensureDigestTables(env.DB);
+        await ensureVisibilityTables(env.DB);
+
+        const unsubscribeToken = url.searchParams.get('unsubscribe');
+        if (unsubscribeToken && (request.method === 'GET' || request.method === 'POST')) {
+            const success = await unsubscribeDigest(env.DB, unsubscribeToken);
+            if (request.method === 'POST') return jsonResponse({ success }, success ? 200 : 404);
+            return unsubscribePage(success);
+        }
+        if (request.method === 'GET') {
+            return await handleGet(env, request, url);
+        }
+        if (request.method === 'POST') {
+            return await handlePost(env, request, url);
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+    } catch (e) {
+        console.error('[comment-digests API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        else if (e.message.includes('Missing') || e.message.includes('Invalid')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
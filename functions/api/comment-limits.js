@@ -0,0 +1,41 @@
+// ---------------------------------------------------
+// 文件: /functions/api/comment-limits.js
+// 作用: 超级管理员查看 (GET) 和修改 (POST {limits}) 评论防刷屏的限制, 保存后立即生效
+// 限制的含义和检查方式见 limits.js; 某一项设为 0 表示关闭该项检查
+// ---------------------------------------------------
+
+import { validateToken } from './auth.js';
+import { DEFAULT_COMMENT_RATE_LIMITS, ensureLimitTables, getCommentRateLimits, parseCommentRateLimits, saveCommentRateLimits } from './limits.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+export async function onRequest(context) {
+    const { request, env } = context;
+
+    try {
+        const userInfo = await validateToken(request, env);
+        if (userInfo.db_role !== 'super_admin') throw new Error('Permission denied: super admin role required.');
+        await ensureLimitTables(env.DB);
+
+        if (request.method === 'GET') {
+            return jsonResponse({ limits: await getCommentRateLimits(env.DB), defaults: DEFAULT_COMMENT_RATE_LIMITS });
+        }
+        if (request.method === 'POST') {
+            const body = await request.json().catch(() => ({}));
+            const limits = parseCommentRateLimits(body.limits, await getCommentRateLimits(env.DB));
+            await saveCommentRateLimits(env.DB, limits);
+            console.log(`[comment-limits] ${userInfo.sub} updated comment limits: ${JSON.stringify(limits)}`);
+            return jsonResponse({ success: true, limits });
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+    } catch (e) {
+        console.error('[comment-limits API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        else if (e.message.includes('Invalid')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
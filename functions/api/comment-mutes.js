@@ -0,0 +1,32 @@
+// ---------------------------------------------------
+// 文件: /functions/api/comment-mutes.js
+// 作用: 有 comments.moderate 能力的用户查看生效中的评论禁言 (GET, 可选 ?ratingId= 只看作用于该评分的, 含全站禁言)
+// 禁言 / 解除禁言仍通过 PUT /api/comments, 见 mutes.js
+// ---------------------------------------------------
+
+import { validateCapability } from './auth.js';
+import { ensureMuteTables, listActiveMutes, purgeExpiredMutes } from './mutes.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        await validateCapability(request, env, 'comments.moderate');
+        await ensureMuteTables(env.DB);
+        // 过期的禁言已经不生效, 顺便清掉
+        await purgeExpiredMutes(env.DB);
+        const mutes = await listActiveMutes(env.DB, { ratingId: url.searchParams.get('ratingId') || null });
+        return jsonResponse({ mutes });
+    } catch (e) {
+        console.error('[comment-mutes API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
@@ -1,11 +1,63 @@
 // ---------------------------------------------------
 // 文件: /functions/api/comments.js
 // 作用: 提供点评详情页的评论功能以及管理员禁言能力
+// private 评分的评论只对作者和管理员开放 (见 visibility.js)
+// 回复: comments.parentId 指向父评论, GET ?ratingId= 返回嵌套的讨论串
+// 编辑 (PATCH, 仅作者, 发布后 COMMENT_EDIT_WINDOW_MINUTES 内) 与软删除 (DELETE, 作者 / 评分作者 / 管理员)
+// 每条评论附带点赞 / 表情计数 (见 reactions.js, 切换在 /api/rating-reactions)
+// @昵称 提及: 发布 / 编辑时解析并写入 comment_mentions, 被提及的人在 ?owned=true 中收到提醒 (见 mentions.js)
+// 新评论 / 回复 / 提及同时写入站内通知 (见 notifications.js), 打开评论区 (markRead) 时标记为已读
+// 禁言 (PUT, 管理员): 全站或单个评分, 可附原因和期限, 到期自动解除 (见 mutes.js, 列表在 /api/comment-mutes), 写入审计日志 (见 audit.js)
+// 翻译 (GET ?translate=<commentId>&lang=): 按需调用百度翻译, 结果缓存在 comment_translations, 编辑后失效
+// 防刷屏: 发布前按用户 / IP 检查每分钟和每天的条数以及重复内容, 超出时返回 429 (见 limits.js, 设置在 /api/comment-limits)
 // ---------------------------------------------------
 
+import { recordAuditEntry } from './audit.js';
+import { validateToken } from './auth.js';
+import {
+    checkCommentRateLimits,
+    ensureLimitTables,
+    getClientIp,
+    getCommentRateLimits,
+    prepareCommentPostLogStatement,
+    purgeCommentPostLog
+} from './limits.js';
+import { ensureMentionTables, getCommentMentions, prepareMentionStatements, resolveMentions } from './mentions.js';
+import { ensureMuteTables, getActiveMuteForUser, getActiveMutes, getMutesForUser, muteUser, parseMuteOptions, unmuteUser } from './mutes.js';
+import { excerpt, markCommentNotificationsRead, notifyUsers } from './notifications.js';
+import { hasCapability } from './permissions.js';
+import { redactHiddenEmails } from './profiles.js';
+import { attachReactionSummaries, ensureReactionTables } from './reactions.js';
+import { normalizeLanguageTag, SUPPORTED_LANGUAGES, translateText } from './translation.js';
+import { ensureTrashTables } from './trash.js';
+import { canViewRating, ensureVisibilityTables, getRatingVisibility } from './visibility.js';
+
 const MAX_COMMENT_LENGTH = 500;
+const COMMENT_EDIT_WINDOW_MINUTES = 30;
 let tablesEnsured = false;
 
+// 早期的 comments 表没有 parentId 列 (为空表示顶层评论), 这里补上;
+// 过渡期写在 comment_replies 里的回复关系一并迁移过来, 然后删除该表
+async function ensureCommentParentColumn(db) {
+    const { results: columns } = await db.prepare('PRAGMA table_info(comments)').all();
+    if (!(columns || []).some(column => column.name === 'parentId')) {
+        try {
+            await db.prepare('ALTER TABLE comments ADD COLUMN parentId TEXT').run();
+        } catch (e) {
+            // 另一个请求刚刚加过这一列
+            if (!e.message.includes('duplicate column')) throw e;
+        }
+    }
+    const legacyReplies = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'comment_replies'").first();
+    if (legacyReplies) {
+        await db.batch([
+            db.prepare(`UPDATE comments SET parentId = (SELECT rp.parentId FROM comment_replies rp WHERE rp.commentId = comments.id)
+                WHERE parentId IS NULL AND id IN (SELECT commentId FROM comment_replies)`),
+            db.prepare('DROP TABLE comment_replies')
+        ]);
+    }
+}
+
 async function ensureCommentTables(db) {
     if (tablesEnsured) return;
     await db.prepare(`CREATE TABLE IF NOT EXISTS comments (
@@ -16,92 +68,136 @@ async function ensureCommentTables(db) {
         userEmail TEXT,
         content TEXT NOT NULL,
         createdAt TEXT NOT NULL,
-        isDeleted INTEGER NOT NULL DEFAULT 0
+        isDeleted INTEGER NOT NULL DEFAULT 0,
+        parentId TEXT
     )`).run();
+    await ensureCommentParentColumn(db);
     await db.prepare('CREATE INDEX IF NOT EXISTS idx_comments_ratingId ON comments(ratingId)').run();
     await db.prepare('CREATE INDEX IF NOT EXISTS idx_comments_userId ON comments(userId)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_comments_parentId ON comments(parentId)').run();
+    // 每次编辑保存被替换掉的旧内容
+    await db.prepare(`CREATE TABLE IF NOT EXISTS comment_edits (
+        id TEXT PRIMARY KEY,
+        commentId TEXT NOT NULL,
+        ratingId TEXT NOT NULL,
+        previousContent TEXT NOT NULL,
+        editedAt TEXT NOT NULL,
+        editedBy TEXT
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_comment_edits_commentId ON comment_edits(commentId, editedAt)').run();
+    await db.prepare(`CREATE TABLE IF NOT EXISTS comment_deletions (
+        commentId TEXT PRIMARY KEY,
+        ratingId TEXT NOT NULL,
+        deletedBy TEXT,
+        deletedAt TEXT NOT NULL
+    )`).run();
     await db.prepare(`CREATE TABLE IF NOT EXISTS comment_reads (
         ratingId TEXT NOT NULL,
         userId TEXT NOT NULL,
         lastReadAt TEXT NOT NULL,
         PRIMARY KEY (ratingId, userId)
     )`).run();
-    await db.prepare(`CREATE TABLE IF NOT EXISTS comment_mutes (
-        mutedUserId TEXT PRIMARY KEY,
-        mutedBy TEXT,
-        createdAt TEXT NOT NULL
+    // 按需翻译的缓存, 每条评论每种语言一行; 编辑评论时删除
+    await db.prepare(`CREATE TABLE IF NOT EXISTS comment_translations (
+        commentId TEXT NOT NULL,
+        language TEXT NOT NULL,
+        ratingId TEXT NOT NULL,
+        content TEXT NOT NULL,
+        createdAt TEXT NOT NULL,
+        PRIMARY KEY (commentId, language)
     )`).run();
     tablesEnsured = true;
 }
 
-async function getRoleFromDatabase(db, userInfo, source = 'comments') {
-    const userId = userInfo.sub;
-    const email = userInfo.email;
-    const nickname = userInfo.name || userInfo.nickname || userInfo.preferred_username || userInfo.email;
-    if (!userId) {
-        console.error(`[getRoleFromDatabase @ ${source}] userId missing.`);
-        return 'general';
-    }
-    try {
-        const stmtSelect = db.prepare('SELECT role, nickname as dbNickname, email as dbEmail FROM users WHERE userId = ?').bind(userId);
-        const userRecord = await stmtSelect.first();
-        if (userRecord) {
-            if ((email && userRecord.dbEmail !== email) || (nickname && userRecord.dbNickname !== nickname) || userRecord.dbEmail === null || userRecord.dbNickname === null) {
-                const stmtUpdate = db.prepare('UPDATE users SET email = ?, nickname = ? WHERE userId = ?').bind(email ?? null, nickname ?? null, userId);
-                await stmtUpdate.run();
-            }
-            return userRecord.role;
-        }
-        if (email) {
-            const stmtSelectEmail = db.prepare('SELECT userId as dbUserId, role, nickname as dbNickname FROM users WHERE email = ?').bind(email);
-            const userRecordEmail = await stmtSelectEmail.first();
-            if (userRecordEmail) {
-                const stmtUpdateEmail = db.prepare('UPDATE users SET userId = ?, nickname = ? WHERE email = ?').bind(userId, nickname ?? null, email);
-                await stmtUpdateEmail.run();
-                return userRecordEmail.role;
-            }
-        }
-        const assignedRole = 'general';
-        const stmtInsert = db.prepare('INSERT INTO users (userId, email, role, nickname) VALUES (?, ?, ?, ?)').bind(userId, email ?? null, assignedRole, nickname ?? null);
-        await stmtInsert.run();
-        return assignedRole;
-    } catch (e) {
-        console.error(`[getRoleFromDatabase @ ${source}] Database error for userId=${userId}:`, e.message);
-        return 'general';
-    }
+function sanitizeContent(text = '') {
+    return text.replace(/[\u0000-\u001F\u007F]/g, '').trim();
 }
 
-async function validateToken(request, env, { optional = false } = {}) {
-    const authHeader = request.headers.get('Authorization') || '';
-    const token = authHeader.replace('Bearer ', '');
-    if (!token) {
-        if (optional) return null;
-        throw new Error('Missing token');
-    }
-    try {
-        const userInfoUrl = new URL('/oidc/me', env.AUTHING_ISSUER);
-        const response = await fetch(userInfoUrl.toString(), { headers: { 'Authorization': `Bearer ${token}` } });
-        if (!response.ok) {
-            if (optional) return null;
-            throw new Error(`Invalid token (status: ${response.status})`);
-        }
-        const userInfo = await response.json();
-        const dbRole = await getRoleFromDatabase(env.DB, userInfo, `validateToken(${request.method})`);
-        userInfo.db_role = dbRole;
-        return userInfo;
-    } catch (e) {
-        if (optional) return null;
-        throw e;
-    }
+// 被禁言的用户能看到的部分 (不包括执行者)
+function toPublicMute(mute) {
+    return mute ? { scope: mute.scope, ratingId: mute.ratingId, reason: mute.reason, expiresAt: mute.expiresAt } : null;
 }
 
-function sanitizeContent(text = '') {
-    return text.replace(/[\u0000-\u001F\u007F]/g, '').trim();
+function mutedResponse(mute, message) {
+    return new Response(JSON.stringify({ error: message, mute: toPublicMute(mute) }), { status: 403, headers: { 'Content-Type': 'application/json' } });
+}
+
+function rateLimitedResponse(rejection) {
+    const message = rejection.limit === 'duplicate'
+        ? '请勿重复发表相同的评论。'
+        : `评论太频繁，请 ${rejection.retryAfter} 秒后再试。`;
+    return new Response(JSON.stringify({
+        error: message,
+        rateLimit: { limit: rejection.limit, max: rejection.max, retryAfter: rejection.retryAfter }
+    }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json', 'Retry-After': String(rejection.retryAfter) }
+    });
+}
+
+// 评分不存在时返回 false (调用方报 404)。评分在回收站中时, allowTrashed 的只读路径仍对作者和管理员开放
+async function canViewRatingComments(env, ratingId, userInfo, { allowTrashed = false } = {}) {
+    const rating = await env.DB.prepare('SELECT userId FROM ratings WHERE id = ?').bind(ratingId).first();
+    if (rating) return canViewRating(rating, await getRatingVisibility(env.DB, ratingId), userInfo);
+    if (!allowTrashed || !userInfo) return false;
+    await ensureTrashTables(env.DB);
+    const trashed = await env.DB.prepare('SELECT userId FROM rating_trash WHERE ratingId = ?').bind(ratingId).first();
+    if (!trashed) return false;
+    return trashed.userId === userInfo.sub || hasCapability(userInfo, 'ratings.manage') || hasCapability(userInfo, 'comments.moderate');
+}
+
+/**
+ * 把按时间正序的评论行组装成讨论串: 每条评论带 replies (同样按时间正序) 和 replyCount (所有后代回复数)
+ * 父评论已不存在时, 回复作为顶层评论显示。已删除的评论只在还有未删除的回复时保留为占位 (不含内容和作者)
+ */
+function buildCommentThreads(rows) {
+    const nodes = new Map();
+    rows.forEach(row => nodes.set(row.id, { ...row, parentId: row.parentId ?? null, isDeleted: !!row.isDeleted, replies: [], replyCount: 0 }));
+    const threads = [];
+    nodes.forEach(node => {
+        const parent = node.parentId ? nodes.get(node.parentId) : null;
+        if (parent) parent.replies.push(node);
+        else threads.push(node);
+    });
+    const prune = list => list.filter(node => {
+        node.replies = prune(node.replies);
+        node.replyCount = node.replies.reduce((sum, reply) => sum + (reply.isDeleted ? 0 : 1) + reply.replyCount, 0);
+        if (!node.isDeleted) return true;
+        Object.assign(node, { userId: null, userNickname: null, userEmail: null, content: '', editedAt: null, editCount: 0 });
+        return node.replies.length > 0;
+    });
+    return prune(threads);
+}
+
+function isWithinEditWindow(createdAt, now = Date.now()) {
+    const created = new Date(createdAt).getTime();
+    return Number.isFinite(created) && now - created <= COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000;
 }
 
-function isAdminRole(userInfo) {
-    const role = userInfo?.db_role;
-    return role === 'admin' || role === 'super_admin';
+function canDeleteComment(comment, ratingOwnerId, userInfo) {
+    if (!userInfo) return false;
+    return comment.userId === userInfo.sub || ratingOwnerId === userInfo.sub || hasCapability(userInfo, 'comments.moderate');
+}
+
+// 给每条 (未删除的) 评论加上当前用户能否编辑 / 删除, 页面据此显示按钮
+function annotateCommentPermissions(threads, ratingOwnerId, userInfo, mutedUserIds) {
+    const isMuted = !!userInfo && mutedUserIds.includes(userInfo.sub);
+    const visit = node => {
+        node.canEdit = !node.isDeleted && !!userInfo && node.userId === userInfo.sub && !isMuted && isWithinEditWindow(node.createdAt);
+        node.canDelete = !node.isDeleted && canDeleteComment(node, ratingOwnerId, userInfo);
+        node.replies.forEach(visit);
+    };
+    threads.forEach(visit);
+    return threads;
+}
+
+// 讨论串中所有未删除的评论 (占位的已删除评论不显示回应)
+function collectLiveComments(threads, collected = []) {
+    threads.forEach(node => {
+        if (!node.isDeleted) collected.push(node);
+        collectLiveComments(node.replies, collected);
+    });
+    return collected;
 }
 
 async function handleGetRatingComments(env, request, url) {
@@ -109,6 +205,14 @@ async function handleGetRatingComments(env, request, url) {
     if (owned) {
         return await handleGetOwnedRatingComments(env, request, url);
     }
+    const editsFor = url.searchParams.get('editsFor');
+    if (editsFor) {
+        return await handleGetCommentEdits(env, request, editsFor);
+    }
+    const translate = url.searchParams.get('translate');
+    if (translate) {
+        return await handleGetCommentTranslation(env, request, translate, url.searchParams.get('lang'));
+    }
     const ratingId = url.searchParams.get('ratingId');
     const includeMine = url.searchParams.get('mine') === 'true';
     const markAsRead = url.searchParams.get('markRead') === 'true';
@@ -118,6 +222,10 @@ async function handleGetRatingComments(env, request, url) {
 
     if (includeMine) {
         const userInfo = await validateToken(request, env);
+        // 评分之后被作者设为 private 时, 其他人的参与记录中不再显示它
+        const visibilityFilter = hasCapability(userInfo, 'ratings.manage')
+            ? ''
+            : `AND (r.userId = ? OR NOT EXISTS (SELECT 1 FROM rating_visibility v WHERE v.ratingId = r.id AND v.visibility = 'private'))`;
         const stmt = env.DB.prepare(`
             SELECT c.id AS commentId, c.ratingId, c.content, c.createdAt,
                    r.title, r.cigarName, r.cigarSize, r.cigarOrigin,
@@ -125,34 +233,52 @@ async function handleGetRatingComments(env, request, url) {
                    r.normalizedScore, r.finalGrade_grade, r.finalGrade_name_cn
             FROM comments c
             JOIN ratings r ON c.ratingId = r.id
-            WHERE c.userId = ? AND c.isDeleted = 0
+            WHERE c.userId = ? AND c.isDeleted = 0 ${visibilityFilter}
             ORDER BY c.createdAt DESC
             LIMIT 200
-        `).bind(userInfo.sub);
+        `).bind(...(visibilityFilter ? [userInfo.sub, userInfo.sub] : [userInfo.sub]));
         const { results } = await stmt.all();
-        return new Response(JSON.stringify({ participation: results || [] }), { headers: { 'Content-Type': 'application/json' } });
+        const participation = results || [];
+        // 评分作者的昵称可能退回成了隐藏的邮箱 (见 profiles.js)
+        const ratingAuthors = participation.map(row => ({ userId: row.ratingUserId, userNickname: row.ratingUserNickname }));
+        await redactHiddenEmails(env.DB, ratingAuthors, userInfo);
+        participation.forEach((row, index) => { row.ratingUserNickname = ratingAuthors[index].userNickname; });
+        return new Response(JSON.stringify({ participation }), { headers: { 'Content-Type': 'application/json' } });
     }
 
-    const userInfo = await validateToken(request, env, { optional: !markAsRead });
+    // 页面对所有登录用户都带 markRead; 令牌失效时照常返回评论, 只是不记录已读
+    const userInfo = await validateToken(request, env, { optional: true });
+    if (!(await canViewRatingComments(env, ratingId, userInfo, { allowTrashed: true }))) {
+        return new Response(JSON.stringify({ error: '指定的点评不存在或已被删除。' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+    }
 
+    // 已删除的评论也要取出来, 它们下面的回复需要占位才能保持讨论串的结构
     const commentStmt = env.DB.prepare(`
-        SELECT id, ratingId, userId, userNickname, userEmail, content, createdAt
-        FROM comments
-        WHERE ratingId = ? AND isDeleted = 0
-        ORDER BY datetime(createdAt) ASC
+        SELECT c.id, c.ratingId, c.userId, c.userNickname, c.userEmail, c.content, c.createdAt, c.isDeleted, c.parentId,
+               (SELECT MAX(e.editedAt) FROM comment_edits e WHERE e.commentId = c.id) AS editedAt,
+               (SELECT COUNT(*) FROM comment_edits e WHERE e.commentId = c.id) AS editCount
+        FROM comments c
+        WHERE c.ratingId = ?
+        ORDER BY datetime(c.createdAt) ASC
     `).bind(ratingId);
-    const { results: commentRows } = await commentStmt.all();
+    const { results: allCommentRows } = await commentStmt.all();
+    // 隐藏了邮箱的评论者 (见 profiles.js)
+    await redactHiddenEmails(env.DB, allCommentRows || [], userInfo);
+    const commentRows = (allCommentRows || []).filter(comment => !comment.isDeleted);
 
-    const muteStmt = env.DB.prepare('SELECT mutedUserId FROM comment_mutes');
-    const { results: muteRows } = await muteStmt.all();
-    const mutedUserIds = (muteRows || []).map(row => row.mutedUserId).filter(Boolean);
+    const activeMutes = await getActiveMutes(env.DB, ratingId);
+    const mutedUserIds = [...activeMutes.keys()];
     const currentUserId = userInfo?.sub ?? null;
 
+    const ratingOwnerStmt = env.DB.prepare('SELECT userId FROM ratings WHERE id = ?').bind(ratingId);
+    const ratingOwner = await ratingOwnerStmt.first();
+
     if (markAsRead && userInfo && currentUserId) {
         try {
-            const ratingOwnerStmt = env.DB.prepare('SELECT userId FROM ratings WHERE id = ?').bind(ratingId);
-            const ratingOwner = await ratingOwnerStmt.first();
-            if (ratingOwner && ratingOwner.userId === currentUserId) {
+            // 评分作者, 在这里发过评论 (可能收到回复) 或被提及的用户都有已读记录
+            const isParticipant = (commentRows || []).some(comment => comment.userId === currentUserId)
+                || !!(await env.DB.prepare('SELECT 1 FROM comment_mentions WHERE ratingId = ? AND mentionedUserId = ?').bind(ratingId, currentUserId).first());
+            if (ratingOwner && (ratingOwner.userId === currentUserId || isParticipant)) {
                 let latestOtherCommentAt = null;
                 (commentRows || []).forEach(comment => {
                     if (comment.userId && comment.userId !== currentUserId) {
@@ -168,17 +294,29 @@ async function handleGetRatingComments(env, request, url) {
                     ON CONFLICT(ratingId, userId) DO UPDATE SET lastReadAt = excluded.lastReadAt
                 `).bind(ratingId, currentUserId, timestampToStore).run();
             }
+            await markCommentNotificationsRead(env.DB, currentUserId, ratingId);
         } catch (markErr) {
             console.error('[comments API] Failed to update comment_reads:', markErr.message);
         }
     }
+    const threads = annotateCommentPermissions(buildCommentThreads(allCommentRows || []), ratingOwner?.userId ?? null, userInfo, mutedUserIds);
+    const liveComments = collectLiveComments(threads);
+    await attachReactionSummaries(env.DB, 'comment', liveComments, currentUserId);
+    const mentionsByComment = await getCommentMentions(env.DB, liveComments.map(comment => comment.id));
+    liveComments.forEach(comment => { comment.mentions = mentionsByComment.get(comment.id) || []; });
     const responsePayload = {
-        comments: commentRows || [],
+        comments: threads,
+        totalCount: commentRows.length,
+        editWindowMinutes: COMMENT_EDIT_WINDOW_MINUTES,
         mutedUserIds,
+        // 管理员可以看到每条禁言的范围、原因和期限
+        ...(hasCapability(userInfo, 'comments.moderate') ? { mutes: [...activeMutes.values()] } : {}),
         currentUser: userInfo ? {
             id: currentUserId,
             role: userInfo.db_role || 'general',
-            muted: currentUserId ? mutedUserIds.includes(currentUserId) : false
+            capabilities: userInfo.capabilities || [],
+            muted: currentUserId ? activeMutes.has(currentUserId) : false,
+            mute: toPublicMute(activeMutes.get(currentUserId))
         } : null
     };
     return new Response(JSON.stringify(responsePayload), { headers: { 'Content-Type': 'application/json' } });
@@ -189,19 +327,25 @@ async function handleGetOwnedRatingComments(env, request, url) {
     const userInfo = await validateToken(request, env);
     const ownerId = userInfo.sub;
 
+    // 自己评分下别人的评论, 以及别人对自己评论的回复和提及自己的评论 (包括在他人评分下的)
     const stmt = env.DB.prepare(`
         SELECT c.id AS commentId, c.ratingId, c.userId, c.userNickname, c.userEmail, c.content, c.createdAt,
+               c.parentId, CASE WHEN p.userId = ? THEN 1 ELSE 0 END AS isReplyToMe,
+               CASE WHEN m.mentionedUserId IS NOT NULL THEN 1 ELSE 0 END AS isMentionOfMe,
                r.title AS ratingTitle, r.cigarName, r.cigarSize, r.cigarOrigin,
                r.normalizedScore, r.finalGrade_grade, r.finalGrade_name_cn,
                cr.lastReadAt,
                CASE WHEN cr.lastReadAt IS NULL OR datetime(c.createdAt) > datetime(cr.lastReadAt) THEN 1 ELSE 0 END AS isNew
         FROM comments c
         JOIN ratings r ON c.ratingId = r.id
-        LEFT JOIN comment_reads cr ON cr.ratingId = c.ratingId AND cr.userId = r.userId
-        WHERE r.userId = ? AND c.userId != ? AND c.isDeleted = 0
+        LEFT JOIN comments p ON p.id = c.parentId AND p.isDeleted = 0
+        LEFT JOIN comment_mentions m ON m.commentId = c.id AND m.mentionedUserId = ?
+        LEFT JOIN comment_reads cr ON cr.ratingId = c.ratingId AND cr.userId = ?
+        WHERE (r.userId = ? OR ((p.userId = ? OR m.mentionedUserId IS NOT NULL) AND NOT EXISTS (SELECT 1 FROM rating_visibility v WHERE v.ratingId = r.id AND v.visibility = 'private')))
+          AND c.userId != ? AND c.isDeleted = 0
         ORDER BY datetime(c.createdAt) DESC
         LIMIT 300
-    `).bind(ownerId, ownerId);
+    `).bind(ownerId, ownerId, ownerId, ownerId, ownerId, ownerId);
 
     const { results } = await stmt.all();
     const comments = (results || []).map(row => ({
@@ -212,6 +356,9 @@ async function handleGetOwnedRatingComments(env, request, url) {
         userEmail: row.userEmail,
         content: row.content,
         createdAt: row.createdAt,
+        parentId: row.parentId ?? null,
+        isReplyToMe: row.isReplyToMe === 1,
+        isMentionOfMe: row.isMentionOfMe === 1,
         ratingTitle: row.ratingTitle,
         cigarName: row.cigarName,
         cigarSize: row.cigarSize,
@@ -222,6 +369,7 @@ async function handleGetOwnedRatingComments(env, request, url) {
         lastReadAt: row.lastReadAt,
         isNew: row.isNew === 1
     }));
+    await redactHiddenEmails(env.DB, comments, userInfo);
 
     const hasUnread = comments.some(comment => comment.isNew);
 
@@ -241,6 +389,7 @@ async function handleGetOwnedRatingComments(env, request, url) {
                     ON CONFLICT(ratingId, userId) DO UPDATE SET lastReadAt = excluded.lastReadAt
                 `).bind(ratingId, ownerId, latestTimestamp).run();
             }
+            await markCommentNotificationsRead(env.DB, ownerId);
         } catch (markErr) {
             console.error('[comments API] Failed to update comment_reads for owned comments:', markErr.message);
         }
@@ -255,6 +404,7 @@ async function handlePostComment(env, request) {
     const userInfo = await validateToken(request, env);
     const payload = await request.json().catch(() => ({}));
     const ratingId = payload.ratingId;
+    const parentId = payload.parentId || null;
     let content = sanitizeContent(payload.content);
 
     if (!ratingId) {
@@ -267,24 +417,42 @@ async function handlePostComment(env, request) {
         return new Response(JSON.stringify({ error: `评论内容不能超过 ${MAX_COMMENT_LENGTH} 个字符。` }), { status: 400, headers: { 'Content-Type': 'application/json' } });
     }
 
-    const muteStmt = env.DB.prepare('SELECT 1 FROM comment_mutes WHERE mutedUserId = ?').bind(userInfo.sub);
-    const mutedRecord = await muteStmt.first();
-    if (mutedRecord) {
-        return new Response(JSON.stringify({ error: '您已被禁言，无法发表评论。' }), { status: 403, headers: { 'Content-Type': 'application/json' } });
+    const activeMute = await getActiveMuteForUser(env.DB, userInfo.sub, ratingId);
+    if (activeMute) {
+        return mutedResponse(activeMute, '您已被禁言，无法发表评论。');
+    }
+
+    await purgeCommentPostLog(env.DB);
+    const rateLimit = await checkCommentRateLimits(env.DB, {
+        userId: userInfo.sub,
+        ip: getClientIp(request),
+        content
+    }, await getCommentRateLimits(env.DB));
+    if (!rateLimit.allowed) {
+        console.warn(`[comments API] Rate limited ${userInfo.sub}: ${rateLimit.limit}`);
+        return rateLimitedResponse(rateLimit);
     }
 
-    const ratingStmt = env.DB.prepare('SELECT id FROM ratings WHERE id = ?').bind(ratingId);
+    const ratingStmt = env.DB.prepare('SELECT id, userId FROM ratings WHERE id = ?').bind(ratingId);
     const ratingExists = await ratingStmt.first();
-    if (!ratingExists) {
+    if (!ratingExists || !(await canViewRatingComments(env, ratingId, userInfo))) {
         return new Response(JSON.stringify({ error: '指定的点评不存在或已被删除。' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
     }
 
+    let parent = null;
+    if (parentId) {
+        parent = await env.DB.prepare('SELECT ratingId, userId FROM comments WHERE id = ? AND isDeleted = 0').bind(parentId).first();
+        if (!parent || parent.ratingId !== ratingId) {
+            return new Response(JSON.stringify({ error: '要回复的评论不存在或已被删除。' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+        }
+    }
+
     const commentId = crypto.randomUUID();
     const nickname = userInfo.nickname || userInfo.name || userInfo.preferred_username || userInfo.email;
     const createdAt = new Date().toISOString();
-    await env.DB.prepare(`
-        INSERT INTO comments (id, ratingId, userId, userNickname, userEmail, content, createdAt, isDeleted)
-        VALUES (?, ?, ?, ?, ?, ?, ?, 0)
+    const statements = [env.DB.prepare(`
+        INSERT INTO comments (id, ratingId, userId, userNickname, userEmail, content, createdAt, isDeleted, parentId)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)
     `).bind(
         commentId,
         ratingId,
@@ -292,8 +460,21 @@ async function handlePostComment(env, request) {
         nickname ?? null,
         userInfo.email ?? null,
         content,
-        createdAt
-    ).run();
+        createdAt,
+        parentId
+    )];
+    const mentions = await resolveMentions(env.DB, content, { authorId: userInfo.sub, rating: ratingExists, visibility: await getRatingVisibility(env.DB, ratingId) });
+    statements.push(...prepareMentionStatements(env.DB, { commentId, ratingId, mentions, createdAt }));
+    statements.push(prepareCommentPostLogStatement(env.DB, { userId: userInfo.sub, fingerprint: rateLimit.fingerprint, createdAt }));
+    await env.DB.batch(statements);
+
+    // 同一个人只收到一条: 被回复的人 > 评分作者 > 被提及的人
+    const notification = { actor: userInfo, ratingId, commentId, data: { excerpt: excerpt(content) } };
+    await notifyUsers(env.DB, [
+        ...(parent ? [{ ...notification, userId: parent.userId, type: 'reply' }] : []),
+        { ...notification, userId: ratingExists.userId, type: 'comment' },
+        ...mentions.map(mention => ({ ...notification, userId: mention.userId, type: 'mention' }))
+    ]);
 
     return new Response(JSON.stringify({
         success: true,
@@ -304,14 +485,151 @@ async function handlePostComment(env, request) {
             userNickname: nickname ?? null,
             userEmail: userInfo.email ?? null,
             content,
-            createdAt
+            createdAt,
+            parentId,
+            mentions
         }
     }), { status: 201, headers: { 'Content-Type': 'application/json' } });
 }
 
+async function handleEditComment(env, request) {
+    const userInfo = await validateToken(request, env);
+    const payload = await request.json().catch(() => ({}));
+    const commentId = payload.commentId;
+    const content = sanitizeContent(payload.content);
+
+    if (!commentId) {
+        return new Response(JSON.stringify({ error: 'commentId is required.' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+    }
+    if (!content) {
+        return new Response(JSON.stringify({ error: '内容不能为空。' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+    }
+    if (content.length > MAX_COMMENT_LENGTH) {
+        return new Response(JSON.stringify({ error: `评论内容不能超过 ${MAX_COMMENT_LENGTH} 个字符。` }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+    }
+
+    const comment = await env.DB.prepare('SELECT id, ratingId, userId, content, createdAt FROM comments WHERE id = ? AND isDeleted = 0').bind(commentId).first();
+    if (!comment || !(await canViewRatingComments(env, comment.ratingId, userInfo))) {
+        return new Response(JSON.stringify({ error: '评论不存在或已被删除。' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+    }
+    if (comment.userId !== userInfo.sub) {
+        return new Response(JSON.stringify({ error: 'Permission denied: only the author can edit this comment.' }), { status: 403, headers: { 'Content-Type': 'application/json' } });
+    }
+    const activeMute = await getActiveMuteForUser(env.DB, userInfo.sub, comment.ratingId);
+    if (activeMute) {
+        return mutedResponse(activeMute, '您已被禁言，无法编辑评论。');
+    }
+    if (!isWithinEditWindow(comment.createdAt)) {
+        return new Response(JSON.stringify({ error: `评论发布超过 ${COMMENT_EDIT_WINDOW_MINUTES} 分钟后不能再编辑。` }), { status: 403, headers: { 'Content-Type': 'application/json' } });
+    }
+
+    if (content !== comment.content) {
+        const editedAt = new Date().toISOString();
+        // 提及按新内容重新解析; 未读状态仍按评论的发布时间计算
+        const rating = await env.DB.prepare('SELECT id, userId FROM ratings WHERE id = ?').bind(comment.ratingId).first();
+        const mentions = await resolveMentions(env.DB, content, { authorId: userInfo.sub, rating, visibility: await getRatingVisibility(env.DB, comment.ratingId) });
+        const previouslyMentioned = new Set(((await getCommentMentions(env.DB, [commentId])).get(commentId) || []).map(mention => mention.userId));
+        await env.DB.batch([
+            env.DB.prepare('INSERT INTO comment_edits (id, commentId, ratingId, previousContent, editedAt, editedBy) VALUES (?, ?, ?, ?, ?, ?)')
+                .bind(crypto.randomUUID(), commentId, comment.ratingId, comment.content, editedAt, userInfo.sub),
+            env.DB.prepare('UPDATE comments SET content = ? WHERE id = ?').bind(content, commentId),
+            env.DB.prepare('DELETE FROM comment_translations WHERE commentId = ?').bind(commentId),
+            ...prepareMentionStatements(env.DB, { commentId, ratingId: comment.ratingId, mentions, createdAt: comment.createdAt, replace: true })
+        ]);
+        // 只通知这次编辑新提到的人
+        await notifyUsers(env.DB, mentions.filter(mention => !previouslyMentioned.has(mention.userId)).map(mention => ({
+            userId: mention.userId, type: 'mention', actor: userInfo, ratingId: comment.ratingId, commentId, data: { excerpt: excerpt(content) }
+        })));
+    }
+    const mentions = (await getCommentMentions(env.DB, [commentId])).get(commentId) || [];
+    const edits = await env.DB.prepare('SELECT MAX(editedAt) AS editedAt, COUNT(*) AS editCount FROM comment_edits WHERE commentId = ?').bind(commentId).first();
+
+    return new Response(JSON.stringify({
+        success: true,
+        comment: { id: commentId, ratingId: comment.ratingId, content, mentions, editedAt: edits?.editedAt ?? null, editCount: edits?.editCount ?? 0 }
+    }), { headers: { 'Content-Type': 'application/json' } });
+}
+
+// GET ?editsFor=<commentId>: 编辑历史 (旧版本, 时间倒序), 能看到评论的人都能看
+async function handleGetCommentEdits(env, request, commentId) {
+    const userInfo = await validateToken(request, env, { optional: true });
+    const comment = await env.DB.prepare('SELECT id, ratingId, content FROM comments WHERE id = ? AND isDeleted = 0').bind(commentId).first();
+    if (!comment || !(await canViewRatingComments(env, comment.ratingId, userInfo, { allowTrashed: true }))) {
+        return new Response(JSON.stringify({ error: '评论不存在或已被删除。' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+    }
+    const { results } = await env.DB.prepare(`
+        SELECT previousContent AS content, editedAt
+        FROM comment_edits
+        WHERE commentId = ?
+        ORDER BY editedAt DESC
+    `).bind(commentId).all();
+    return new Response(JSON.stringify({ commentId, current: comment.content, edits: results || [] }), { headers: { 'Content-Type': 'application/json' } });
+}
+
+// GET ?translate=<commentId>&lang=zh|en|es: 评论的译文, 能看到评论的人都能请求; 同一语言只调用一次翻译接口
+async function handleGetCommentTranslation(env, request, commentId, language) {
+    const targetLanguage = normalizeLanguageTag(language, null);
+    if (!targetLanguage) {
+        return new Response(JSON.stringify({ error: `Invalid lang, expected one of: ${SUPPORTED_LANGUAGES.join(', ')}.` }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+    }
+    const userInfo = await validateToken(request, env, { optional: true });
+    const comment = await env.DB.prepare('SELECT id, ratingId, content FROM comments WHERE id = ? AND isDeleted = 0').bind(commentId).first();
+    if (!comment || !(await canViewRatingComments(env, comment.ratingId, userInfo, { allowTrashed: true }))) {
+        return new Response(JSON.stringify({ error: '评论不存在或已被删除。' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+    }
+
+    const cached = await env.DB.prepare('SELECT content FROM comment_translations WHERE commentId = ? AND language = ?').bind(commentId, targetLanguage).first();
+    if (cached) {
+        return new Response(JSON.stringify({ commentId, language: targetLanguage, content: cached.content, cached: true }), { headers: { 'Content-Type': 'application/json' } });
+    }
+    const translated = await translateText(env, comment.content, targetLanguage);
+    if (translated === null) {
+        return new Response(JSON.stringify({ error: '翻译服务暂时不可用。' }), { status: 503, headers: { 'Content-Type': 'application/json' } });
+    }
+    await env.DB.prepare(`
+        INSERT INTO comment_translations (commentId, language, ratingId, content, createdAt) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(commentId, language) DO UPDATE SET content = excluded.content, createdAt = excluded.createdAt
+    `).bind(commentId, targetLanguage, comment.ratingId, translated, new Date().toISOString()).run();
+    return new Response(JSON.stringify({ commentId, language: targetLanguage, content: translated, cached: false }), { headers: { 'Content-Type': 'application/json' } });
+}
+
+async function handleDeleteComment(env, request) {
+    const userInfo = await validateToken(request, env);
+    const payload = await request.json().catch(() => ({}));
+    const commentId = payload.commentId;
+    if (!commentId) {
+        return new Response(JSON.stringify({ error: 'commentId is required.' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+    }
+
+    const comment = await env.DB.prepare(`
+        SELECT c.id, c.ratingId, c.userId, r.userId AS ratingOwnerId
+        FROM comments c
+        LEFT JOIN ratings r ON r.id = c.ratingId
+        WHERE c.id = ? AND c.isDeleted = 0
+    `).bind(commentId).first();
+    if (!comment || !(await canViewRatingComments(env, comment.ratingId, userInfo, { allowTrashed: true }))) {
+        return new Response(JSON.stringify({ error: '评论不存在或已被删除。' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+    }
+    if (!canDeleteComment(comment, comment.ratingOwnerId, userInfo)) {
+        return new Response(JSON.stringify({ error: 'Permission denied.' }), { status: 403, headers: { 'Content-Type': 'application/json' } });
+    }
+
+    // 软删除: 内容保留在表中 (isDeleted = 1), 列表不再显示; comment_deletions 记录是谁删除的
+    const deletedAt = new Date().toISOString();
+    await env.DB.batch([
+        env.DB.prepare('UPDATE comments SET isDeleted = 1 WHERE id = ?').bind(commentId),
+        env.DB.prepare(`
+            INSERT INTO comment_deletions (commentId, ratingId, deletedBy, deletedAt) VALUES (?, ?, ?, ?)
+            ON CONFLICT(commentId) DO UPDATE SET deletedBy = excluded.deletedBy, deletedAt = excluded.deletedAt
+        `).bind(commentId, comment.ratingId, userInfo.sub, deletedAt)
+    ]);
+    console.log(`[comments API] Comment ${commentId} deleted by ${userInfo.sub}.`);
+    return new Response(JSON.stringify({ success: true, commentId, deletedAt }), { headers: { 'Content-Type': 'application/json' } });
+}
+
 async function handleMuteAction(env, request) {
     const userInfo = await validateToken(request, env);
-    if (!isAdminRole(userInfo)) {
+    if (!hasCapability(userInfo, 'comments.moderate')) {
         return new Response(JSON.stringify({ error: 'Permission denied.' }), { status: 403, headers: { 'Content-Type': 'application/json' } });
     }
 
@@ -325,26 +643,42 @@ async function handleMuteAction(env, request) {
         return new Response(JSON.stringify({ error: '无法对自己执行此操作。' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
     }
 
+    // scope: global (默认) / rating (需要 ratingId); durationHours 为空表示永久; 对同一范围再次禁言会覆盖原来的原因和期限
     if (action === 'mute') {
+        let options;
         try {
-            await env.DB.prepare('INSERT INTO comment_mutes (mutedUserId, mutedBy, createdAt) VALUES (?, ?, ?)')
-                .bind(targetUserId, userInfo.sub, new Date().toISOString())
-                .run();
+            options = parseMuteOptions(payload);
         } catch (e) {
-            if (e.message && e.message.includes('UNIQUE')) {
-                await env.DB.prepare('UPDATE comment_mutes SET mutedBy = ?, createdAt = ? WHERE mutedUserId = ?')
-                    .bind(userInfo.sub, new Date().toISOString(), targetUserId)
-                    .run();
-            } else {
-                throw e;
-            }
+            return new Response(JSON.stringify({ error: e.message }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+        }
+        if (options.ratingId && !(await env.DB.prepare('SELECT 1 FROM ratings WHERE id = ?').bind(options.ratingId).first())) {
+            return new Response(JSON.stringify({ error: '指定的点评不存在或已被删除。' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
         }
-        return new Response(JSON.stringify({ success: true, muted: true, targetUserId }), { headers: { 'Content-Type': 'application/json' } });
+        const before = await getMutesForUser(env.DB, targetUserId);
+        const mute = await muteUser(env.DB, { mutedUserId: targetUserId, ...options, mutedBy: userInfo.sub });
+        await recordAuditEntry(env.DB, {
+            actor: userInfo, action: 'comment.mute', targetType: 'user', targetId: targetUserId,
+            before, after: await getMutesForUser(env.DB, targetUserId), request
+        });
+        return new Response(JSON.stringify({ success: true, muted: true, targetUserId, mute }), { headers: { 'Content-Type': 'application/json' } });
     }
 
+    // 不带 scope 时解除该用户的全部禁言
     if (action === 'unmute') {
-        await env.DB.prepare('DELETE FROM comment_mutes WHERE mutedUserId = ?').bind(targetUserId).run();
-        return new Response(JSON.stringify({ success: true, muted: false, targetUserId }), { headers: { 'Content-Type': 'application/json' } });
+        const before = await getMutesForUser(env.DB, targetUserId);
+        let removed;
+        try {
+            removed = await unmuteUser(env.DB, { mutedUserId: targetUserId, scope: payload.scope ?? null, ratingId: payload.ratingId ?? null });
+        } catch (e) {
+            return new Response(JSON.stringify({ error: e.message }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+        }
+        if (removed > 0) {
+            await recordAuditEntry(env.DB, {
+                actor: userInfo, action: 'comment.unmute', targetType: 'user', targetId: targetUserId,
+                before, after: await getMutesForUser(env.DB, targetUserId), request
+            });
+        }
+        return new Response(JSON.stringify({ success: true, muted: false, targetUserId, removed }), { headers: { 'Content-Type': 'application/json' } });
     }
 
     return new Response(JSON.stringify({ error: 'Unsupported action.' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
@@ -356,6 +690,11 @@ export async function onRequest(context) {
 
     try {
         await ensureCommentTables(env.DB);
+        await ensureVisibilityTables(env.DB);
+        await ensureReactionTables(env.DB);
+        await ensureMentionTables(env.DB);
+        await ensureMuteTables(env.DB);
+        await ensureLimitTables(env.DB);
         if (request.method === 'GET') {
             return await handleGetRatingComments(env, request, url);
         }
@@ -365,6 +704,12 @@ export async function onRequest(context) {
         if (request.method === 'PUT') {
             return await handleMuteAction(env, request);
         }
+        if (request.method === 'PATCH') {
+            return await handleEditComment(env, request);
+        }
+        if (request.method === 'DELETE') {
+            return await handleDeleteComment(env, request);
+        }
         return new Response('Method Not Allowed', { status: 405 });
     } catch (e) {
         console.error('[comments API] Error:', e.message, e);
@@ -1,43 +1,20 @@
 // ---------------------------------------------------
 // 文件: /functions/api/config/[profileId].js
 // 作用: 处理单个配置方案的获取(GET)、保存/更新(POST)、删除(DELETE)
+// 保存和删除连同修改前后的配置写入审计日志 (见 audit.js)
 // ---------------------------------------------------
 
-/**
- * **FIXED**: Validates Authing Token AND checks D1 database for admin role.
- * @param {Request} request
- * @param {object} env
- * @returns {Promise<object>} - User info if authorized
- */
-async function validateAdminToken(request, env) {
-    const authHeader = request.headers.get('Authorization') || '';
-    const token = authHeader.replace('Bearer ', '');
-    if (!token) throw new Error("Missing authorization token.");
+import { ensureAuditTables, prepareAuditEntry } from '../audit.js';
+import { validateCapability } from '../auth.js';
 
-    // 1. Validate token with Authing
-    const userInfoUrl = new URL('/oidc/me', env.AUTHING_ISSUER);
-    const response = await fetch(userInfoUrl.toString(), {
-        headers: { 'Authorization': `Bearer ${token}` }
-    });
-    if (!response.ok) throw new Error('Invalid token.');
-    const userInfo = await response.json();
-
-    // 2. **CRITICAL FIX**: Check role in our D1 database
-    const userId = userInfo.sub;
-    const stmt = env.DB.prepare("SELECT role FROM users WHERE userId = ?").bind(userId);
-    const userRecord = await stmt.first();
-
-    // 3. Check if user exists in DB and has admin or super_admin role
-    if (!userRecord || (userRecord.role !== 'admin' && userRecord.role !== 'super_admin')) {
-        throw new Error("Permission denied. Admin role required.");
+function parseConfigData(value) {
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
     }
-
-    // Add db_role to userInfo for consistency (though not strictly needed here)
-    userInfo.db_role = userRecord.role;
-    return userInfo;
 }
 
-
 // --- API 方法 ---
 
 // GET (No changes needed, GET requests are public)
@@ -64,14 +41,14 @@ export async function onRequestGet(context) {
     }
 }
 
-// POST (Uses updated validateAdminToken)
+// POST (requires the config.edit capability)
 export async function onRequestPost(context) {
     const { request, env, params } = context;
     const profileId = params.profileId;
 
     try {
         // **Security Check**: Only admins (checked via D1) can write
-        await validateAdminToken(request, env); 
+        const userInfo = await validateCapability(request, env, 'config.edit'); 
         
         const configData = await request.json();
         if (!configData || !configData.ratingCriteria) {
@@ -88,7 +65,17 @@ export async function onRequestPost(context) {
             JSON.stringify(configData),
             new Date().toISOString()
         );
-        await stmt.run();
+        const previous = await env.DB.prepare("SELECT configData FROM config_profiles WHERE profileId = ?").bind(profileId).first();
+        await ensureAuditTables(env.DB);
+        await env.DB.batch([stmt, prepareAuditEntry(env.DB, {
+            actor: userInfo,
+            action: 'config.save',
+            targetType: 'config',
+            targetId: profileId,
+            before: previous ? parseConfigData(previous.configData) : null,
+            after: configData,
+            request
+        })]);
 
         return new Response(JSON.stringify({ success: true, profileId: profileId }), { 
             status: 200,
@@ -103,27 +90,36 @@ export async function onRequestPost(context) {
     }
 }
 
-// DELETE (Uses updated validateAdminToken)
+// DELETE (requires the config.edit capability)
 export async function onRequestDelete(context) {
     const { request, env, params } = context;
     const profileId = params.profileId;
 
     try {
         // **Security Check**: Only admins (checked via D1) can delete
-        await validateAdminToken(request, env);
+        const userInfo = await validateCapability(request, env, 'config.edit');
         
         if (profileId === 'latest') {
             return new Response(JSON.stringify({ error: "Cannot delete the 'latest' profile via API." }), { status: 400 });
         }
 
-        const stmt = env.DB.prepare("DELETE FROM config_profiles WHERE profileId = ?").bind(profileId);
-        const result = await stmt.run();
-
-        if (result.changes > 0) {
-            return new Response(JSON.stringify({ success: true, profileId: profileId }), { status: 200 });
-        } else {
+        const previous = await env.DB.prepare("SELECT configData FROM config_profiles WHERE profileId = ?").bind(profileId).first();
+        if (!previous) {
             return new Response(JSON.stringify({ error: `Profile '${profileId}' not found.` }), { status: 404 });
         }
+
+        const stmt = env.DB.prepare("DELETE FROM config_profiles WHERE profileId = ?").bind(profileId);
+        await ensureAuditTables(env.DB);
+        await env.DB.batch([stmt, prepareAuditEntry(env.DB, {
+            actor: userInfo,
+            action: 'config.delete',
+            targetType: 'config',
+            targetId: profileId,
+            before: parseConfigData(previous.configData),
+            request
+        })]);
+
+        return new Response(JSON.stringify({ success: true, profileId: profileId }), { status: 200 });
     } catch (e) {
         return new Response(JSON.stringify({ error: e.message }), { 
             status: e.message.includes("Permission denied") ? 403 : 500,
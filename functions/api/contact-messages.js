@@ -1,8 +1,15 @@
 // ---------------------------------------------------
 // 文件: /functions/api/contact-messages.js
 // 作用: 处理站内联系管理员的留言功能
+// 管理员回复 (PUT) 存入 contact_message_replies, 并通知留言的登录用户 (见 notifications.js);
+// 用户通过 GET ?mine=true 查看自己的留言和回复
 // ---------------------------------------------------
 
+import { validateToken } from './auth.js';
+import { excerpt, notifyUsers } from './notifications.js';
+import { hasCapability } from './permissions.js';
+
+const MAX_MESSAGE_LENGTH = 1000;
 let tablesEnsured = false;
 
 async function ensureTables(db) {
@@ -16,84 +23,62 @@ async function ensureTables(db) {
         createdAt TEXT NOT NULL
     )`).run();
     await db.prepare('CREATE INDEX IF NOT EXISTS idx_contact_messages_createdAt ON contact_messages(createdAt)').run();
+    await db.prepare(`CREATE TABLE IF NOT EXISTS contact_message_replies (
+        id TEXT PRIMARY KEY,
+        messageId TEXT NOT NULL,
+        adminId TEXT NOT NULL,
+        adminNickname TEXT,
+        reply TEXT NOT NULL,
+        createdAt TEXT NOT NULL
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_contact_message_replies_messageId ON contact_message_replies(messageId, createdAt)').run();
     tablesEnsured = true;
 }
 
-async function getRoleFromDatabase(db, userInfo, source = 'contact_messages') {
-    const userId = userInfo.sub;
-    const email = userInfo.email;
-    const nickname = userInfo.name || userInfo.nickname || userInfo.preferred_username || userInfo.email;
-    if (!userId) {
-        console.error(`[getRoleFromDatabase @ ${source}] userId missing.`);
-        return 'general';
-    }
-    try {
-        const stmtSelect = db.prepare('SELECT role, nickname as dbNickname, email as dbEmail FROM users WHERE userId = ?').bind(userId);
-        const userRecord = await stmtSelect.first();
-        if (userRecord) {
-            if ((email && userRecord.dbEmail !== email) || (nickname && userRecord.dbNickname !== nickname) || userRecord.dbEmail === null || userRecord.dbNickname === null) {
-                const stmtUpdate = db.prepare('UPDATE users SET email = ?, nickname = ? WHERE userId = ?').bind(email ?? null, nickname ?? null, userId);
-                await stmtUpdate.run();
-            }
-            return userRecord.role;
-        }
-        if (email) {
-            const stmtSelectEmail = db.prepare('SELECT userId as dbUserId, role, nickname as dbNickname FROM users WHERE email = ?').bind(email);
-            const userRecordEmail = await stmtSelectEmail.first();
-            if (userRecordEmail) {
-                const stmtUpdateEmail = db.prepare('UPDATE users SET userId = ?, nickname = ? WHERE email = ?').bind(userId, nickname ?? null, email);
-                await stmtUpdateEmail.run();
-                return userRecordEmail.role;
-            }
-        }
-        const assignedRole = 'general';
-        const stmtInsert = db.prepare('INSERT INTO users (userId, email, role, nickname) VALUES (?, ?, ?, ?)').bind(userId, email ?? null, assignedRole, nickname ?? null);
-        await stmtInsert.run();
-        return assignedRole;
-    } catch (e) {
-        console.error(`[getRoleFromDatabase @ ${source}] Database error for userId=${userId}:`, e.message);
-        return 'general';
-    }
-}
-
-async function validateToken(request, env, { optional = false } = {}) {
-    const authHeader = request.headers.get('Authorization') || '';
-    const token = authHeader.replace('Bearer ', '');
-    if (!token) {
-        if (optional) return null;
-        throw new Error('Missing token');
-    }
-    try {
-        const userInfoUrl = new URL('/oidc/me', env.AUTHING_ISSUER);
-        const response = await fetch(userInfoUrl.toString(), { headers: { 'Authorization': `Bearer ${token}` } });
-        if (!response.ok) {
-            if (optional) return null;
-            throw new Error(`Invalid token (status: ${response.status})`);
-        }
-        const userInfo = await response.json();
-        const dbRole = await getRoleFromDatabase(env.DB, userInfo, `validateToken(${request.method})`);
-        userInfo.db_role = dbRole;
-        return userInfo;
-    } catch (e) {
-        if (optional) return null;
-        throw e;
-    }
-}
-
 function sanitizeText(text = '') {
     return text
         .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
         .trim();
 }
 
-function isAdminRole(userInfo) {
-    const role = userInfo?.db_role;
-    return role === 'admin' || role === 'super_admin';
+// 给每条留言附上 replies (按时间正序)
+async function attachReplies(db, messages) {
+    if (messages.length === 0) return messages;
+    const repliesByMessage = new Map();
+    // D1 单条语句最多 100 个绑定参数
+    for (let i = 0; i < messages.length; i += 90) {
+        const chunk = messages.slice(i, i + 90).map(message => message.id);
+        const { results } = await db.prepare(`
+            SELECT id, messageId, adminNickname, reply, createdAt
+            FROM contact_message_replies
+            WHERE messageId IN (${chunk.map(() => '?').join(', ')})
+            ORDER BY datetime(createdAt) ASC
+        `).bind(...chunk).all();
+        (results || []).forEach(row => {
+            if (!repliesByMessage.has(row.messageId)) repliesByMessage.set(row.messageId, []);
+            repliesByMessage.get(row.messageId).push({ id: row.id, adminNickname: row.adminNickname, reply: row.reply, createdAt: row.createdAt });
+        });
+    }
+    messages.forEach(message => { message.replies = repliesByMessage.get(message.id) || []; });
+    return messages;
 }
 
-async function handleGetMessages(env, request) {
+async function handleGetMessages(env, request, url) {
     const userInfo = await validateToken(request, env);
-    if (!isAdminRole(userInfo)) {
+    if (url.searchParams.get('mine') === 'true') {
+        await ensureTables(env.DB);
+        const { results } = await env.DB.prepare(`
+            SELECT id, email, message, createdAt
+            FROM contact_messages
+            WHERE userId = ?
+            ORDER BY datetime(createdAt) DESC
+            LIMIT 100
+        `).bind(userInfo.sub).all();
+        return new Response(JSON.stringify({ messages: await attachReplies(env.DB, results || []) }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    if (!hasCapability(userInfo, 'contact.manage')) {
         return new Response(JSON.stringify({ error: 'Permission denied. Admin role required.' }), {
             status: 403,
             headers: { 'Content-Type': 'application/json' }
@@ -108,7 +93,64 @@ async function handleGetMessages(env, request) {
         LIMIT 500
     `);
     const { results } = await stmt.all();
-    return new Response(JSON.stringify({ messages: results || [] }), {
+    return new Response(JSON.stringify({ messages: await attachReplies(env.DB, results || []) }), {
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+async function handleReplyToMessage(env, request) {
+    const userInfo = await validateToken(request, env);
+    if (!hasCapability(userInfo, 'contact.manage')) {
+        return new Response(JSON.stringify({ error: 'Permission denied. Admin role required.' }), {
+            status: 403,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    await ensureTables(env.DB);
+    const payload = await request.json().catch(() => ({}));
+    const messageId = typeof payload.messageId === 'string' ? payload.messageId : '';
+    const reply = sanitizeText(typeof payload.reply === 'string' ? payload.reply : '');
+    if (!messageId) {
+        return new Response(JSON.stringify({ error: 'messageId is required.' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    if (!reply) {
+        return new Response(JSON.stringify({ error: 'Reply cannot be empty.' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    if (reply.length > MAX_MESSAGE_LENGTH) {
+        return new Response(JSON.stringify({ error: `Reply is too long. Maximum length is ${MAX_MESSAGE_LENGTH} characters.` }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    const message = await env.DB.prepare('SELECT id, userId FROM contact_messages WHERE id = ?').bind(messageId).first();
+    if (!message) {
+        return new Response(JSON.stringify({ error: 'Message not found.' }), {
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const adminNickname = userInfo.name || userInfo.nickname || userInfo.preferred_username || null;
+    await env.DB.prepare(`
+        INSERT INTO contact_message_replies (id, messageId, adminId, adminNickname, reply, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(id, messageId, userInfo.sub, adminNickname, reply, createdAt).run();
+
+    // 匿名留言 (userId 为空) 只能通过邮箱回复, 站内不会收到通知
+    await notifyUsers(env.DB, [{ userId: message.userId, type: 'contact_reply', actor: userInfo, data: { messageId, excerpt: excerpt(reply) } }]);
+
+    return new Response(JSON.stringify({ success: true, reply: { id, messageId, adminNickname, reply, createdAt } }), {
+        status: 201,
         headers: { 'Content-Type': 'application/json' }
     });
 }
@@ -134,8 +176,8 @@ async function handlePostMessage(env, request) {
             headers: { 'Content-Type': 'application/json' }
         });
     }
-    if (message.length > 1000) {
-        return new Response(JSON.stringify({ error: 'Message is too long. Maximum length is 1000 characters.' }), {
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        return new Response(JSON.stringify({ error: `Message is too long. Maximum length is ${MAX_MESSAGE_LENGTH} characters.` }), {
             status: 400,
             headers: { 'Content-Type': 'application/json' }
         });
@@ -172,14 +214,18 @@ async function handlePostMessage(env, request) {
 
 export async function onRequest(context) {
     const { request, env } = context;
+    const url = new URL(request.url);
 
     try {
         if (request.method === 'GET') {
-            return await handleGetMessages(env, request);
+            return await handleGetMessages(env, request, url);
         }
         if (request.method === 'POST') {
             return await handlePostMessage(env, request);
         }
+        if (request.method === 'PUT') {
+            return await handleReplyToMessage(env, request);
+        }
         return new Response('Method Not Allowed', { status: 405 });
     } catch (error) {
         console.error('[contact-messages] Unexpected error:', error);
@@ -0,0 +1,106 @@
+// ---------------------------------------------------
+// 文件: /functions/api/content-reports.js
+// 作用: 举报与审核队列 —— 管理员查看队列 / 处理记录(GET), 用户举报评论或评分、管理员处理举报(POST action)
+// 管理员指有 comments.moderate 能力的角色; 删除或隐藏评分还需要 ratings.manage (见 permissions.js)
+// 处理动作 (忽略 / 删除内容 / 禁言作者 / 隐藏评分) 与记录见 reports.js
+// ---------------------------------------------------
+
+import { validateToken } from './auth.js';
+import { ensureMuteTables } from './mutes.js';
+import { hasCapability } from './permissions.js';
+import {
+    ensureReportTables,
+    listOpenReports,
+    listResolutions,
+    loadReportTarget,
+    parseReportInput,
+    REPORT_REASONS,
+    REPORT_TARGETS,
+    RESOLUTION_ACTIONS,
+    resolveReports,
+    submitReport
+} from './reports.js';
+import { ensureTrashTables } from './trash.js';
+import { ensureVisibilityTables } from './visibility.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function readFilter(url, name, allowed) {
+    const value = url.searchParams.get(name);
+    if (!value) return null;
+    if (!allowed.includes(value)) throw new Error(`Invalid ${name}, expected one of: ${allowed.join(', ')}.`);
+    return value;
+}
+
+// GET ?status=open (默认, 按对象分组的待处理举报, 可选 targetType / reason) 或 ?status=resolved (处理记录, 可选 targetType / action)
+async function handleListReports(env, request, url) {
+    const userInfo = await validateToken(request, env);
+    if (!hasCapability(userInfo, 'comments.moderate')) throw new Error('Permission denied: the comments.moderate capability is required.');
+    const status = readFilter(url, 'status', ['open', 'resolved']) || 'open';
+    const targetType = readFilter(url, 'targetType', REPORT_TARGETS);
+    if (status === 'resolved') {
+        const resolutions = await listResolutions(env.DB, { targetType, action: readFilter(url, 'action', RESOLUTION_ACTIONS) });
+        return jsonResponse({ resolutions });
+    }
+    const reports = await listOpenReports(env.DB, { targetType, reason: readFilter(url, 'reason', REPORT_REASONS) });
+    return jsonResponse({ reports });
+}
+
+async function handleReportAction(env, request) {
+    const userInfo = await validateToken(request, env);
+    const body = await request.json().catch(() => ({}));
+    const action = body?.action;
+    if (!REPORT_TARGETS.includes(body?.targetType)) throw new Error(`Invalid targetType, expected one of: ${REPORT_TARGETS.join(', ')}.`);
+    if (!body.targetId || typeof body.targetId !== 'string') throw new Error('Missing targetId.');
+
+    if (action === 'report') {
+        const input = parseReportInput(body);
+        const target = await loadReportTarget(env.DB, body.targetType, body.targetId, userInfo);
+        if (!target) throw new Error('Reported content not found.');
+        if (target.targetUserId === userInfo.sub) throw new Error('Invalid target: you cannot report your own content.');
+        const report = await submitReport(env.DB, target, userInfo.sub, input);
+        console.log(`[content-reports] ${userInfo.sub} reported ${body.targetType} ${body.targetId} (${input.reason})`);
+        return jsonResponse({ success: true, report }, 201);
+    }
+
+    if (action === 'resolve') {
+        if (!hasCapability(userInfo, 'comments.moderate')) throw new Error('Permission denied: the comments.moderate capability is required.');
+        if (body.targetType === 'rating' && ['delete_content', 'hide_rating'].includes(body.resolution) && !hasCapability(userInfo, 'ratings.manage')) {
+            throw new Error('Permission denied: deleting or hiding a rating requires the ratings.manage capability.');
+        }
+        const resolution = await resolveReports(env, { targetType: body.targetType, targetId: body.targetId }, body, userInfo, request);
+        console.log(`[content-reports] ${userInfo.sub} resolved ${body.targetType} ${body.targetId}: ${resolution.action}`);
+        return jsonResponse({ success: true, resolution });
+    }
+
+    return jsonResponse({ error: 'Unsupported action.' }, 400);
+}
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        await ensureReportTables(env.DB);
+        await ensureMuteTables(env.DB);
+        await ensureTrashTables(env.DB);
+        await ensureVisibilityTables(env.DB);
+        if (request.method === 'GET') {
+            return await handleListReports(env, request, url);
+        }
+        if (request.method === 'POST') {
+            return await handleReportAction(env, request);
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+    } catch (e) {
+        console.error('[content-reports API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        else if (e.message.includes('not found')) statusCode = 404;
+        else if (e.message.includes('Missing') || e.message.includes('Invalid')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
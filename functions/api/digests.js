@@ -0,0 +1,294 @@
+// Utility functions for the comment activity email digest.
+// Members opt in to a daily or weekly email listing new comments on their ratings and replies to their comments
+// (`digest_preferences`, one row per member). A digest only includes comments posted since that member's previous
+// digest which they have not read yet according to `comment_reads`, so opening the results or history page first
+// keeps them out of the email. Nothing is sent when there is no new activity.
+// Runs are triggered from outside (POST /api/comment-digests {action: "run"}, e.g. from a daily cron) and the
+// emails go through the transport from mail.js. Every email has an unsubscribe link that works without logging in.
+
+import { excerpt } from './notifications.js';
+import { redactHiddenEmails } from './profiles.js';
+import { normalizeLanguageTag } from './translation.js';
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+export const MAX_DIGESTS_PER_RUN = 50;
+const MAX_DIGEST_ITEMS = 50;
+const HOUR_MS = 60 * 60 * 1000;
+const DIGEST_PERIOD_MS = { daily: 24 * HOUR_MS, weekly: 7 * 24 * HOUR_MS };
+// 定时任务每天的触发时间会有几分钟的偏差, 提前一小时以内也算到期
+const DUE_TOLERANCE_MS = HOUR_MS;
+
+const DIGEST_STRINGS = {
+    zh: {
+        subject: ({ count }) => `Pistacho: ${count} 条新评论`,
+        greeting: ({ name }) => `${name}，你好：`,
+        intro: ({ frequency }) => (frequency === 'weekly' ? '这是你本周在 Pistacho 上收到的新评论：' : '这是你今天在 Pistacho 上收到的新评论：'),
+        reply: '回复了你的评论',
+        comment: '评论了你的评分',
+        more: ({ count }) => `还有 ${count} 条未列出。`,
+        open: '查看评论',
+        unsubscribe: '不想再收到这类邮件? 退订',
+        noTitle: '(无标题)'
+    },
+    en: {
+        subject: ({ count }) => `Pistacho: ${count} new comment(s)`,
+        greeting: ({ name }) => `Hi ${name},`,
+        intro: ({ frequency }) => (frequency === 'weekly' ? 'Here is the new comment activity on Pistacho this week:' : 'Here is the new comment activity on Pistacho today:'),
+        reply: 'replied to your comment',
+        comment: 'commented on your rating',
+        more: ({ count }) => `${count} more not shown.`,
+        open: 'View comments',
+        unsubscribe: 'Don\'t want these emails? Unsubscribe',
+        noTitle: '(untitled)'
+    },
+    es: {
+        subject: ({ count }) => `Pistacho: ${count} comentario(s) nuevo(s)`,
+        greeting: ({ name }) => `Hola ${name}:`,
+        intro: ({ frequency }) => (frequency === 'weekly' ? 'Esta es la actividad nueva de comentarios en Pistacho esta semana:' : 'Esta es la actividad nueva de comentarios en Pistacho de hoy:'),
+        reply: 'respondió a tu comentario',
+        comment: 'comentó tu valoración',
+        more: ({ count }) => `${count} más sin mostrar.`,
+        open: 'Ver comentarios',
+        unsubscribe: '¿No quieres recibir estos correos? Darse de baja',
+        noTitle: '(sin título)'
+    }
+};
+
+let digestTablesEnsured = false;
+
+export async function ensureDigestTables(db) {
+    if (digestTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS digest_preferences (
+        userId TEXT PRIMARY KEY,
+        frequency TEXT NOT NULL DEFAULT 'off',
+        language TEXT NOT NULL DEFAULT 'zh',
+        unsubscribeToken TEXT NOT NULL UNIQUE,
+        lastDigestAt TEXT,
+        updatedAt TEXT NOT NULL
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_digest_preferences_due ON digest_preferences(frequency, lastDigestAt)').run();
+    digestTablesEnsured = true;
+}
+
+function randomToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export async function getDigestPreferences(db, userId) {
+    const row = await db.prepare('SELECT frequency, language, lastDigestAt, updatedAt FROM digest_preferences WHERE userId = ?').bind(userId).first();
+    return row
+        ? { frequency: row.frequency, language: row.language, lastDigestAt: row.lastDigestAt, updatedAt: row.updatedAt }
+        : { frequency: 'off', language: 'zh', lastDigestAt: null, updatedAt: null };
+}
+
+/**
+ * @param {{frequency?: string, language?: string}} payload
+ * @returns {{frequency?: string, language?: string}}
+ */
+export function parseDigestPreferences(payload) {
+    const preferences = {};
+    if (payload.frequency !== undefined) {
+        if (!DIGEST_FREQUENCIES.includes(payload.frequency)) throw new Error(`Invalid frequency, expected one of: ${DIGEST_FREQUENCIES.join(', ')}.`);
+        preferences.frequency = payload.frequency;
+    }
+    if (payload.language !== undefined) {
+        const language = normalizeLanguageTag(payload.language, null);
+        if (!language) throw new Error('Invalid language, expected one of: zh, en, es.');
+        preferences.language = language;
+    }
+    if (Object.keys(preferences).length === 0) throw new Error('Missing frequency or language.');
+    return preferences;
+}
+
+/**
+ * 保存偏好。开启摘要时从现在开始计算, 之前的评论不会补发。
+ */
+export async function saveDigestPreferences(db, userId, { frequency, language }, now = new Date()) {
+    const current = await db.prepare('SELECT frequency, lastDigestAt FROM digest_preferences WHERE userId = ?').bind(userId).first();
+    const nextFrequency = frequency ?? current?.frequency ?? 'off';
+    const enabling = nextFrequency !== 'off' && (current?.frequency ?? 'off') === 'off';
+    const lastDigestAt = enabling ? now.toISOString() : (current?.lastDigestAt ?? null);
+    await db.prepare(`
+        INSERT INTO digest_preferences (userId, frequency, language, unsubscribeToken, lastDigestAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(userId) DO UPDATE SET
+            frequency = excluded.frequency,
+            language = COALESCE(?, digest_preferences.language),
+            lastDigestAt = excluded.lastDigestAt,
+            updatedAt = excluded.updatedAt
+    `).bind(userId, nextFrequency, language ?? 'zh', randomToken(), lastDigestAt, now.toISOString(), language ?? null).run();
+    return getDigestPreferences(db, userId);
+}
+
+/**
+ * 通过邮件中的链接退订, 不需要登录
+ * @returns {Promise<boolean>} token 是否有效
+ */
+export async function unsubscribeDigest(db, token) {
+    if (typeof token !== 'string' || !token) return false;
+    const row = await db.prepare('SELECT userId FROM digest_preferences WHERE unsubscribeToken = ?').bind(token).first();
+    if (!row) return false;
+    await db.prepare("UPDATE digest_preferences SET frequency = 'off', updatedAt = ? WHERE userId = ?").bind(new Date().toISOString(), row.userId).run();
+    return true;
+}
+
+/**
+ * since 之后别人在自己评分下的评论, 以及别人对自己评论的回复 (他人的 private 评分除外), 只算还没读过的
+ * @returns {Promise<{total: number, ratings: Array<{ratingId: string, ratingTitle: string|null, comments: object[]}>}>}
+ */
+export async function collectDigestActivity(db, userId, since) {
+    const { results } = await db.prepare(`
+        SELECT c.id, c.ratingId, c.userId, c.userNickname, c.content, c.createdAt, r.title AS ratingTitle,
+               CASE WHEN p.userId = ? THEN 1 ELSE 0 END AS isReplyToMe
+        FROM comments c
+        JOIN ratings r ON c.ratingId = r.id
+        LEFT JOIN comments p ON p.id = c.parentId AND p.isDeleted = 0
+        LEFT JOIN comment_reads cr ON cr.ratingId = c.ratingId AND cr.userId = ?
+        WHERE (r.userId = ? OR (p.userId = ? AND NOT EXISTS (SELECT 1 FROM rating_visibility v WHERE v.ratingId = r.id AND v.visibility = 'private')))
+          AND c.userId != ? AND c.isDeleted = 0
+          AND c.createdAt > ?
+          AND (cr.lastReadAt IS NULL OR datetime(c.createdAt) > datetime(cr.lastReadAt))
+        ORDER BY c.createdAt DESC
+    `).bind(userId, userId, userId, userId, userId, since).all();
+    const rows = results || [];
+    // 邮件会发给别人: 隐藏了邮箱的评论者, 退回成邮箱的昵称也不能出现 (见 profiles.js)
+    await redactHiddenEmails(db, rows, { sub: userId });
+    const byRating = new Map();
+    rows.slice(0, MAX_DIGEST_ITEMS).forEach(row => {
+        if (!byRating.has(row.ratingId)) byRating.set(row.ratingId, { ratingId: row.ratingId, ratingTitle: row.ratingTitle, comments: [] });
+        byRating.get(row.ratingId).comments.push({
+            id: row.id,
+            author: row.userNickname,
+            excerpt: excerpt(row.content),
+            createdAt: row.createdAt,
+            isReplyToMe: row.isReplyToMe === 1
+        });
+    });
+    return { total: rows.length, ratings: [...byRating.values()] };
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+export function digestUnsubscribeUrl(siteUrl, token) {
+    return `${siteUrl}/api/comment-digests?unsubscribe=${encodeURIComponent(token)}`;
+}
+
+/**
+ * @returns {{subject: string, text: string, html: string, headers: object}}
+ */
+export function buildDigestEmail({ name, activity, frequency, language, siteUrl, unsubscribeUrl }) {
+    const strings = DIGEST_STRINGS[normalizeLanguageTag(language)] || DIGEST_STRINGS.zh;
+    const shown = activity.ratings.reduce((sum, rating) => sum + rating.comments.length, 0);
+    const textLines = [strings.greeting({ name }), '', strings.intro({ frequency }), ''];
+    const htmlParts = [`<p>${escapeHtml(strings.greeting({ name }))}</p>`, `<p>${escapeHtml(strings.intro({ frequency }))}</p>`];
+
+    activity.ratings.forEach(rating => {
+        const title = rating.ratingTitle || strings.noTitle;
+        const link = `${siteUrl}/results.html?ratingId=${encodeURIComponent(rating.ratingId)}`;
+        textLines.push(`# ${title}`);
+        const items = rating.comments.map(comment => {
+            const action = comment.isReplyToMe ? strings.reply : strings.comment;
+            textLines.push(`- ${comment.author || '?'} ${action}: ${comment.excerpt}`);
+            return `<li><strong>${escapeHtml(comment.author || '?')}</strong> ${escapeHtml(action)}: ${escapeHtml(comment.excerpt)}</li>`;
+        });
+        textLines.push(`${strings.open}: ${link}`, '');
+        htmlParts.push(`<h3>${escapeHtml(title)}</h3><ul>${items.join('')}</ul><p><a href="${escapeHtml(link)}">${escapeHtml(strings.open)}</a></p>`);
+    });
+    if (activity.total > shown) {
+        textLines.push(strings.more({ count: activity.total - shown }), '');
+        htmlParts.push(`<p>${escapeHtml(strings.more({ count: activity.total - shown }))}</p>`);
+    }
+    textLines.push('--', `${strings.unsubscribe}: ${unsubscribeUrl}`);
+    htmlParts.push(`<hr><p style="font-size:12px;color:#6b7280"><a href="${escapeHtml(unsubscribeUrl)}">${escapeHtml(strings.unsubscribe)}</a></p>`);
+
+    return {
+        subject: strings.subject({ count: activity.total }),
+        text: textLines.join('\n'),
+        html: htmlParts.join('\n'),
+        // 邮件客户端的一键退订 (RFC 8058)
+        headers: {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    };
+}
+
+function digestSince(preferences, now) {
+    return preferences.lastDigestAt || new Date(now.getTime() - DIGEST_PERIOD_MS[preferences.frequency]).toISOString();
+}
+
+/**
+ * 给当前用户预览下一封摘要 (不发送, 不更新 lastDigestAt)
+ */
+export async function previewDigest(db, userInfo, { siteUrl, now = new Date() }) {
+    const preferences = await getDigestPreferences(db, userInfo.sub);
+    const frequency = preferences.frequency === 'off' ? 'daily' : preferences.frequency;
+    const activity = await collectDigestActivity(db, userInfo.sub, digestSince({ ...preferences, frequency }, now));
+    const token = (await db.prepare('SELECT unsubscribeToken FROM digest_preferences WHERE userId = ?').bind(userInfo.sub).first())?.unsubscribeToken;
+    return {
+        total: activity.total,
+        ...buildDigestEmail({
+            name: userInfo.nickname || userInfo.name || userInfo.email,
+            activity,
+            frequency,
+            language: preferences.language,
+            siteUrl,
+            unsubscribeUrl: token ? digestUnsubscribeUrl(siteUrl, token) : `${siteUrl}/history.html`
+        })
+    };
+}
+
+/**
+ * 给到期的用户发送摘要。发送失败的用户保持到期状态, 下次运行时重试。
+ * @param {{send: Function}} transport - 见 mail.js
+ * @returns {Promise<{checked: number, sent: number, empty: number, failed: number}>}
+ */
+export async function sendDueDigests(db, transport, { siteUrl, now = new Date(), limit = MAX_DIGESTS_PER_RUN }) {
+    const dailyCutoff = new Date(now.getTime() - DIGEST_PERIOD_MS.daily + DUE_TOLERANCE_MS).toISOString();
+    const weeklyCutoff = new Date(now.getTime() - DIGEST_PERIOD_MS.weekly + DUE_TOLERANCE_MS).toISOString();
+    const { results } = await db.prepare(`
+        SELECT p.userId, p.frequency, p.language, p.unsubscribeToken, p.lastDigestAt, u.email, u.nickname
+        FROM digest_preferences p
+        JOIN users u ON u.userId = p.userId
+        WHERE u.email IS NOT NULL AND u.email != ''
+          AND ((p.frequency = 'daily' AND (p.lastDigestAt IS NULL OR p.lastDigestAt <= ?))
+            OR (p.frequency = 'weekly' AND (p.lastDigestAt IS NULL OR p.lastDigestAt <= ?)))
+        ORDER BY p.lastDigestAt ASC
+        LIMIT ?
+    `).bind(dailyCutoff, weeklyCutoff, limit).all();
+
+    const summary = { checked: 0, sent: 0, empty: 0, failed: 0 };
+    const runAt = now.toISOString();
+    for (const row of results || []) {
+        summary.checked += 1;
+        try {
+            const activity = await collectDigestActivity(db, row.userId, digestSince(row, now));
+            if (activity.total > 0) {
+                const email = buildDigestEmail({
+                    name: row.nickname && !row.nickname.includes('@') ? row.nickname : row.email,
+                    activity,
+                    frequency: row.frequency,
+                    language: row.language,
+                    siteUrl,
+                    unsubscribeUrl: digestUnsubscribeUrl(siteUrl, row.unsubscribeToken)
+                });
+                await transport.send({ to: row.email, ...email });
+                summary.sent += 1;
+            } else {
+                summary.empty += 1;
+            }
+            await db.prepare('UPDATE digest_preferences SET lastDigestAt = ? WHERE userId = ?').bind(runAt, row.userId).run();
+        } catch (e) {
+            summary.failed += 1;
+            console.error(`[digests] Failed to send the digest to ${row.userId}:`, e.message);
+        }
+    }
+    return summary;
+}
@@ -0,0 +1,189 @@
+// Utility functions for the member directory (GET /api/users, super admins only).
+// The `users` table has no dates, so sign-up and last activity are kept in `user_activity`: a row is written when
+// auth.js first sees a user in an isolate, and `lastActiveAt` is refreshed at most every ACTIVITY_RESOLUTION_MS.
+// Members created before this table existed get the date of their first rating as sign-up date (or none).
+// Rating and comment counts and the mute status are computed per page with subqueries.
+
+import { ensureMuteTables } from './mutes.js';
+
+export const DIRECTORY_SORTS = ['newest', 'oldest', 'active'];
+const DEFAULT_DIRECTORY_PAGE_SIZE = 25;
+const MAX_DIRECTORY_PAGE_SIZE = 100;
+const MAX_SEARCH_TERMS = 5;
+const MAX_ROLE_FILTERS = 20;
+const ACTIVITY_RESOLUTION_MS = 15 * 60 * 1000;
+
+// 每种排序都以 userId 作为最后的决胜键, 保证游标位置唯一; 没有日期的用户排在最后
+const DIRECTORY_SORT_KEYS = {
+    newest: [
+        { column: "COALESCE(a.signedUpAt, '')", direction: 'DESC', read: row => row.signedUpAt ?? '' },
+        { column: 'u.userId', direction: 'DESC', read: row => row.userId }
+    ],
+    oldest: [
+        { column: "COALESCE(a.signedUpAt, '~')", direction: 'ASC', read: row => row.signedUpAt ?? '~' },
+        { column: 'u.userId', direction: 'ASC', read: row => row.userId }
+    ],
+    active: [
+        { column: "COALESCE(a.lastActiveAt, '')", direction: 'DESC', read: row => row.lastActiveAt ?? '' },
+        { column: 'u.userId', direction: 'DESC', read: row => row.userId }
+    ]
+};
+
+let directoryTablesEnsured = false;
+
+export async function ensureDirectoryTables(db) {
+    if (directoryTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS user_activity (
+        userId TEXT PRIMARY KEY,
+        signedUpAt TEXT,
+        lastActiveAt TEXT NOT NULL
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_user_activity_lastActiveAt ON user_activity(lastActiveAt)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_user_activity_signedUpAt ON user_activity(signedUpAt)').run();
+    directoryTablesEnsured = true;
+}
+
+/**
+ * 记录用户活动; 同一用户在 ACTIVITY_RESOLUTION_MS 内只写一次
+ * @param {{isNew?: boolean}} options - isNew: 刚创建的用户, 注册时间就是现在
+ */
+export async function recordUserActivity(db, userId, { isNew = false } = {}) {
+    await ensureDirectoryTables(db);
+    const now = new Date();
+    const nowIso = now.toISOString();
+    await db.prepare(`
+        INSERT INTO user_activity (userId, signedUpAt, lastActiveAt)
+        VALUES (?, ${isNew ? '?' : '(SELECT MIN(timestamp) FROM ratings WHERE userId = ?)'}, ?)
+        ON CONFLICT(userId) DO UPDATE SET lastActiveAt = excluded.lastActiveAt
+        WHERE user_activity.lastActiveAt < ?
+    `).bind(userId, isNew ? nowIso : userId, nowIso, new Date(now.getTime() - ACTIVITY_RESOLUTION_MS).toISOString()).run();
+}
+
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+function encodeDirectoryCursor(sort, row) {
+    return btoa(JSON.stringify({ s: sort, v: DIRECTORY_SORT_KEYS[sort].map(key => key.read(row)) }));
+}
+
+function decodeDirectoryCursor(cursor, sort) {
+    if (!cursor) return null;
+    try {
+        const decoded = JSON.parse(atob(cursor));
+        if (!decoded || decoded.s !== sort || !Array.isArray(decoded.v) || decoded.v.length !== DIRECTORY_SORT_KEYS[sort].length) {
+            throw new Error('shape mismatch');
+        }
+        return decoded.v;
+    } catch (e) {
+        throw new Error('Invalid cursor parameter.');
+    }
+}
+
+// (k0 < v0) OR (k0 = v0 AND k1 < v1)
+function buildDirectoryCursorCondition(sort, values) {
+    const keys = DIRECTORY_SORT_KEYS[sort];
+    const clauses = [];
+    const bindings = [];
+    keys.forEach((key, index) => {
+        const parts = [];
+        for (let i = 0; i < index; i++) {
+            parts.push(`${keys[i].column} = ?`);
+            bindings.push(values[i]);
+        }
+        parts.push(`${key.column} ${key.direction === 'DESC' ? '<' : '>'} ?`);
+        bindings.push(values[index]);
+        clauses.push(`(${parts.join(' AND ')})`);
+    });
+    return { sql: `(${clauses.join(' OR ')})`, bindings };
+}
+
+/**
+ * 校验目录查询参数
+ * q: 按昵称 / 邮箱搜索, 空格分隔的每个词都要出现 (不区分大小写, 可以是任意一部分)
+ * role: 逗号分隔或重复的角色; sort: newest (默认) / oldest / active
+ */
+export function parseDirectoryQuery(searchParams) {
+    const q = (searchParams.get('q') || '').trim();
+    const roles = searchParams.getAll('role')
+        .flatMap(value => value.split(','))
+        .map(value => value.trim())
+        .filter(Boolean)
+        .slice(0, MAX_ROLE_FILTERS);
+    const sort = searchParams.get('sort') || 'newest';
+    if (!DIRECTORY_SORTS.includes(sort)) throw new Error(`Invalid sort, expected one of: ${DIRECTORY_SORTS.join(', ')}.`);
+    const parsedLimit = Number.parseInt(searchParams.get('limit'), 10);
+    const limit = Number.isInteger(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, MAX_DIRECTORY_PAGE_SIZE) : DEFAULT_DIRECTORY_PAGE_SIZE;
+    return { terms: q ? q.split(/\s+/).slice(0, MAX_SEARCH_TERMS) : [], roles, sort, limit, cursor: searchParams.get('cursor') || null };
+}
+
+function toDirectoryEntry(row) {
+    return {
+        userId: row.userId,
+        email: row.email,
+        nickname: row.nickname,
+        role: row.role,
+        signedUpAt: row.signedUpAt,
+        lastActiveAt: row.lastActiveAt,
+        ratingCount: row.ratingCount ?? 0,
+        commentCount: row.commentCount ?? 0,
+        mute: {
+            global: !!row.globalMuted,
+            // 全站禁言的结束时间, null 表示永久 (或没有全站禁言)
+            globalExpiresAt: row.globalMuted ? row.globalMuteExpiresAt : null,
+            ratingCount: row.ratingMuteCount ?? 0
+        }
+    };
+}
+
+/**
+ * 目录的一页
+ * @returns {Promise<{users: object[], nextCursor: string|null}>}
+ */
+export async function listDirectory(db, { terms = [], roles = [], sort = 'newest', limit = DEFAULT_DIRECTORY_PAGE_SIZE, cursor = null } = {}) {
+    await ensureDirectoryTables(db);
+    await ensureMuteTables(db);
+    const hasComments = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'comments'").first();
+
+    const clauses = [];
+    const bindings = [];
+    terms.forEach(term => {
+        const pattern = `%${escapeLike(term)}%`;
+        clauses.push("(u.nickname LIKE ? ESCAPE '\\' OR u.email LIKE ? ESCAPE '\\')");
+        bindings.push(pattern, pattern);
+    });
+    if (roles.length > 0) {
+        clauses.push(`COALESCE(u.role, 'general') IN (${roles.map(() => '?').join(', ')})`);
+        bindings.push(...roles);
+    }
+    const cursorValues = decodeDirectoryCursor(cursor, sort);
+    if (cursorValues) {
+        const condition = buildDirectoryCursorCondition(sort, cursorValues);
+        clauses.push(condition.sql);
+        bindings.push(...condition.bindings);
+    }
+
+    const now = new Date().toISOString();
+    const activeMute = '(m.expiresAt IS NULL OR m.expiresAt > ?)';
+    const { results } = await db.prepare(`
+        SELECT u.userId, u.email, u.nickname, COALESCE(u.role, 'general') AS role, a.signedUpAt, a.lastActiveAt,
+               (SELECT COUNT(*) FROM ratings r WHERE r.userId = u.userId) AS ratingCount,
+               ${hasComments ? '(SELECT COUNT(*) FROM comments c WHERE c.userId = u.userId AND c.isDeleted = 0)' : '0'} AS commentCount,
+               EXISTS (SELECT 1 FROM comment_mute_entries m WHERE m.mutedUserId = u.userId AND m.ratingId = '' AND ${activeMute}) AS globalMuted,
+               (SELECT m.expiresAt FROM comment_mute_entries m WHERE m.mutedUserId = u.userId AND m.ratingId = '' AND ${activeMute}) AS globalMuteExpiresAt,
+               (SELECT COUNT(*) FROM comment_mute_entries m WHERE m.mutedUserId = u.userId AND m.ratingId != '' AND ${activeMute}) AS ratingMuteCount
+        FROM users u
+        LEFT JOIN user_activity a ON a.userId = u.userId
+        ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
+        ORDER BY ${DIRECTORY_SORT_KEYS[sort].map(key => `${key.column} ${key.direction}`).join(', ')}
+        LIMIT ?
+    `).bind(now, now, now, ...bindings, limit + 1).all();
+
+    const rows = results || [];
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+        users: page.map(toDirectoryEntry),
+        nextCursor: rows.length > limit && last ? encodeDirectoryCursor(sort, last) : null
+    };
+}
@@ -0,0 +1,120 @@
+// Utility functions for server-side rating drafts.
+// rate.html autosaves the in-progress form (selections, flavors, title, review, cigar info, uploaded image keys)
+// into `rating_drafts`, one row per draft, tagged with the device that last wrote it.
+// A draft is removed when POST / PUT /api/ratings saves it (the payload carries `draftId`),
+// when the user discards it, or after DRAFT_RETENTION_DAYS without changes.
+
+import { normalizeVisibility, VISIBILITY } from './visibility.js';
+
+export const DRAFT_RETENTION_DAYS = 30;
+export const MAX_DRAFT_BYTES = 64 * 1024;
+
+const MAX_DRAFT_IMAGES = 5;     // 与 rate.html 的 MAX_IMAGES 一致
+const MAX_TITLE_LENGTH = 35;
+const MAX_REVIEW_LENGTH = 1500;
+const MAX_FIELD_LENGTH = 120;
+const MAX_FLAVORS = 100;
+
+let draftTablesEnsured = false;
+
+export async function ensureDraftTables(db) {
+    if (draftTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS rating_drafts (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        deviceId TEXT,
+        deviceLabel TEXT,
+        ratingId TEXT,
+        title TEXT,
+        cigarName TEXT,
+        itemsRated INTEGER NOT NULL DEFAULT 0,
+        imageCount INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        revision INTEGER NOT NULL DEFAULT 1,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT NOT NULL
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_rating_drafts_user ON rating_drafts(userId, updatedAt)').run();
+    draftTablesEnsured = true;
+}
+
+function cleanText(value, maxLength) {
+    if (typeof value !== 'string') return '';
+    return value.slice(0, maxLength);
+}
+
+/**
+ * 只保留恢复表单需要的字段, 其余 (config, 分数等) 在提交时由 rate.html 重新计算
+ * @returns {{title, cigarInfo: {name, size, origin, cigarId}, cigarReview, ratings, selectedFlavors, imageUrls, visibility}}
+ */
+export function sanitizeDraftData(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Invalid draft data.');
+    const info = raw.cigarInfo && typeof raw.cigarInfo === 'object' ? raw.cigarInfo : {};
+    const ratings = {};
+    if (raw.ratings && typeof raw.ratings === 'object' && !Array.isArray(raw.ratings)) {
+        Object.entries(raw.ratings).forEach(([key, value]) => {
+            const optionIndex = Number(value);
+            if (key.length > MAX_FIELD_LENGTH || !Number.isInteger(optionIndex) || optionIndex < 0) return;
+            ratings[key] = optionIndex;
+        });
+    }
+    const selectedFlavors = Array.isArray(raw.selectedFlavors)
+        ? [...new Set(raw.selectedFlavors.filter(flavor => typeof flavor === 'string' && flavor && flavor.length <= MAX_FIELD_LENGTH))].slice(0, MAX_FLAVORS)
+        : [];
+    // 只接受 upload-image 生成的 key (uuid.ext)
+    const imageUrls = Array.isArray(raw.imageUrls)
+        ? raw.imageUrls.filter(key => typeof key === 'string' && /^[\w-]{8,64}\.\w{2,5}$/.test(key)).slice(0, MAX_DRAFT_IMAGES)
+        : [];
+    return {
+        title: cleanText(raw.title, MAX_TITLE_LENGTH),
+        cigarInfo: {
+            name: cleanText(info.name, MAX_FIELD_LENGTH),
+            size: cleanText(info.size, MAX_FIELD_LENGTH),
+            origin: cleanText(info.origin, MAX_FIELD_LENGTH),
+            cigarId: typeof info.cigarId === 'string' && info.cigarId ? info.cigarId.slice(0, 64) : null
+        },
+        cigarReview: cleanText(raw.cigarReview, MAX_REVIEW_LENGTH),
+        ratings,
+        selectedFlavors,
+        imageUrls,
+        visibility: normalizeVisibility(raw.visibility) || VISIBILITY.PUBLIC
+    };
+}
+
+export function toDraftSummary(row) {
+    return {
+        id: row.id,
+        deviceId: row.deviceId,
+        deviceLabel: row.deviceLabel,
+        ratingId: row.ratingId,
+        title: row.title,
+        cigarName: row.cigarName,
+        itemsRated: row.itemsRated,
+        imageCount: row.imageCount,
+        revision: row.revision,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt
+    };
+}
+
+/**
+ * 评分保存成功后删除对应草稿。只删除属于该用户的草稿; 草稿不存在时静默忽略
+ * (例如同一草稿已在另一台设备上提交)。失败只记录日志, 不影响已保存的评分。
+ */
+export async function deleteDraftAfterSave(db, draftId, userId) {
+    if (!draftId || typeof draftId !== 'string') return false;
+    try {
+        await ensureDraftTables(db);
+        const result = await db.prepare('DELETE FROM rating_drafts WHERE id = ? AND userId = ?').bind(draftId, userId).run();
+        return (result?.meta?.changes ?? 0) > 0;
+    } catch (e) {
+        console.error(`[drafts] Failed to remove draft ${draftId} after save:`, e.message);
+        return false;
+    }
+}
+
+export async function purgeExpiredDrafts(db, userId, now = new Date()) {
+    const cutoff = new Date(now.getTime() - DRAFT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const result = await db.prepare('DELETE FROM rating_drafts WHERE userId = ? AND updatedAt < ?').bind(userId, cutoff).run();
+    return result?.meta?.changes ?? 0;
+}
@@ -0,0 +1,249 @@
+// ---------------------------------------------------
+// 文件: /functions/api/export.js
+// 作用: 个人数据导出(GET) —— 生成 ZIP, 包含当前用户的评分 (JSON + CSV), 写过和收到的评论, 以及 R2 中的原始图片
+// 访问: /api/export?lang=zh|en|es (评分项选项, 风味等按该语言解析为文字)
+// ---------------------------------------------------
+
+import { validateToken } from './auth.js';
+import { redactHiddenEmails } from './profiles.js';
+import { normalizeLanguageTag } from './translation.js';
+import { createZipStream } from './zip.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+async function tableExists(db, name) {
+    const row = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").bind(name).first();
+    return !!row;
+}
+
+function parseJson(value, fallback) {
+    if (value === null || value === undefined || value === '') return fallback;
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch (e) { return fallback; }
+}
+
+// 与页面相同的 /locales/{lang}.json; 读取失败时返回空字典, 导出中保留原始 key
+async function loadLocale(env, request, language) {
+    const url = new URL(`/locales/${language}.json`, request.url);
+    try {
+        const response = env.ASSETS ? await env.ASSETS.fetch(url) : await fetch(url);
+        if (!response.ok) throw new Error(`status ${response.status}`);
+        return await response.json();
+    } catch (e) {
+        console.warn(`[export] Could not load locale ${language}, keeping i18n keys:`, e.message);
+        return {};
+    }
+}
+
+function createTranslator(dictionary) {
+    return (key, fallback = null) => {
+        if (!key || typeof key !== 'string') return fallback;
+        const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), dictionary);
+        return typeof value === 'string' ? value : (fallback ?? key);
+    };
+}
+
+// 评分项选择 { "类别-项目": 下标 } 按该评分自己的 config 解析成文字
+function resolveSelections(config, selections, t) {
+    const resolved = [];
+    (config?.ratingCriteria || []).forEach(category => {
+        (category?.criteriaList || []).forEach(criterion => {
+            const key = `${category.categoryKey}-${criterion.nameKey}`;
+            const optionIndex = selections?.[key];
+            if (optionIndex === undefined || optionIndex === null) return;
+            const option = criterion.options?.[optionIndex];
+            resolved.push({
+                key,
+                category: t(category.categoryKey, category.category ?? null),
+                criterion: t(criterion.nameKey, criterion.name ?? null),
+                optionIndex: Number(optionIndex),
+                option: option ? t(option.descriptionKey, option.description ?? null) : null,
+                scorePct: option?.scorePct ?? null,
+                weight: criterion.weight ?? null
+            });
+        });
+    });
+    return resolved;
+}
+
+function toExportedRating(row, t) {
+    const fullData = parseJson(row.fullData, {}) || {};
+    const imageKeys = parseJson(row.imageUrl, []);
+    const flavors = Array.isArray(fullData.selectedFlavors) ? fullData.selectedFlavors : [];
+    return {
+        id: row.id,
+        createdAt: row.timestamp,
+        title: row.title,
+        cigar: { name: row.cigarName, size: row.cigarSize, origin: row.cigarOrigin },
+        normalizedScore: row.normalizedScore,
+        calculatedScore: fullData.calculatedScore ?? null,
+        finalGrade: row.finalGrade_grade ? { grade: row.finalGrade_grade, name: t(`resultsPage.grade.${row.finalGrade_grade}`, row.finalGrade_name_cn) } : null,
+        isCertified: !!row.isCertified,
+        review: row.cigarReview ?? fullData.cigarReview ?? null,
+        sourceLanguage: fullData.sourceLanguage ?? null,
+        translations: fullData.translations && typeof fullData.translations === 'object' ? fullData.translations : {},
+        flavors: flavors.map(key => ({ key, name: t(key) })),
+        selections: resolveSelections(fullData.config, fullData.ratings, t),
+        // file 由 assignImageFileNames 统一分配
+        images: (Array.isArray(imageKeys) ? imageKeys : []).map(key => ({ key, file: null })),
+        // 原始提交内容, 方便将来重新导入
+        fullData
+    };
+}
+
+function imageFileName(key) {
+    return `images/${String(key).replace(/[^\w.\-]/g, '_')}`;
+}
+
+// 不同的 key 替换字符后可能得到相同的文件名, 重名时在扩展名前加序号; 同一个 key 始终对应同一个文件
+function assignImageFileNames(ratings) {
+    const fileByKey = new Map();
+    const usedNames = new Set();
+    ratings.forEach(rating => rating.images.forEach(image => {
+        if (!fileByKey.has(image.key)) {
+            const base = imageFileName(image.key);
+            const dot = base.lastIndexOf('.');
+            const [stem, extension] = dot > 'images/'.length ? [base.slice(0, dot), base.slice(dot)] : [base, ''];
+            let file = base;
+            for (let index = 2; usedNames.has(file); index++) file = `${stem}-${index}${extension}`;
+            usedNames.add(file);
+            fileByKey.set(image.key, file);
+        }
+        image.file = fileByKey.get(image.key);
+    }));
+    return ratings;
+}
+
+// 以 = + - @ 开头的单元格在表格软件中会被当成公式
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildRatingsCsv(ratings) {
+    const header = ['id', 'createdAt', 'title', 'cigarName', 'cigarSize', 'cigarOrigin', 'normalizedScore', 'grade', 'gradeName', 'isCertified', 'flavors', 'selections', 'review', 'images'];
+    const lines = ratings.map(rating => [
+        rating.id, rating.createdAt, rating.title, rating.cigar.name, rating.cigar.size, rating.cigar.origin,
+        rating.normalizedScore, rating.finalGrade?.grade, rating.finalGrade?.name, rating.isCertified ? 'yes' : 'no',
+        rating.flavors.map(flavor => flavor.name).join('; '),
+        rating.selections.map(selection => `${selection.criterion}: ${selection.option ?? `#${selection.optionIndex + 1}`}`).join('; '),
+        rating.review,
+        rating.images.map(image => image.file).join('; ')
+    ].map(csvCell).join(','));
+    // BOM 让 Excel 按 UTF-8 打开中文
+    return `\uFEFF${[header.join(','), ...lines].join('\r\n')}\r\n`;
+}
+
+// 其他成员的昵称可能退回成了隐藏的邮箱 (见 profiles.js); 按 hideEmail 清空后去掉查询用的 userId 列
+async function redactAuthorNicknames(db, rows, idField, nicknameField, viewer) {
+    const authors = rows.map(row => ({ userId: row[idField], userNickname: row[nicknameField] }));
+    await redactHiddenEmails(db, authors, viewer);
+    return rows.map(({ [idField]: omitted, ...row }, index) => ({ ...row, [nicknameField]: authors[index].userNickname }));
+}
+
+async function loadComments(db, userInfo) {
+    const userId = userInfo.sub;
+    if (!(await tableExists(db, 'comments'))) return { written: [], received: [] };
+    // 评论 API 第一次运行之前, 早期的 comments 表可能还没有 parentId 列
+    const { results: columns } = await db.prepare('PRAGMA table_info(comments)').all();
+    const parentField = (columns || []).some(column => column.name === 'parentId') ? 'c.parentId' : 'NULL';
+    const { results: written } = await db.prepare(`
+        SELECT c.id, c.ratingId, ${parentField} AS parentId, c.content, c.createdAt, r.title AS ratingTitle, r.userNickname AS ratingAuthor,
+               r.userId AS ratingAuthorId
+        FROM comments c
+        LEFT JOIN ratings r ON r.id = c.ratingId
+        WHERE c.userId = ? AND c.isDeleted = 0
+        ORDER BY c.createdAt ASC
+    `).bind(userId).all();
+    // 收到的评论只导出昵称, 不含对方邮箱
+    const { results: received } = await db.prepare(`
+        SELECT c.id, c.ratingId, ${parentField} AS parentId, c.userNickname AS author, c.content, c.createdAt, r.title AS ratingTitle,
+               c.userId AS authorId
+        FROM comments c
+        JOIN ratings r ON r.id = c.ratingId
+        WHERE r.userId = ? AND c.userId != ? AND c.isDeleted = 0
+        ORDER BY c.createdAt ASC
+    `).bind(userId, userId).all();
+    return {
+        written: await redactAuthorNicknames(db, written || [], 'ratingAuthorId', 'ratingAuthor', userInfo),
+        received: await redactAuthorNicknames(db, received || [], 'authorId', 'author', userInfo)
+    };
+}
+
+async function* exportEntries(env, { userInfo, language, ratings, comments, exportedAt }) {
+    const modified = new Date(exportedAt);
+    yield { name: 'ratings.json', data: ratings, modified };
+    yield { name: 'ratings.csv', data: buildRatingsCsv(ratings), modified };
+    yield { name: 'comments.json', data: comments, modified };
+
+    const missingImages = [];
+    let imageCount = 0;
+    const seen = new Set();
+    for (const rating of ratings) {
+        for (const image of rating.images) {
+            if (seen.has(image.key)) continue;
+            seen.add(image.key);
+            const object = env.PISTACHO_BUCKET ? await env.PISTACHO_BUCKET.get(image.key) : null;
+            if (!object) {
+                missingImages.push(image.key);
+                continue;
+            }
+            imageCount++;
+            yield { name: image.file, data: new Uint8Array(await object.arrayBuffer()), modified: object.uploaded, compress: false };
+        }
+    }
+
+    // 最后写清单, 这样可以记录缺失的图片
+    yield {
+        name: 'manifest.json',
+        data: {
+            exportedAt,
+            language,
+            user: { userId: userInfo.sub, email: userInfo.email ?? null, nickname: userInfo.nickname || userInfo.name || userInfo.preferred_username || null },
+            counts: { ratings: ratings.length, commentsWritten: comments.written.length, commentsReceived: comments.received.length, images: imageCount },
+            missingImages
+        },
+        modified
+    };
+}
+
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        const userInfo = await validateToken(request, env);
+        const language = normalizeLanguageTag(url.searchParams.get('lang'), 'zh');
+        const t = createTranslator(await loadLocale(env, request, language));
+
+        const { results } = await env.DB.prepare(`
+            SELECT id, timestamp, title, cigarName, cigarSize, cigarOrigin, normalizedScore, finalGrade_grade, finalGrade_name_cn,
+                   isCertified, imageUrl, cigarReview, fullData
+            FROM ratings
+            WHERE userId = ?
+            ORDER BY timestamp ASC
+        `).bind(userInfo.sub).all();
+        const ratings = assignImageFileNames((results || []).map(row => toExportedRating(row, t)));
+        const comments = await loadComments(env.DB, userInfo);
+        const exportedAt = new Date().toISOString();
+
+        console.log(`[export] ${userInfo.sub} exported ${ratings.length} rating(s), ${comments.written.length + comments.received.length} comment(s).`);
+        const fileName = `pistacho-export-${exportedAt.slice(0, 10)}.zip`;
+        return new Response(createZipStream(exportEntries(env, { userInfo, language, ratings, comments, exportedAt })), {
+            headers: {
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="${fileName}"`,
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (e) {
+        console.error('[export API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
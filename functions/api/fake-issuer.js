@@ -0,0 +1,114 @@
+// Utility functions for the local fake OIDC issuer, so sign-in and every authenticated API can be exercised offline.
+// It is only active with AUTH_FAKE_ISSUER=true and an AUTHING_ISSUER on localhost / 127.0.0.1 (e.g. in .dev.vars
+// for `wrangler pages dev`); the routes in functions/oidc/ answer 404 otherwise and auth.js keeps using the real JWKS.
+// The signing key is generated in memory, so tokens stop working when the dev server restarts. Like Authing, the
+// access token only carries the user id; the email and name given at sign-in are returned by /oidc/me.
+
+const FAKE_TOKEN_TTL_SECONDS = 60 * 60;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+let signingKeyPromise = null;
+const fakeProfiles = new Map(); // sub -> { sub, email, name }
+
+export function isFakeIssuerEnabled(env) {
+    if (env.AUTH_FAKE_ISSUER !== 'true' || !env.AUTHING_ISSUER) return false;
+    try {
+        return LOOPBACK_HOSTS.includes(new URL(env.AUTHING_ISSUER).hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+export function fakeIssuerId(env) {
+    return `${new URL(env.AUTHING_ISSUER).origin}/oidc`;
+}
+
+async function getSigningKey() {
+    if (!signingKeyPromise) {
+        signingKeyPromise = (async () => {
+            const keyPair = await crypto.subtle.generateKey(
+                { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+                true,
+                ['sign', 'verify']
+            );
+            const publicJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+            const kid = `fake-${crypto.randomUUID()}`;
+            return { privateKey: keyPair.privateKey, publicJwk: { kty: publicJwk.kty, n: publicJwk.n, e: publicJwk.e, kid, alg: 'RS256', use: 'sig' } };
+        })();
+    }
+    return signingKeyPromise;
+}
+
+export async function getFakeIssuerJwks() {
+    const { publicJwk } = await getSigningKey();
+    return [publicJwk];
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function encodeJson(value) {
+    return bytesToBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+async function subjectForEmail(email) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(email.toLowerCase()));
+    return `fake-${[...new Uint8Array(digest)].slice(0, 8).map(byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * 校验登录资料; 没有给 sub 时由 email 推出, 同一个 email 总是得到同一个用户
+ * @returns {Promise<{sub: string, email: string, name: string}>}
+ */
+export async function parseFakeProfile({ sub, email, name } = {}) {
+    if (typeof email !== 'string' || !email.includes('@')) throw new Error('Invalid email.');
+    const profile = {
+        sub: typeof sub === 'string' && sub.trim() ? sub.trim() : await subjectForEmail(email.trim()),
+        email: email.trim(),
+        name: typeof name === 'string' && name.trim() ? name.trim() : email.trim().split('@')[0]
+    };
+    fakeProfiles.set(profile.sub, profile);
+    return profile;
+}
+
+export function getFakeProfile(sub) {
+    return fakeProfiles.get(sub) || null;
+}
+
+/**
+ * 签发 RS256 access token (claims 与 Authing 的 access token 一致: 只有 sub, 没有 email / name)
+ */
+export async function signFakeAccessToken(env, profile, { expiresIn = FAKE_TOKEN_TTL_SECONDS } = {}) {
+    const { privateKey, publicJwk } = await getSigningKey();
+    const now = Math.floor(Date.now() / 1000);
+    const header = encodeJson({ alg: 'RS256', typ: 'JWT', kid: publicJwk.kid });
+    const payload = encodeJson({
+        iss: fakeIssuerId(env),
+        sub: profile.sub,
+        aud: env.AUTH_AUDIENCE || 'pistacho-dev',
+        scope: 'openid profile email',
+        iat: now,
+        exp: now + expiresIn,
+        jti: crypto.randomUUID()
+    });
+    const signature = await crypto.subtle.sign({ name: 'RSASSA-PKCS1-v1_5' }, privateKey, new TextEncoder().encode(`${header}.${payload}`));
+    return { accessToken: `${header}.${payload}.${bytesToBase64Url(new Uint8Array(signature))}`, expiresIn };
+}
+
+// 授权码就是编码后的登录资料 (仅用于本地开发, 不需要保密)
+export function encodeFakeAuthorizationCode(profile) {
+    return encodeJson(profile);
+}
+
+export function decodeFakeAuthorizationCode(code) {
+    try {
+        const base64 = String(code).replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+        return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+    } catch (e) {
+        throw new Error('Invalid authorization code.');
+    }
+}
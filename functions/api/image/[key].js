@@ -2,8 +2,11 @@
 // 文件: /functions/api/image/[key].js
 // 作用: 动态路由, 用于从 R2 安全地获取并显示图片
 // 访问: /api/image/some-uuid.jpg
+// private 评分的图片需要带上 GET /api/ratings 返回的签名查询串 (?rating=...&exp=...&sig=...)
 // ---------------------------------------------------
 
+import { checkImageAccess } from '../visibility.js';
+
 export async function onRequestGet(context) {
     const { request, env, params } = context;
     const key = params.key; // 从 URL 中获取文件名, e.g., "some-uuid.jpg"
@@ -26,7 +29,16 @@ export async function onRequestGet(context) {
     }
 
     try {
-        // 3. 从 R2 获取对象
+        // 3. private 评分的图片: 校验签名, 不通过时按不存在处理
+        const access = await checkImageAccess(env, key, url.searchParams);
+        if (!access.allowed) {
+            console.warn(`[image-proxy] 拒绝访问 private 评分的图片: ${key}`);
+            return new Response('Object Not Found', { status: 404 });
+        }
+        // private 图片只允许浏览器缓存, 不进入共享缓存
+        const cacheControl = access.isPrivate ? 'private, max-age=3600' : 'public, max-age=86400';
+
+        // 从 R2 获取对象
         console.log(`[image-proxy] 正在从 R2 检索: ${key}`);
         const object = await env.PISTACHO_BUCKET.get(key);
 
@@ -59,7 +71,7 @@ export async function onRequestGet(context) {
 
                 if (resizedResponse && resizedResponse.ok) {
                     const headers = new Headers(resizedResponse.headers);
-                    headers.set('cache-control', 'public, max-age=86400');
+                    headers.set('cache-control', cacheControl);
                     headers.set('Access-Control-Allow-Origin', '*');
                     return new Response(resizedResponse.body, {
                         status: resizedResponse.status,
@@ -81,7 +93,7 @@ export async function onRequestGet(context) {
         // 添加 ETag 用于浏览器缓存
         headers.set('etag', object.httpEtag);
         // (可选) 添加更长的浏览器缓存时间, e.g., 缓存 1 天
-        headers.set('cache-control', 'public, max-age=86400');
+        headers.set('cache-control', cacheControl);
         // 添加 CORS 头部以允许跨域访问
         headers.set('Access-Control-Allow-Origin', '*');
 
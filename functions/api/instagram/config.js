@@ -1,33 +1,13 @@
 // ---------------------------------------------------
 // File: /functions/api/instagram/config.js
-// Purpose: Manage Instagram configuration for super admins
+// Purpose: Manage Instagram configuration for roles with the instagram.publish capability
+// Every save is written to the audit log (see audit.js); tokens are only recorded masked.
 // ---------------------------------------------------
 
-const DEFAULT_TEMPLATE = '{{title}} 获得 {{score}} 分! \n\n{{review}}\n\n#Cigar #Pistacho.';
-
-async function validateSuperAdmin(request, env) {
-    const authHeader = request.headers.get('Authorization') || '';
-    const token = authHeader.replace('Bearer ', '');
-    if (!token) throw new Error('Missing authorization token.');
-
-    const userInfoUrl = new URL('/oidc/me', env.AUTHING_ISSUER);
-    const response = await fetch(userInfoUrl.toString(), {
-        headers: { 'Authorization': `Bearer ${token}` }
-    });
-    if (!response.ok) throw new Error('Invalid token.');
-    const userInfo = await response.json();
+import { ensureAuditTables, prepareAuditEntry } from '../audit.js';
+import { validateCapability } from '../auth.js';
 
-    const callerId = userInfo.sub;
-    const stmt = env.DB.prepare('SELECT role FROM users WHERE userId = ?').bind(callerId);
-    const caller = await stmt.first();
-
-    if (!caller || caller.role !== 'super_admin') {
-        throw new Error('Permission denied. Super admin role required.');
-    }
-
-    userInfo.db_role = caller.role;
-    return userInfo;
-}
+const DEFAULT_TEMPLATE = '{{title}} 获得 {{score}} 分! \n\n{{review}}\n\n#Cigar #Pistacho.';
 
 async function ensureSystemConfigTable(env) {
     await env.DB.prepare(`CREATE TABLE IF NOT EXISTS system_configs (
@@ -66,7 +46,7 @@ export async function onRequest(context) {
     const { request, env } = context;
 
     try {
-        await validateSuperAdmin(request, env);
+        const userInfo = await validateCapability(request, env, 'instagram.publish');
         await ensureSystemConfigTable(env);
 
         if (request.method === 'GET') {
@@ -99,6 +79,7 @@ export async function onRequest(context) {
                 }
             }
 
+            const previous = await getConfigValues(env, ['IG_ACCESS_TOKEN', 'IG_USER_ID', 'IG_TEMPLATE']);
             const now = new Date().toISOString();
             const batch = [
                 env.DB.prepare("INSERT INTO system_configs (key, value, updatedAt) VALUES ('IG_TEMPLATE', ?, ?) ON CONFLICT(key) DO UPDATE SET value=excluded.value, updatedAt=excluded.updatedAt").bind(template || DEFAULT_TEMPLATE, now)
@@ -109,6 +90,26 @@ export async function onRequest(context) {
                 batch.push(env.DB.prepare("INSERT INTO system_configs (key, value, updatedAt) VALUES ('IG_USER_ID', ?, ?) ON CONFLICT(key) DO UPDATE SET value=excluded.value, updatedAt=excluded.updatedAt").bind(userIdToSave, now));
             }
 
+            const tokenChanged = !!(token && userIdToSave);
+            await ensureAuditTables(env.DB);
+            batch.push(prepareAuditEntry(env.DB, {
+                actor: userInfo,
+                action: 'instagram.config',
+                targetType: 'instagram',
+                targetId: 'config',
+                before: {
+                    token: maskToken(previous.IG_ACCESS_TOKEN),
+                    userId: previous.IG_USER_ID || null,
+                    template: previous.IG_TEMPLATE || DEFAULT_TEMPLATE
+                },
+                after: {
+                    token: maskToken(tokenChanged ? token : previous.IG_ACCESS_TOKEN),
+                    userId: tokenChanged ? userIdToSave : (previous.IG_USER_ID || null),
+                    template: template || DEFAULT_TEMPLATE
+                },
+                request
+            }));
+
             await env.DB.batch(batch);
 
             return new Response(JSON.stringify({ success: true, userId: userIdToSave }), { headers: { 'Content-Type': 'application/json' } });
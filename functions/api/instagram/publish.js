@@ -1,8 +1,15 @@
 // ---------------------------------------------------
 // File: /functions/api/instagram/publish.js
-// Purpose: Publish a rating to Instagram for super admins
+// Purpose: Publish a rating to Instagram for roles with the instagram.publish capability
+// Only public ratings can be published; unlisted and private ones are refused.
+// Successful publishes are written to the audit log (see audit.js).
 // ---------------------------------------------------
 
+import { recordAuditEntry } from '../audit.js';
+import { validateCapability } from '../auth.js';
+import { getHiddenEmailUserIds, looksLikeEmail } from '../profiles.js';
+import { getRatingVisibility, VISIBILITY } from '../visibility.js';
+
 const DEFAULT_TEMPLATE = '{{title}} 获得 {{score}} 分! \n\n{{review}}\n\n#Cigar #Pistacho.';
 
 function parseJsonSafe(value, fallback) {
@@ -46,30 +53,6 @@ async function waitForMediaStatus(env, igUserId, token, containerId) {
     throw new Error(`Timeout waiting for media ${containerId} to process`);
 }
 
-async function validateSuperAdmin(request, env) {
-    const authHeader = request.headers.get('Authorization') || '';
-    const token = authHeader.replace('Bearer ', '');
-    if (!token) throw new Error('Missing authorization token.');
-
-    const userInfoUrl = new URL('/oidc/me', env.AUTHING_ISSUER);
-    const response = await fetch(userInfoUrl.toString(), {
-        headers: { 'Authorization': `Bearer ${token}` }
-    });
-    if (!response.ok) throw new Error('Invalid token.');
-    const userInfo = await response.json();
-
-    const callerId = userInfo.sub;
-    const stmt = env.DB.prepare('SELECT role FROM users WHERE userId = ?').bind(callerId);
-    const caller = await stmt.first();
-
-    if (!caller || caller.role !== 'super_admin') {
-        throw new Error('Permission denied. Super admin role required.');
-    }
-
-    userInfo.db_role = caller.role;
-    return userInfo;
-}
-
 async function ensureSystemConfigTable(env) {
     await env.DB.prepare(`CREATE TABLE IF NOT EXISTS system_configs (
         key TEXT PRIMARY KEY,
@@ -116,7 +99,7 @@ function buildCaption(template, data) {
 
 async function fetchRating(env, ratingId) {
     const stmt = env.DB.prepare(
-        `SELECT title, normalizedScore, cigarReview, imageUrl, cigarName, cigarSize, cigarOrigin, finalGrade_grade, finalGrade_name_cn, userNickname, userEmail, fullData FROM ratings WHERE id = ?`
+        `SELECT userId, title, normalizedScore, cigarReview, imageUrl, cigarName, cigarSize, cigarOrigin, finalGrade_grade, finalGrade_name_cn, userNickname, userEmail, fullData FROM ratings WHERE id = ?`
     ).bind(ratingId);
     const rating = await stmt.first();
     if (!rating) throw new Error('Rating not found.');
@@ -136,6 +119,9 @@ async function fetchRating(env, ratingId) {
         size: rating.cigarSize || fullData?.cigarInfo?.size || null,
         origin: rating.cigarOrigin || fullData?.cigarInfo?.origin || null
     };
+    // Reviewers who hid their email are never named by it in a public caption (see profiles.js)
+    const emailHidden = (await getHiddenEmailUserIds(env.DB, [rating.userId])).has(rating.userId);
+    const reviewerNickname = emailHidden && looksLikeEmail(rating.userNickname) ? null : rating.userNickname;
     const finalGrade = fullData?.finalGrade || {};
     if (!finalGrade.grade && rating.finalGrade_grade) {
         finalGrade.grade = rating.finalGrade_grade;
@@ -147,7 +133,7 @@ async function fetchRating(env, ratingId) {
         title: rating.title || '',
         score: rating.normalizedScore ?? '',
         review: rating.cigarReview || '',
-        reviewer: rating.userNickname || rating.userEmail || '',
+        reviewer: reviewerNickname || (emailHidden ? '' : rating.userEmail) || '',
         cigarInfo,
         finalGrade,
         imageUrls
@@ -207,7 +193,7 @@ export async function onRequestPost(context) {
     const { request, env } = context;
 
     try {
-        await validateSuperAdmin(request, env);
+        const userInfo = await validateCapability(request, env, 'instagram.publish');
         await ensureSystemConfigTable(env);
 
         const body = await request.json();
@@ -226,6 +212,10 @@ export async function onRequestPost(context) {
         }
 
         const rating = await fetchRating(env, ratingId);
+        const visibility = await getRatingVisibility(env.DB, ratingId);
+        if (visibility !== VISIBILITY.PUBLIC) {
+            throw new Error(`Permission denied: this rating is ${visibility}, only public ratings can be published to Instagram.`);
+        }
         const targetKeys = Array.isArray(body?.overrideImageKeys) ? body.overrideImageKeys : [];
         const imageKeys = targetKeys.length > 0 ? targetKeys : rating.imageUrls;
         if (!Array.isArray(imageKeys) || imageKeys.length === 0) {
@@ -275,6 +265,14 @@ export async function onRequestPost(context) {
 
         await waitForMediaStatus(env, igUserId, accessToken, carouselData.id);
         const publishId = await publishContainer(env, igUserId, accessToken, carouselData.id);
+        await recordAuditEntry(env.DB, {
+            actor: userInfo,
+            action: 'instagram.publish',
+            targetType: 'rating',
+            targetId: ratingId,
+            after: { publishId, igUserId, imageKeys, caption },
+            request
+        });
 
         return new Response(JSON.stringify({ success: true, publishId }), {
             headers: { 'Content-Type': 'application/json' }
@@ -0,0 +1,196 @@
+// Utility functions for comment anti-flood limits.
+// Every posted comment leaves a row in `comment_post_log` (author, hashed client IP, hashed content, time). Before
+// a new comment is stored, the recent rows are counted against per-user and per-IP limits per minute and per day,
+// and the same text from the same author within the duplicate window is refused.
+// The limits are stored as JSON in `system_configs` (the same table as the Instagram settings) so super admins can
+// change them through /api/comment-limits without a deploy. A limit of 0 turns that check off.
+
+export const COMMENT_RATE_LIMITS_KEY = 'COMMENT_RATE_LIMITS';
+export const DEFAULT_COMMENT_RATE_LIMITS = Object.freeze({
+    perUserPerMinute: 5,
+    perUserPerDay: 200,
+    perIpPerMinute: 10,
+    perIpPerDay: 500,
+    duplicateWindowMinutes: 10
+});
+// 日志只保留一天, 所以重复检查的窗口不能超过一天
+const MAX_LIMIT_VALUES = {
+    perUserPerMinute: 1000,
+    perUserPerDay: 100000,
+    perIpPerMinute: 1000,
+    perIpPerDay: 100000,
+    duplicateWindowMinutes: 24 * 60
+};
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+let limitTablesEnsured = false;
+
+export async function ensureLimitTables(db) {
+    if (limitTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS system_configs (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updatedAt TEXT
+    )`).run();
+    await db.prepare(`CREATE TABLE IF NOT EXISTS comment_post_log (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        ipHash TEXT,
+        contentHash TEXT NOT NULL,
+        createdAt TEXT NOT NULL
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_comment_post_log_user ON comment_post_log(userId, createdAt)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_comment_post_log_ip ON comment_post_log(ipHash, createdAt)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_comment_post_log_createdAt ON comment_post_log(createdAt)').run();
+    limitTablesEnsured = true;
+}
+
+/**
+ * 校验超级管理员提交的限制; 没有提交的项沿用 current
+ * @param {object} payload - DEFAULT_COMMENT_RATE_LIMITS 中的部分字段, 值为非负整数
+ * @returns {object} 完整的限制
+ */
+export function parseCommentRateLimits(payload, current = DEFAULT_COMMENT_RATE_LIMITS) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new Error('Invalid limits, expected an object.');
+    const limits = { ...current };
+    Object.entries(payload).forEach(([key, value]) => {
+        if (!(key in DEFAULT_COMMENT_RATE_LIMITS)) {
+            throw new Error(`Invalid limit "${key}", expected one of: ${Object.keys(DEFAULT_COMMENT_RATE_LIMITS).join(', ')}.`);
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0 || number > MAX_LIMIT_VALUES[key]) {
+            throw new Error(`Invalid ${key}, expected an integer between 0 and ${MAX_LIMIT_VALUES[key]}.`);
+        }
+        limits[key] = number;
+    });
+    return limits;
+}
+
+export async function getCommentRateLimits(db) {
+    const row = await db.prepare('SELECT value FROM system_configs WHERE key = ?').bind(COMMENT_RATE_LIMITS_KEY).first();
+    if (!row?.value) return { ...DEFAULT_COMMENT_RATE_LIMITS };
+    try {
+        return parseCommentRateLimits(JSON.parse(row.value));
+    } catch (e) {
+        console.error('[limits] Ignoring invalid stored comment limits:', e.message);
+        return { ...DEFAULT_COMMENT_RATE_LIMITS };
+    }
+}
+
+export async function saveCommentRateLimits(db, limits) {
+    await db.prepare(`INSERT INTO system_configs (key, value, updatedAt)
+        VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value=excluded.value, updatedAt=excluded.updatedAt`)
+        .bind(COMMENT_RATE_LIMITS_KEY, JSON.stringify(limits), new Date().toISOString()).run();
+    return limits;
+}
+
+export function getClientIp(request) {
+    const forwarded = (request.headers.get('X-Forwarded-For') || '').split(',')[0].trim();
+    return request.headers.get('CF-Connecting-IP') || forwarded || null;
+}
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// 忽略大小写和空白差异, "Hello  world" 与 "hello world" 视为重复
+function normalizeForDuplicateCheck(content) {
+    return content.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function secondsUntil(timestamp, windowMs, now) {
+    return Math.max(1, Math.ceil((Date.parse(timestamp) + windowMs - now.getTime()) / 1000));
+}
+
+// 窗口内已有 count 条 (>= max): 等最早的 count - max + 1 条移出窗口后才能再发
+async function retryAfterForWindow(db, column, value, { count, max, windowMs }, now) {
+    const row = await db.prepare(`
+        SELECT createdAt FROM comment_post_log
+        WHERE ${column} = ? AND createdAt > ?
+        ORDER BY createdAt ASC
+        LIMIT 1 OFFSET ?
+    `).bind(value, new Date(now.getTime() - windowMs).toISOString(), count - max).first();
+    return row ? secondsUntil(row.createdAt, windowMs, now) : 1;
+}
+
+/**
+ * 检查一条新评论是否超出限制。没有 IP (本地开发) 时跳过按 IP 的限制。
+ * @returns {Promise<{allowed: boolean, limit?: string, max?: number, retryAfter?: number, fingerprint: {ipHash: string|null, contentHash: string}}>}
+ *   limit: user_minute / ip_minute / user_day / ip_day / duplicate; fingerprint 在发布成功后交给 prepareCommentPostLogStatement
+ */
+export async function checkCommentRateLimits(db, { userId, ip, content }, limits, now = new Date()) {
+    const fingerprint = {
+        ipHash: ip ? await sha256Hex(`ip:${ip}`) : null,
+        contentHash: await sha256Hex(normalizeForDuplicateCheck(content))
+    };
+    const minuteStart = new Date(now.getTime() - MINUTE_MS).toISOString();
+    const dayStart = new Date(now.getTime() - DAY_MS).toISOString();
+    const duplicateWindowMs = limits.duplicateWindowMinutes * MINUTE_MS;
+    const duplicateStart = new Date(now.getTime() - duplicateWindowMs).toISOString();
+    const counts = await db.prepare(`
+        SELECT
+            COALESCE(SUM(CASE WHEN userId = ? AND createdAt > ? THEN 1 ELSE 0 END), 0) AS userMinute,
+            COALESCE(SUM(CASE WHEN userId = ? THEN 1 ELSE 0 END), 0) AS userDay,
+            COALESCE(SUM(CASE WHEN ipHash = ? AND createdAt > ? THEN 1 ELSE 0 END), 0) AS ipMinute,
+            COALESCE(SUM(CASE WHEN ipHash = ? THEN 1 ELSE 0 END), 0) AS ipDay,
+            MAX(CASE WHEN userId = ? AND contentHash = ? AND createdAt > ? THEN createdAt END) AS lastDuplicateAt
+        FROM comment_post_log
+        WHERE createdAt > ? AND (userId = ? OR ipHash = ?)
+    `).bind(
+        userId, minuteStart,
+        userId,
+        fingerprint.ipHash, minuteStart,
+        fingerprint.ipHash,
+        userId, fingerprint.contentHash, duplicateStart,
+        dayStart, userId, fingerprint.ipHash
+    ).first();
+
+    if (limits.duplicateWindowMinutes > 0 && counts?.lastDuplicateAt) {
+        return {
+            allowed: false,
+            limit: 'duplicate',
+            max: limits.duplicateWindowMinutes,
+            retryAfter: secondsUntil(counts.lastDuplicateAt, duplicateWindowMs, now),
+            fingerprint
+        };
+    }
+    const windows = [
+        { limit: 'user_minute', max: limits.perUserPerMinute, count: counts?.userMinute ?? 0, windowMs: MINUTE_MS, column: 'userId', value: userId },
+        { limit: 'ip_minute', max: limits.perIpPerMinute, count: counts?.ipMinute ?? 0, windowMs: MINUTE_MS, column: 'ipHash', value: fingerprint.ipHash },
+        { limit: 'user_day', max: limits.perUserPerDay, count: counts?.userDay ?? 0, windowMs: DAY_MS, column: 'userId', value: userId },
+        { limit: 'ip_day', max: limits.perIpPerDay, count: counts?.ipDay ?? 0, windowMs: DAY_MS, column: 'ipHash', value: fingerprint.ipHash }
+    ];
+    for (const window of windows) {
+        if (window.max <= 0 || window.value === null || window.count < window.max) continue;
+        return {
+            allowed: false,
+            limit: window.limit,
+            max: window.max,
+            retryAfter: await retryAfterForWindow(db, window.column, window.value, window, now),
+            fingerprint
+        };
+    }
+    return { allowed: true, fingerprint };
+}
+
+/**
+ * 记录一次发布, 与评论本身放在同一个 batch 中
+ */
+export function prepareCommentPostLogStatement(db, { userId, fingerprint, createdAt }) {
+    return db.prepare('INSERT INTO comment_post_log (id, userId, ipHash, contentHash, createdAt) VALUES (?, ?, ?, ?, ?)')
+        .bind(crypto.randomUUID(), userId, fingerprint.ipHash, fingerprint.contentHash, createdAt);
+}
+
+/**
+ * 删除一天以前的记录 (所有窗口都不超过一天)。失败只记录日志。
+ */
+export async function purgeCommentPostLog(db, now = new Date()) {
+    try {
+        await db.prepare('DELETE FROM comment_post_log WHERE createdAt <= ?').bind(new Date(now.getTime() - DAY_MS).toISOString()).run();
+    } catch (e) {
+        console.error('[limits] Failed to purge the comment post log:', e.message);
+    }
+}
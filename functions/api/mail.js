@@ -0,0 +1,91 @@
+// Utility functions for sending email.
+// Callers build a message ({to, subject, text, html, headers}) and hand it to the transport returned by
+// createMailTransport(env). MAIL_TRANSPORT picks the transport:
+//   - "http": POST the message as JSON to MAIL_HTTP_ENDPOINT (a mail provider API, or an SMTP relay behind an HTTP
+//     front, since Pages Functions cannot open SMTP connections themselves), with MAIL_HTTP_API_KEY as a Bearer token
+//   - "outbox": write each message as a JSON file under mail-outbox/ in the R2 bucket (wrangler dev keeps it on disk)
+//   - "console" (default): only log the message, nothing is delivered
+// Every transport has the same shape, { name, send(message) -> Promise<{id}> }, and throws when delivery fails.
+
+export const MAIL_TRANSPORTS = ['console', 'outbox', 'http'];
+const OUTBOX_PREFIX = 'mail-outbox/';
+const DEFAULT_FROM = 'Pistacho <no-reply@pistacho.app>';
+
+function validateMessage(message) {
+    if (!message?.to || typeof message.to !== 'string') throw new Error('Invalid mail message: missing recipient.');
+    if (!message.subject) throw new Error('Invalid mail message: missing subject.');
+    if (!message.text && !message.html) throw new Error('Invalid mail message: missing body.');
+}
+
+function withDefaults(env, message) {
+    validateMessage(message);
+    return {
+        from: env.MAIL_FROM || DEFAULT_FROM,
+        to: message.to,
+        subject: message.subject,
+        text: message.text || '',
+        html: message.html || '',
+        headers: message.headers || {}
+    };
+}
+
+function createConsoleTransport(env) {
+    return {
+        name: 'console',
+        async send(message) {
+            const mail = withDefaults(env, message);
+            const id = crypto.randomUUID();
+            console.log(`[mail:console] ${id} to=${mail.to} subject=${JSON.stringify(mail.subject)}\n${mail.text}`);
+            return { id };
+        }
+    };
+}
+
+function createOutboxTransport(env) {
+    if (!env.PISTACHO_BUCKET) throw new Error('Mail configuration error: the outbox transport needs the PISTACHO_BUCKET binding.');
+    return {
+        name: 'outbox',
+        async send(message) {
+            const mail = withDefaults(env, message);
+            const id = crypto.randomUUID();
+            // 文件名以时间开头, 按名称排序即按发送顺序
+            const key = `${OUTBOX_PREFIX}${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.json`;
+            await env.PISTACHO_BUCKET.put(key, JSON.stringify({ id, ...mail }, null, 2), {
+                httpMetadata: { contentType: 'application/json' }
+            });
+            return { id, key };
+        }
+    };
+}
+
+function createHttpTransport(env) {
+    if (!env.MAIL_HTTP_ENDPOINT) throw new Error('Mail configuration error: MAIL_HTTP_ENDPOINT is not set.');
+    return {
+        name: 'http',
+        async send(message) {
+            const mail = withDefaults(env, message);
+            const response = await fetch(env.MAIL_HTTP_ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(env.MAIL_HTTP_API_KEY ? { 'Authorization': `Bearer ${env.MAIL_HTTP_API_KEY}` } : {})
+                },
+                body: JSON.stringify(mail)
+            });
+            if (!response.ok) {
+                const detail = (await response.text().catch(() => '')).slice(0, 200);
+                throw new Error(`Mail delivery failed (HTTP ${response.status})${detail ? `: ${detail}` : ''}`);
+            }
+            const data = await response.json().catch(() => ({}));
+            return { id: data.id || data.messageId || null };
+        }
+    };
+}
+
+export function createMailTransport(env) {
+    const name = (env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+    if (name === 'http') return createHttpTransport(env);
+    if (name === 'outbox') return createOutboxTransport(env);
+    if (name === 'console') return createConsoleTransport(env);
+    throw new Error(`Mail configuration error: unsupported MAIL_TRANSPORT "${name}", expected one of: ${MAIL_TRANSPORTS.join(', ')}.`);
+}
@@ -0,0 +1,27 @@
+// ---------------------------------------------------
+// 文件: /functions/api/mention-suggestions.js
+// 作用: 评论框输入 "@" 时的昵称自动补全, 只返回昵称 (不含 userId / 邮箱)
+// 访问: /api/mention-suggestions?q=<前缀>, 需要登录
+// ---------------------------------------------------
+
+import { validateToken } from './auth.js';
+import { suggestNicknames } from './mentions.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        await validateToken(request, env);
+        const nicknames = await suggestNicknames(env.DB, url.searchParams.get('q'));
+        return jsonResponse({ nicknames });
+    } catch (e) {
+        console.error('[mention-suggestions API] Error:', e.message, e);
+        const statusCode = e.message && e.message.includes('token') ? 401 : 500;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
@@ -0,0 +1,142 @@
+// Utility functions for @mentions in comments.
+// A mention is "@" followed by a member's nickname as stored in `users.nickname` (case-insensitive, may contain spaces).
+// Mentions are resolved when a comment is posted or edited and stored in `comment_mentions`; the mentioned user
+// sees the comment in their incoming comments (GET /api/comments?owned=true) until they read it.
+// Nicknames that look like an email address are never suggested or resolved, and a nickname shared by several
+// members is ambiguous and is left as plain text.
+
+import { getRoleCapabilities } from './permissions.js';
+import { canViewRating } from './visibility.js';
+
+export const MAX_MENTIONS_PER_COMMENT = 10;
+export const MENTION_SUGGESTION_LIMIT = 8;
+const MAX_NICKNAME_LENGTH = 64;
+// D1 单条语句最多 100 个绑定参数
+const MAX_IDS_PER_QUERY = 90;
+
+let mentionTablesEnsured = false;
+
+export async function ensureMentionTables(db) {
+    if (mentionTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS comment_mentions (
+        commentId TEXT NOT NULL,
+        mentionedUserId TEXT NOT NULL,
+        nickname TEXT NOT NULL,
+        ratingId TEXT NOT NULL,
+        createdAt TEXT NOT NULL,
+        PRIMARY KEY (commentId, mentionedUserId)
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_comment_mentions_user ON comment_mentions(mentionedUserId, createdAt)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_comment_mentions_ratingId ON comment_mentions(ratingId)').run();
+    mentionTablesEnsured = true;
+}
+
+// 没有昵称时 users.nickname 会退回到邮箱 (见 getRoleFromDatabase), 这类昵称不能公开
+export function isMentionableNickname(nickname) {
+    return typeof nickname === 'string' && nickname.trim() !== '' && !nickname.includes('@') && nickname.length <= MAX_NICKNAME_LENGTH;
+}
+
+function isNicknameBoundary(char) {
+    return char === undefined || !/[\p{L}\p{N}_]/u.test(char);
+}
+
+/**
+ * 找出内容中提到的用户。同一位置匹配多个昵称时取最长的 ("@Ana" 与 "@Ana Maria");
+ * 不包括作者本人, 也不包括看不到这篇评分的人 (private 评分)。
+ * @param {{authorId: string, rating: {userId: string}, visibility: string}} context
+ * @returns {Promise<Array<{userId: string, nickname: string}>>}
+ */
+export async function resolveMentions(db, content, { authorId, rating, visibility }) {
+    if (typeof content !== 'string' || !content.includes('@')) return [];
+    const lowerContent = content.toLowerCase();
+    const { results } = await db.prepare(`
+        SELECT userId, nickname, role FROM users
+        WHERE nickname IS NOT NULL AND nickname != '' AND instr(nickname, '@') = 0
+          AND instr(lower(?), '@' || lower(nickname)) > 0
+    `).bind(content).all();
+
+    // private 评分需要知道被提及者的角色能否查看 (ratings.manage)
+    const capabilitiesByRole = new Map();
+    for (const role of new Set((results || []).map(row => row.role || 'general'))) {
+        capabilitiesByRole.set(role, await getRoleCapabilities(db, role));
+    }
+
+    const usersByNickname = new Map();
+    (results || []).forEach(row => {
+        if (!isMentionableNickname(row.nickname)) return;
+        const key = row.nickname.toLowerCase();
+        if (!usersByNickname.has(key)) usersByNickname.set(key, []);
+        usersByNickname.get(key).push(row);
+    });
+
+    const covered = new Set();   // 已被更长昵称占用的 "@" 位置
+    const mentions = new Map();
+    [...usersByNickname.keys()].sort((a, b) => b.length - a.length).forEach(key => {
+        const users = usersByNickname.get(key);
+        let index = lowerContent.indexOf(`@${key}`);
+        let matched = false;
+        while (index !== -1) {
+            if (!covered.has(index) && isNicknameBoundary(content[index + key.length + 1])) {
+                covered.add(index);
+                matched = true;
+            }
+            index = lowerContent.indexOf(`@${key}`, index + 1);
+        }
+        if (!matched || users.length !== 1) return;
+        const [user] = users;
+        if (user.userId === authorId) return;
+        if (!canViewRating(rating, visibility, { sub: user.userId, db_role: user.role, capabilities: capabilitiesByRole.get(user.role || 'general') })) return;
+        mentions.set(user.userId, { userId: user.userId, nickname: user.nickname });
+    });
+    return [...mentions.values()].slice(0, MAX_MENTIONS_PER_COMMENT);
+}
+
+/**
+ * 写入 (或编辑后重写) 一条评论的提及记录, 与评论本身放在同一个 batch 中
+ */
+export function prepareMentionStatements(db, { commentId, ratingId, mentions, createdAt, replace = false }) {
+    const statements = replace ? [db.prepare('DELETE FROM comment_mentions WHERE commentId = ?').bind(commentId)] : [];
+    mentions.forEach(mention => {
+        statements.push(db.prepare(`
+            INSERT INTO comment_mentions (commentId, mentionedUserId, nickname, ratingId, createdAt) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(commentId, mentionedUserId) DO UPDATE SET nickname = excluded.nickname
+        `).bind(commentId, mention.userId, mention.nickname, ratingId, createdAt));
+    });
+    return statements;
+}
+
+/**
+ * @returns {Promise<Map<string, Array<{userId: string, nickname: string}>>>} commentId -> 提及的用户
+ */
+export async function getCommentMentions(db, commentIds) {
+    const mentionsByComment = new Map();
+    const ids = [...new Set(commentIds.filter(Boolean))];
+    for (let i = 0; i < ids.length; i += MAX_IDS_PER_QUERY) {
+        const chunk = ids.slice(i, i + MAX_IDS_PER_QUERY);
+        const { results } = await db.prepare(`
+            SELECT commentId, mentionedUserId, nickname FROM comment_mentions
+            WHERE commentId IN (${chunk.map(() => '?').join(', ')})
+        `).bind(...chunk).all();
+        (results || []).forEach(row => {
+            if (!mentionsByComment.has(row.commentId)) mentionsByComment.set(row.commentId, []);
+            mentionsByComment.get(row.commentId).push({ userId: row.mentionedUserId, nickname: row.nickname });
+        });
+    }
+    return mentionsByComment;
+}
+
+/**
+ * 自动补全: 只返回昵称 (不含 userId / 邮箱), 按前缀匹配
+ */
+export async function suggestNicknames(db, prefix, limit = MENTION_SUGGESTION_LIMIT) {
+    const query = typeof prefix === 'string' ? prefix.trim().slice(0, MAX_NICKNAME_LENGTH) : '';
+    if (!query) return [];
+    const pattern = `${query.replace(/[\\%_]/g, '\\$&')}%`;
+    const { results } = await db.prepare(`
+        SELECT DISTINCT nickname FROM users
+        WHERE nickname LIKE ? ESCAPE '\\' AND instr(nickname, '@') = 0
+        ORDER BY nickname COLLATE NOCASE
+        LIMIT ?
+    `).bind(pattern, limit).all();
+    return (results || []).map(row => row.nickname).filter(isMentionableNickname);
+}
@@ -0,0 +1,180 @@
+// Utility functions for comment mutes.
+// A mute stops a user from posting or editing comments, either everywhere (scope "global") or only under one
+// rating (scope "rating"). It can carry a reason shown to the muted user and an expiry after which it lifts by
+// itself; a mute without `expiresAt` lasts until an admin removes it.
+// Mutes are stored in `comment_mute_entries`, at most one per user and scope. Rows of the old permanent
+// `comment_mutes` table are moved over as global mutes the first time the table is ensured.
+
+export const MUTE_SCOPES = ['global', 'rating'];
+export const MAX_MUTE_REASON_LENGTH = 200;
+export const MAX_MUTE_DURATION_HOURS = 365 * 24;
+
+// ratingId 为 '' 表示全站禁言, 这样 (mutedUserId, ratingId) 可以直接做唯一键
+const GLOBAL_RATING_ID = '';
+
+let muteTablesEnsured = false;
+
+export async function ensureMuteTables(db) {
+    if (muteTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS comment_mute_entries (
+        id TEXT PRIMARY KEY,
+        mutedUserId TEXT NOT NULL,
+        ratingId TEXT NOT NULL DEFAULT '',
+        reason TEXT,
+        expiresAt TEXT,
+        mutedBy TEXT,
+        createdAt TEXT NOT NULL,
+        UNIQUE (mutedUserId, ratingId)
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_comment_mute_entries_ratingId ON comment_mute_entries(ratingId)').run();
+    const legacy = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'comment_mutes'").first();
+    if (legacy) {
+        await db.batch([
+            db.prepare(`
+                INSERT OR IGNORE INTO comment_mute_entries (id, mutedUserId, ratingId, reason, expiresAt, mutedBy, createdAt)
+                SELECT lower(hex(randomblob(16))), mutedUserId, '', NULL, NULL, mutedBy, createdAt FROM comment_mutes
+            `),
+            db.prepare('DELETE FROM comment_mutes')
+        ]);
+    }
+    muteTablesEnsured = true;
+}
+
+function toMute(row) {
+    return {
+        id: row.id,
+        userId: row.mutedUserId,
+        scope: row.ratingId ? 'rating' : 'global',
+        ratingId: row.ratingId || null,
+        reason: row.reason,
+        expiresAt: row.expiresAt,
+        mutedBy: row.mutedBy,
+        createdAt: row.createdAt
+    };
+}
+
+// 永久禁言排在前面, 其余按结束时间从晚到早
+function compareMutes(a, b) {
+    if (!a.expiresAt || !b.expiresAt) return (a.expiresAt ? 1 : 0) - (b.expiresAt ? 1 : 0);
+    return b.expiresAt.localeCompare(a.expiresAt);
+}
+
+/**
+ * 校验管理员提交的禁言参数
+ * @param {{scope?: string, ratingId?: string, reason?: string, durationHours?: number|null}} payload
+ * @returns {{ratingId: string|null, reason: string|null, expiresAt: string|null}}
+ */
+export function parseMuteOptions(payload, now = new Date()) {
+    const scope = payload.scope ?? 'global';
+    if (!MUTE_SCOPES.includes(scope)) throw new Error(`Invalid scope, expected one of: ${MUTE_SCOPES.join(', ')}.`);
+    const ratingId = scope === 'rating' ? payload.ratingId : null;
+    if (scope === 'rating' && (typeof ratingId !== 'string' || !ratingId)) throw new Error('Missing ratingId for a rating-scoped mute.');
+
+    let reason = null;
+    if (payload.reason !== undefined && payload.reason !== null) {
+        if (typeof payload.reason !== 'string') throw new Error('Invalid reason.');
+        reason = payload.reason.trim() || null;
+        if (reason && reason.length > MAX_MUTE_REASON_LENGTH) throw new Error(`Invalid reason, maximum length is ${MAX_MUTE_REASON_LENGTH} characters.`);
+    }
+
+    let expiresAt = null;
+    if (payload.durationHours !== undefined && payload.durationHours !== null) {
+        const hours = Number(payload.durationHours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_MUTE_DURATION_HOURS) {
+            throw new Error(`Invalid durationHours, expected a number between 0 and ${MAX_MUTE_DURATION_HOURS}.`);
+        }
+        expiresAt = new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+    }
+    return { ratingId, reason, expiresAt };
+}
+
+export async function muteUser(db, { mutedUserId, ratingId = null, reason = null, expiresAt = null, mutedBy }) {
+    const createdAt = new Date().toISOString();
+    await db.prepare(`
+        INSERT INTO comment_mute_entries (id, mutedUserId, ratingId, reason, expiresAt, mutedBy, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(mutedUserId, ratingId) DO UPDATE SET
+            reason = excluded.reason, expiresAt = excluded.expiresAt, mutedBy = excluded.mutedBy, createdAt = excluded.createdAt
+    `).bind(crypto.randomUUID(), mutedUserId, ratingId || GLOBAL_RATING_ID, reason, expiresAt, mutedBy, createdAt).run();
+    const row = await db.prepare('SELECT * FROM comment_mute_entries WHERE mutedUserId = ? AND ratingId = ?')
+        .bind(mutedUserId, ratingId || GLOBAL_RATING_ID).first();
+    return toMute(row);
+}
+
+/**
+ * 解除禁言。没有指定 scope 时解除该用户的全部禁言 (全站和各评分)
+ * @returns {Promise<number>} 删除的条数
+ */
+export async function unmuteUser(db, { mutedUserId, scope = null, ratingId = null }) {
+    let stmt;
+    if (scope === 'global') {
+        stmt = db.prepare('DELETE FROM comment_mute_entries WHERE mutedUserId = ? AND ratingId = ?').bind(mutedUserId, GLOBAL_RATING_ID);
+    } else if (scope === 'rating') {
+        if (!ratingId) throw new Error('Missing ratingId for a rating-scoped mute.');
+        stmt = db.prepare('DELETE FROM comment_mute_entries WHERE mutedUserId = ? AND ratingId = ?').bind(mutedUserId, ratingId);
+    } else if (scope === null) {
+        stmt = db.prepare('DELETE FROM comment_mute_entries WHERE mutedUserId = ?').bind(mutedUserId);
+    } else {
+        throw new Error(`Invalid scope, expected one of: ${MUTE_SCOPES.join(', ')}.`);
+    }
+    const result = await stmt.run();
+    return result?.meta?.changes ?? 0;
+}
+
+/**
+ * 在某个评分下生效的禁言 (全站 + 该评分), 已过期的不算。
+ * @returns {Promise<Map<string, object>>} userId -> 结束得最晚的那条禁言
+ */
+export async function getActiveMutes(db, ratingId, now = new Date()) {
+    const { results } = await db.prepare(`
+        SELECT * FROM comment_mute_entries
+        WHERE ratingId IN (?, ?) AND (expiresAt IS NULL OR expiresAt > ?)
+    `).bind(GLOBAL_RATING_ID, ratingId || GLOBAL_RATING_ID, now.toISOString()).all();
+    const mutesByUser = new Map();
+    (results || []).map(toMute).sort(compareMutes).forEach(mute => {
+        if (!mutesByUser.has(mute.userId)) mutesByUser.set(mute.userId, mute);
+    });
+    return mutesByUser;
+}
+
+export async function getActiveMuteForUser(db, userId, ratingId, now = new Date()) {
+    const { results } = await db.prepare(`
+        SELECT * FROM comment_mute_entries
+        WHERE mutedUserId = ? AND ratingId IN (?, ?) AND (expiresAt IS NULL OR expiresAt > ?)
+    `).bind(userId, GLOBAL_RATING_ID, ratingId || GLOBAL_RATING_ID, now.toISOString()).all();
+    return (results || []).map(toMute).sort(compareMutes)[0] || null;
+}
+
+/**
+ * 管理员查看所有生效中的禁言 (可按评分筛选), 附带被禁言者 / 执行者的昵称和评分标题
+ */
+export async function listActiveMutes(db, { ratingId = null } = {}, now = new Date()) {
+    const ratingClause = ratingId ? 'AND m.ratingId IN (?, ?)' : '';
+    const { results } = await db.prepare(`
+        SELECT m.*, mu.nickname AS mutedUserNickname, mb.nickname AS mutedByNickname, r.title AS ratingTitle
+        FROM comment_mute_entries m
+        LEFT JOIN users mu ON mu.userId = m.mutedUserId
+        LEFT JOIN users mb ON mb.userId = m.mutedBy
+        LEFT JOIN ratings r ON r.id = m.ratingId
+        WHERE (m.expiresAt IS NULL OR m.expiresAt > ?) ${ratingClause}
+        ORDER BY m.createdAt DESC
+    `).bind(now.toISOString(), ...(ratingId ? [GLOBAL_RATING_ID, ratingId] : [])).all();
+    return (results || []).map(row => ({
+        ...toMute(row),
+        mutedUserNickname: row.mutedUserNickname ?? null,
+        mutedByNickname: row.mutedByNickname ?? null,
+        ratingTitle: row.ratingTitle ?? null
+    }));
+}
+
+// 某个用户的全部禁言 (包括已过期但还没清理的), 审计日志用它记录禁言前后的状态
+export async function getMutesForUser(db, userId) {
+    const { results } = await db.prepare('SELECT * FROM comment_mute_entries WHERE mutedUserId = ? ORDER BY ratingId')
+        .bind(userId).all();
+    return (results || []).map(toMute);
+}
+
+export async function purgeExpiredMutes(db, now = new Date()) {
+    const result = await db.prepare('DELETE FROM comment_mute_entries WHERE expiresAt IS NOT NULL AND expiresAt <= ?').bind(now.toISOString()).run();
+    return result?.meta?.changes ?? 0;
+}
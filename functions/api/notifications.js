@@ -0,0 +1,198 @@
+// Utility functions for the in-app notification center.
+// Every event that concerns a user (a comment on their rating, a reply, a mention, their rating being certified
+// or pinned, a role change, an admin reply to their contact message) becomes one row in `notifications`.
+// Notifications are written best-effort: a failure is only logged and never fails the action that triggered it.
+// The navbar lists them through /api/user-notifications.
+
+import { redactHiddenEmails } from './profiles.js';
+
+export const NOTIFICATION_TYPES = ['comment', 'reply', 'mention', 'certified', 'pinned', 'role_changed', 'contact_reply'];
+// 这些类型在用户打开对应评分的评论区时自动标记为已读
+export const COMMENT_NOTIFICATION_TYPES = ['comment', 'reply', 'mention'];
+
+export const DEFAULT_NOTIFICATION_PAGE_SIZE = 20;
+export const MAX_NOTIFICATION_PAGE_SIZE = 50;
+const MAX_EXCERPT_LENGTH = 120;
+// D1 单条语句最多 100 个绑定参数
+const MAX_IDS_PER_QUERY = 90;
+
+let notificationTablesEnsured = false;
+
+export async function ensureNotificationTables(db) {
+    if (notificationTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS notifications (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        type TEXT NOT NULL,
+        actorId TEXT,
+        actorNickname TEXT,
+        ratingId TEXT,
+        commentId TEXT,
+        data TEXT,
+        createdAt TEXT NOT NULL,
+        readAt TEXT
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(userId, createdAt)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(userId, readAt)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_notifications_ratingId ON notifications(ratingId)').run();
+    notificationTablesEnsured = true;
+}
+
+export function excerpt(text, maxLength = MAX_EXCERPT_LENGTH) {
+    if (typeof text !== 'string') return '';
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+}
+
+function actorNickname(actor) {
+    return actor?.nickname || actor?.name || actor?.preferred_username || null;
+}
+
+/**
+ * 写入通知。跳过没有接收人, 以及接收人就是触发者本人的条目; 同一批中同一个人只收到第一条。
+ * @param {Array<{userId: string, type: string, actor?: {sub: string}, ratingId?: string, commentId?: string, data?: object}>} entries
+ * @returns {Promise<number>} 写入的条数 (失败时为 0)
+ */
+export async function notifyUsers(db, entries) {
+    const seen = new Set();
+    const createdAt = new Date().toISOString();
+    const rows = entries.filter(entry => {
+        if (!entry?.userId || !NOTIFICATION_TYPES.includes(entry.type)) return false;
+        if (entry.actor?.sub && entry.actor.sub === entry.userId) return false;
+        if (seen.has(entry.userId)) return false;
+        seen.add(entry.userId);
+        return true;
+    });
+    if (rows.length === 0) return 0;
+    try {
+        await ensureNotificationTables(db);
+        await db.batch(rows.map(entry => db.prepare(`
+            INSERT INTO notifications (id, userId, type, actorId, actorNickname, ratingId, commentId, data, createdAt, readAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NULL)
+        `).bind(
+            crypto.randomUUID(),
+            entry.userId,
+            entry.type,
+            entry.actor?.sub ?? null,
+            actorNickname(entry.actor),
+            entry.ratingId ?? null,
+            entry.commentId ?? null,
+            entry.data ? JSON.stringify(entry.data) : null,
+            createdAt
+        )));
+        return rows.length;
+    } catch (e) {
+        console.error('[notifications] Failed to write notifications:', e.message);
+        return 0;
+    }
+}
+
+function toNotification(row) {
+    let data = {};
+    if (row.data) {
+        try { data = JSON.parse(row.data) || {}; } catch (e) { data = {}; }
+    }
+    return {
+        id: row.id,
+        type: row.type,
+        actorId: row.actorId,
+        actorNickname: row.actorNickname,
+        ratingId: row.ratingId,
+        ratingTitle: row.ratingTitle ?? null,
+        commentId: row.commentId,
+        data,
+        createdAt: row.createdAt,
+        readAt: row.readAt,
+        isRead: !!row.readAt
+    };
+}
+
+export function parseNotificationPageSize(value) {
+    const size = Number.parseInt(value, 10);
+    if (!Number.isInteger(size) || size <= 0) return DEFAULT_NOTIFICATION_PAGE_SIZE;
+    return Math.min(size, MAX_NOTIFICATION_PAGE_SIZE);
+}
+
+/**
+ * 按时间倒序分页; cursor 是上一页最后一条的 "createdAt|id"
+ * @returns {Promise<{notifications: object[], nextCursor: string|null}>}
+ */
+export async function listNotifications(db, userId, { limit = DEFAULT_NOTIFICATION_PAGE_SIZE, cursor = null, unreadOnly = false } = {}) {
+    const clauses = ['n.userId = ?'];
+    const bindings = [userId];
+    if (unreadOnly) clauses.push('n.readAt IS NULL');
+    if (cursor) {
+        const separator = cursor.lastIndexOf('|');
+        if (separator <= 0) throw new Error('Invalid cursor.');
+        const createdAt = cursor.slice(0, separator);
+        const id = cursor.slice(separator + 1);
+        clauses.push('(n.createdAt < ? OR (n.createdAt = ? AND n.id < ?))');
+        bindings.push(createdAt, createdAt, id);
+    }
+    const { results } = await db.prepare(`
+        SELECT n.*, r.title AS ratingTitle
+        FROM notifications n
+        LEFT JOIN ratings r ON r.id = n.ratingId
+        WHERE ${clauses.join(' AND ')}
+        ORDER BY n.createdAt DESC, n.id DESC
+        LIMIT ?
+    `).bind(...bindings, limit + 1).all();
+    const rows = results || [];
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const notifications = page.map(toNotification);
+    // 触发者的昵称可能退回成了邮箱; 读取时按对方当前的 hideEmail 设置处理 (见 profiles.js)
+    const actors = notifications.map(notification => ({ userId: notification.actorId, userNickname: notification.actorNickname }));
+    await redactHiddenEmails(db, actors, { sub: userId });
+    notifications.forEach((notification, index) => { notification.actorNickname = actors[index].userNickname; });
+    return {
+        notifications,
+        nextCursor: rows.length > limit && last ? `${last.createdAt}|${last.id}` : null
+    };
+}
+
+export async function countUnreadNotifications(db, userId) {
+    const row = await db.prepare('SELECT COUNT(*) AS total FROM notifications WHERE userId = ? AND readAt IS NULL').bind(userId).first();
+    return row?.total ?? 0;
+}
+
+/**
+ * @returns {Promise<number>} 新标记为已读的条数
+ */
+export async function markNotificationsRead(db, userId, ids) {
+    const uniqueIds = [...new Set((Array.isArray(ids) ? ids : []).filter(id => typeof id === 'string' && id))];
+    const readAt = new Date().toISOString();
+    let changed = 0;
+    for (let i = 0; i < uniqueIds.length; i += MAX_IDS_PER_QUERY) {
+        const chunk = uniqueIds.slice(i, i + MAX_IDS_PER_QUERY);
+        const result = await db.prepare(`
+            UPDATE notifications SET readAt = ?
+            WHERE userId = ? AND readAt IS NULL AND id IN (${chunk.map(() => '?').join(', ')})
+        `).bind(readAt, userId, ...chunk).run();
+        changed += result?.meta?.changes ?? 0;
+    }
+    return changed;
+}
+
+export async function markAllNotificationsRead(db, userId) {
+    const result = await db.prepare('UPDATE notifications SET readAt = ? WHERE userId = ? AND readAt IS NULL')
+        .bind(new Date().toISOString(), userId).run();
+    return result?.meta?.changes ?? 0;
+}
+
+/**
+ * 打开评分的评论区后, 该评分下的评论 / 回复 / 提及通知视为已读 (ratingId 为空时针对所有评分)。失败只记录日志。
+ */
+export async function markCommentNotificationsRead(db, userId, ratingId = null) {
+    try {
+        await ensureNotificationTables(db);
+        const placeholders = COMMENT_NOTIFICATION_TYPES.map(() => '?').join(', ');
+        const ratingClause = ratingId ? 'AND ratingId = ?' : '';
+        await db.prepare(`
+            UPDATE notifications SET readAt = ?
+            WHERE userId = ? AND readAt IS NULL AND type IN (${placeholders}) ${ratingClause}
+        `).bind(new Date().toISOString(), userId, ...COMMENT_NOTIFICATION_TYPES, ...(ratingId ? [ratingId] : [])).run();
+    } catch (e) {
+        console.error('[notifications] Failed to mark comment notifications read:', e.message);
+    }
+}
@@ -0,0 +1,167 @@
+// Utility functions for role capabilities.
+// A user's role (users.role) no longer decides permissions by itself: each role maps to a list of capabilities in the
+// `role_capabilities` table, and endpoints check the capability they need (hasCapability / validateCapability in
+// auth.js). Super admins edit the mapping and create roles through /api/role-capabilities.
+// The table is seeded with DEFAULT_ROLE_CAPABILITIES the first time it is created. `super_admin` always has every
+// capability and cannot be edited, so the mapping cannot lock everyone out. Assigning roles and editing the mapping
+// stay reserved to super admins (not a capability), otherwise a role could grant itself more rights.
+
+export const CAPABILITIES = [
+    'ratings.certify',     // 认证 / 取消认证评分
+    'ratings.pin',         // 置顶评分
+    'ratings.manage',      // 编辑、删除、恢复他人的评分, 查看 private 评分
+    'ratings.translate',   // 修改评分标题和评语的翻译
+    'comments.moderate',   // 删除他人评论, 禁言, 处理举报
+    'catalog.edit',        // 雪茄目录
+    'config.edit',         // 评分配置方案
+    'contact.manage',      // 查看和回复联系留言
+    'instagram.publish'    // Instagram 设置和发布
+];
+
+export const BUILT_IN_ROLES = ['general', 'admin', 'super_admin'];
+
+export const DEFAULT_ROLE_CAPABILITIES = Object.freeze({
+    general: [],
+    admin: ['ratings.certify', 'ratings.pin', 'ratings.manage', 'ratings.translate', 'comments.moderate', 'catalog.edit', 'config.edit', 'contact.manage'],
+    super_admin: [...CAPABILITIES],
+    certifier: ['ratings.certify'],
+    moderator: ['comments.moderate'],
+    config_editor: ['config.edit'],
+    translator: ['ratings.translate']
+});
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+const MAPPING_CACHE_TTL_MS = 60 * 1000;
+
+let permissionTablesEnsured = false;
+let mappingCache = null; // { roles: Map<role, string[]>, expiresAt }
+
+export async function ensurePermissionTables(db) {
+    if (permissionTablesEnsured) return;
+    const existing = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'role_capabilities'").first();
+    await db.prepare(`CREATE TABLE IF NOT EXISTS role_capabilities (
+        role TEXT PRIMARY KEY,
+        capabilities TEXT NOT NULL,
+        updatedBy TEXT,
+        updatedAt TEXT NOT NULL
+    )`).run();
+    // 只在第一次建表时写入默认角色, 之后被删除的角色不会再出现
+    if (!existing) {
+        const now = new Date().toISOString();
+        await db.batch(Object.entries(DEFAULT_ROLE_CAPABILITIES).map(([role, capabilities]) =>
+            db.prepare('INSERT OR IGNORE INTO role_capabilities (role, capabilities, updatedBy, updatedAt) VALUES (?, ?, NULL, ?)')
+                .bind(role, JSON.stringify(capabilities), now)
+        ));
+    }
+    permissionTablesEnsured = true;
+}
+
+function parseStoredCapabilities(value) {
+    try {
+        const list = JSON.parse(value);
+        return Array.isArray(list) ? list.filter(capability => CAPABILITIES.includes(capability)) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+async function loadMapping(db) {
+    if (mappingCache && mappingCache.expiresAt > Date.now()) return mappingCache.roles;
+    await ensurePermissionTables(db);
+    const { results } = await db.prepare('SELECT role, capabilities FROM role_capabilities').all();
+    const roles = new Map((results || []).map(row => [row.role, parseStoredCapabilities(row.capabilities)]));
+    roles.set('super_admin', [...CAPABILITIES]);
+    if (!roles.has('general')) roles.set('general', []);
+    mappingCache = { roles, expiresAt: Date.now() + MAPPING_CACHE_TTL_MS };
+    return roles;
+}
+
+/**
+ * 某个角色的能力; 未知角色没有任何能力。读取失败时按 general 处理。
+ * @returns {Promise<string[]>}
+ */
+export async function getRoleCapabilities(db, role) {
+    if (role === 'super_admin') return [...CAPABILITIES];
+    try {
+        return [...((await loadMapping(db)).get(role) || [])];
+    } catch (e) {
+        console.error(`[permissions] Failed to load capabilities for role ${role}:`, e.message);
+        return [];
+    }
+}
+
+export function hasCapability(userInfo, capability) {
+    return Array.isArray(userInfo?.capabilities) && userInfo.capabilities.includes(capability);
+}
+
+export async function roleExists(db, role) {
+    return (await loadMapping(db)).has(role);
+}
+
+/**
+ * 管理页面使用: 所有角色及其能力和用户数
+ */
+export async function listRoles(db) {
+    await ensurePermissionTables(db);
+    const { results } = await db.prepare(`
+        SELECT rc.role, rc.capabilities, rc.updatedBy, rc.updatedAt,
+               (SELECT COUNT(*) FROM users u WHERE u.role = rc.role) AS userCount
+        FROM role_capabilities rc
+    `).all();
+    const byRole = new Map((results || []).map(row => [row.role, {
+        role: row.role,
+        capabilities: row.role === 'super_admin' ? [...CAPABILITIES] : parseStoredCapabilities(row.capabilities),
+        builtIn: BUILT_IN_ROLES.includes(row.role),
+        editable: row.role !== 'super_admin',
+        userCount: row.userCount ?? 0,
+        updatedBy: row.updatedBy,
+        updatedAt: row.updatedAt
+    }]));
+    BUILT_IN_ROLES.filter(role => !byRole.has(role)).forEach(role => byRole.set(role, {
+        role, capabilities: role === 'super_admin' ? [...CAPABILITIES] : [], builtIn: true, editable: role !== 'super_admin', userCount: 0, updatedBy: null, updatedAt: null
+    }));
+    // 内置角色在前, 其余按名称
+    return [...byRole.values()].sort((a, b) => {
+        const rank = role => (BUILT_IN_ROLES.includes(role) ? BUILT_IN_ROLES.indexOf(role) : BUILT_IN_ROLES.length);
+        return rank(a.role) - rank(b.role) || a.role.localeCompare(b.role);
+    });
+}
+
+/**
+ * 校验超级管理员提交的角色和能力
+ * @returns {{role: string, capabilities: string[]}}
+ */
+export function parseRoleCapabilities(payload) {
+    const role = typeof payload?.role === 'string' ? payload.role.trim() : '';
+    if (!role) throw new Error('Missing role.');
+    if (!ROLE_NAME_PATTERN.test(role)) throw new Error('Invalid role name, use 2-32 lowercase letters, digits or underscores, starting with a letter.');
+    if (role === 'super_admin') throw new Error('Invalid role: super_admin always has every capability.');
+    if (!Array.isArray(payload.capabilities)) throw new Error('Missing capabilities.');
+    const unknown = payload.capabilities.filter(capability => !CAPABILITIES.includes(capability));
+    if (unknown.length > 0) throw new Error(`Invalid capability "${unknown[0]}", expected one of: ${CAPABILITIES.join(', ')}.`);
+    return { role, capabilities: CAPABILITIES.filter(capability => payload.capabilities.includes(capability)) };
+}
+
+export async function saveRoleCapabilities(db, { role, capabilities }, updatedBy) {
+    await ensurePermissionTables(db);
+    await db.prepare(`
+        INSERT INTO role_capabilities (role, capabilities, updatedBy, updatedAt) VALUES (?, ?, ?, ?)
+        ON CONFLICT(role) DO UPDATE SET capabilities = excluded.capabilities, updatedBy = excluded.updatedBy, updatedAt = excluded.updatedAt
+    `).bind(role, JSON.stringify(capabilities), updatedBy, new Date().toISOString()).run();
+    mappingCache = null;
+    return { role, capabilities };
+}
+
+/**
+ * 删除自定义角色; 内置角色和仍有用户的角色不能删除
+ */
+export async function deleteRole(db, role) {
+    await ensurePermissionTables(db);
+    if (BUILT_IN_ROLES.includes(role)) throw new Error(`Invalid role: ${role} is built in and cannot be deleted.`);
+    const row = await db.prepare('SELECT role FROM role_capabilities WHERE role = ?').bind(role).first();
+    if (!row) throw new Error(`Role ${role} not found.`);
+    const inUse = await db.prepare('SELECT COUNT(*) AS count FROM users WHERE role = ?').bind(role).first();
+    if ((inUse?.count ?? 0) > 0) throw new Error(`Invalid role: ${inUse.count} user(s) still have the role ${role}.`);
+    await db.prepare('DELETE FROM role_capabilities WHERE role = ?').bind(role).run();
+    mappingCache = null;
+}
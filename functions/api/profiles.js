@@ -0,0 +1,270 @@
+// Utility functions for public member profiles (/api/profiles/:userId, profile.html).
+// A profile shows a member's public ratings and stats computed from them (count, average score, certified count,
+// favorite origins and flavors), the join date from `user_activity` (see directory.js), and the bio / avatar the
+// member set in `user_profiles`. Nicknames still come from the identity provider (see auth.js).
+// Avatars are uploaded through /api/upload-image like rating photos; the profile only stores the R2 key. Only images
+// the member uploaded (R2 `uploadedBy` metadata) are accepted, and a replaced avatar is deleted only when nothing else
+// (another profile, a rating, draft, trash entry or revision) still references the key.
+// `hideEmail` keeps the member's email out of rating and comment payloads for everyone except the member and
+// moderators; redactHiddenEmails() applies it to any rows with `userId` / `userEmail`. Nicknames fall back to the
+// email when the identity provider has none, so a nickname containing '@' is hidden along with the email.
+
+import { ensureDirectoryTables } from './directory.js';
+import { hasCapability } from './permissions.js';
+import { PUBLIC_LISTING_CLAUSE } from './visibility.js';
+
+export const MAX_BIO_LENGTH = 500;
+const DEFAULT_PROFILE_PAGE_SIZE = 12;
+const MAX_PROFILE_PAGE_SIZE = 50;
+const FAVORITE_LIMIT = 5;
+// /api/upload-image 生成的 key: <uuid>.<扩展名>
+const AVATAR_KEY_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.[A-Za-z0-9]{1,10}$/;
+// fullData 可能是历史遗留的非法 JSON, json_each 遇到会直接报错
+const SAFE_FULL_DATA = "(CASE WHEN json_valid(r.fullData) THEN r.fullData ELSE '{}' END)";
+
+let profileTablesEnsured = false;
+
+export async function ensureProfileTables(db) {
+    if (profileTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS user_profiles (
+        userId TEXT PRIMARY KEY,
+        bio TEXT,
+        avatarKey TEXT,
+        hideEmail INTEGER NOT NULL DEFAULT 0,
+        updatedAt TEXT NOT NULL
+    )`).run();
+    profileTablesEnsured = true;
+}
+
+export function avatarUrlFor(avatarKey) {
+    return avatarKey ? `/api/image/${encodeURIComponent(avatarKey)}` : null;
+}
+
+/**
+ * 隐藏了邮箱的用户
+ * @returns {Promise<Set<string>>}
+ */
+export async function getHiddenEmailUserIds(db, userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (ids.length === 0) return new Set();
+    await ensureProfileTables(db);
+    const { results } = await db.prepare(`
+        SELECT userId FROM user_profiles WHERE hideEmail = 1 AND userId IN (${ids.map(() => '?').join(', ')})
+    `).bind(...ids).all();
+    return new Set((results || []).map(row => row.userId));
+}
+
+// 没有昵称时 nickname 会退回到邮箱 (见 auth.js), 与 mentions.js / digests.js 相同, 含 '@' 的昵称视为邮箱
+export function looksLikeEmail(value) {
+    return typeof value === 'string' && value.includes('@');
+}
+
+/**
+ * 按 hideEmail 清空 rows 中的 userEmail 和像邮箱的 userNickname (原地修改); 本人和有 ratings.manage 能力的人仍然能看到
+ * @param {Array<{userId?: string, userEmail?: string, userNickname?: string}>} rows
+ */
+export async function redactHiddenEmails(db, rows, viewer) {
+    const candidates = rows.filter(row => row && (row.userEmail || looksLikeEmail(row.userNickname)) && row.userId && row.userId !== viewer?.sub);
+    if (candidates.length === 0 || hasCapability(viewer, 'ratings.manage')) return rows;
+    const hidden = await getHiddenEmailUserIds(db, candidates.map(row => row.userId));
+    candidates.forEach(row => {
+        if (!hidden.has(row.userId)) return;
+        row.userEmail = null;
+        if (looksLikeEmail(row.userNickname)) row.userNickname = null;
+    });
+    return rows;
+}
+
+/**
+ * 校验本人提交的资料; 只返回提交了的字段, avatarKey 为 null 表示移除头像
+ * @returns {{bio?: string|null, avatarKey?: string|null, hideEmail?: boolean}}
+ */
+export function parseProfileInput(payload) {
+    const input = {};
+    if (payload?.bio !== undefined) {
+        if (payload.bio !== null && typeof payload.bio !== 'string') throw new Error('Invalid bio.');
+        const bio = (payload.bio || '').trim();
+        if (bio.length > MAX_BIO_LENGTH) throw new Error(`Invalid bio: at most ${MAX_BIO_LENGTH} characters.`);
+        input.bio = bio || null;
+    }
+    if (payload?.avatarKey !== undefined) {
+        if (payload.avatarKey !== null && (typeof payload.avatarKey !== 'string' || !AVATAR_KEY_PATTERN.test(payload.avatarKey))) {
+            throw new Error('Invalid avatarKey: upload the image through /api/upload-image first.');
+        }
+        input.avatarKey = payload.avatarKey;
+    }
+    if (payload?.hideEmail !== undefined) {
+        if (typeof payload.hideEmail !== 'boolean') throw new Error('Invalid hideEmail, expected true or false.');
+        input.hideEmail = payload.hideEmail;
+    }
+    if (Object.keys(input).length === 0) throw new Error('Missing profile fields: bio, avatarKey or hideEmail.');
+    return input;
+}
+
+export async function getProfileSettings(db, userId) {
+    await ensureProfileTables(db);
+    const row = await db.prepare('SELECT bio, avatarKey, hideEmail, updatedAt FROM user_profiles WHERE userId = ?').bind(userId).first();
+    return {
+        bio: row?.bio ?? null,
+        avatarKey: row?.avatarKey ?? null,
+        hideEmail: !!row?.hideEmail,
+        updatedAt: row?.updatedAt ?? null
+    };
+}
+
+async function tableExists(db, name) {
+    const row = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").bind(name).first();
+    return !!row;
+}
+
+// 头像 key 是否仍被其他资料、评分、草稿、回收站或修订记录引用 (图片 key 以 JSON 字符串形式存放在这些列中)
+async function isImageKeyReferenced(db, key, userId) {
+    if (await db.prepare('SELECT 1 FROM user_profiles WHERE avatarKey = ? AND userId != ? LIMIT 1').bind(key, userId).first()) return true;
+    const references = [['ratings', 'imageUrl'], ['rating_drafts', 'data'], ['rating_trash', 'rowData'], ['rating_revisions', 'imageUrl']];
+    for (const [table, column] of references) {
+        if (!(await tableExists(db, table))) continue;
+        if (await db.prepare(`SELECT 1 FROM ${table} WHERE instr(${column}, ?) > 0 LIMIT 1`).bind(key).first()) return true;
+    }
+    return false;
+}
+
+/**
+ * 保存资料。新头像必须已经在 R2 中、是图片并且由本人上传; 换掉的旧头像只有是本人上传并且没有其他地方引用时才从 R2 删除。
+ */
+export async function saveProfileSettings(env, userId, input) {
+    const db = env.DB;
+    const previous = await getProfileSettings(db, userId);
+    if (input.avatarKey && input.avatarKey !== previous.avatarKey) {
+        const object = await env.PISTACHO_BUCKET.head(input.avatarKey);
+        if (!object) throw new Error('Invalid avatarKey: the image was not found.');
+        if (object.customMetadata?.uploadedBy !== userId) throw new Error('Invalid avatarKey: you can only use an image you uploaded.');
+        const contentType = object.httpMetadata?.contentType || '';
+        if (!contentType.startsWith('image/')) throw new Error('Invalid avatarKey: the upload is not an image.');
+    }
+    const next = { ...previous, ...input, updatedAt: new Date().toISOString() };
+    await db.prepare(`
+        INSERT INTO user_profiles (userId, bio, avatarKey, hideEmail, updatedAt) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(userId) DO UPDATE SET bio = excluded.bio, avatarKey = excluded.avatarKey,
+            hideEmail = excluded.hideEmail, updatedAt = excluded.updatedAt
+    `).bind(userId, next.bio, next.avatarKey, next.hideEmail ? 1 : 0, next.updatedAt).run();
+
+    if (previous.avatarKey && previous.avatarKey !== next.avatarKey) {
+        try {
+            // 早期没有校验上传者, 旧头像可能是别人的图片, 这种情况只解除引用
+            const object = await env.PISTACHO_BUCKET.head(previous.avatarKey);
+            if (object?.customMetadata?.uploadedBy === userId && !(await isImageKeyReferenced(db, previous.avatarKey, userId))) {
+                await env.PISTACHO_BUCKET.delete(previous.avatarKey);
+            }
+        } catch (e) {
+            console.warn(`[profiles] Could not delete old avatar ${previous.avatarKey}:`, e.message);
+        }
+    }
+    return next;
+}
+
+/**
+ * 公开资料和统计 (只统计 public 评分); 用户不存在时返回 null
+ * @param {object|null} viewer - 本人或管理员可以看到隐藏的邮箱
+ */
+export async function loadPublicProfile(db, userId, viewer) {
+    await ensureProfileTables(db);
+    await ensureDirectoryTables(db);
+    const user = await db.prepare(`
+        SELECT u.userId, u.email, u.nickname, a.signedUpAt, p.bio, p.avatarKey, p.hideEmail
+        FROM users u
+        LEFT JOIN user_activity a ON a.userId = u.userId
+        LEFT JOIN user_profiles p ON p.userId = u.userId
+        WHERE u.userId = ?
+    `).bind(userId).first();
+    if (!user) return null;
+
+    const publicRatings = `r.userId = ? AND ${PUBLIC_LISTING_CLAUSE.sql}`;
+    const [totals, origins, flavors] = await Promise.all([
+        db.prepare(`
+            SELECT COUNT(*) AS ratingCount, AVG(r.normalizedScore) AS averageScore,
+                   SUM(CASE WHEN r.isCertified = 1 THEN 1 ELSE 0 END) AS certifiedCount,
+                   MIN(r.timestamp) AS firstRatingAt
+            FROM ratings r WHERE ${publicRatings}
+        `).bind(userId).first(),
+        db.prepare(`
+            SELECT MIN(TRIM(r.cigarOrigin)) AS origin, COUNT(*) AS count
+            FROM ratings r WHERE ${publicRatings} AND TRIM(COALESCE(r.cigarOrigin, '')) != ''
+            GROUP BY LOWER(TRIM(r.cigarOrigin)) ORDER BY count DESC, origin ASC LIMIT ${FAVORITE_LIMIT}
+        `).bind(userId).all(),
+        // 同一条评分里重复的风味只算一次
+        db.prepare(`
+            SELECT sf.value AS flavor, COUNT(DISTINCT r.id) AS count
+            FROM ratings r, json_each(${SAFE_FULL_DATA}, '$.selectedFlavors') sf
+            WHERE ${publicRatings} AND sf.type = 'text'
+            GROUP BY sf.value ORDER BY count DESC, flavor ASC LIMIT ${FAVORITE_LIMIT}
+        `).bind(userId).all()
+    ]);
+
+    const canSeeEmail = !user.hideEmail || viewer?.sub === userId || hasCapability(viewer, 'ratings.manage');
+    return {
+        userId: user.userId,
+        nickname: canSeeEmail || !looksLikeEmail(user.nickname) ? user.nickname : null,
+        email: canSeeEmail ? user.email : null,
+        bio: user.bio ?? null,
+        avatarUrl: avatarUrlFor(user.avatarKey),
+        // 只有本人需要知道这个设置
+        ...(viewer?.sub === userId ? { hideEmail: !!user.hideEmail } : {}),
+        // 目录表出现之前的用户没有注册日期, 用第一条评分的时间代替
+        joinedAt: user.signedUpAt || totals?.firstRatingAt || null,
+        stats: {
+            ratingCount: totals?.ratingCount ?? 0,
+            averageScore: totals?.averageScore === null || totals?.averageScore === undefined ? null : Math.round(totals.averageScore * 100) / 100,
+            certifiedCount: totals?.certifiedCount ?? 0,
+            favoriteOrigins: (origins.results || []).map(row => ({ origin: row.origin, count: row.count })),
+            favoriteFlavors: (flavors.results || []).map(row => ({ flavor: row.flavor, count: row.count }))
+        }
+    };
+}
+
+function toProfileRating(row) {
+    let imageKeys = [];
+    try { imageKeys = JSON.parse(row.imageUrl || '[]'); } catch (e) { imageKeys = []; }
+    return {
+        id: row.id,
+        title: row.title,
+        cigarInfo: { name: row.cigarName, size: row.cigarSize, origin: row.cigarOrigin },
+        normalizedScore: row.normalizedScore,
+        finalGrade: row.finalGrade_grade ? { grade: row.finalGrade_grade, name_cn: row.finalGrade_name_cn } : null,
+        isCertified: !!row.isCertified,
+        timestamp: row.timestamp,
+        coverImage: Array.isArray(imageKeys) && imageKeys.length > 0 ? imageKeys[0] : null
+    };
+}
+
+/**
+ * 某个用户的 public 评分, 按时间倒序; cursor 是上一页最后一条的 "timestamp|id"
+ * @returns {Promise<{ratings: object[], nextCursor: string|null}>}
+ */
+export async function listProfileRatings(db, userId, { limit = DEFAULT_PROFILE_PAGE_SIZE, cursor = null } = {}) {
+    const pageSize = Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_PROFILE_PAGE_SIZE) : DEFAULT_PROFILE_PAGE_SIZE;
+    const clauses = ['r.userId = ?', PUBLIC_LISTING_CLAUSE.sql];
+    const bindings = [userId];
+    if (cursor) {
+        const separator = cursor.lastIndexOf('|');
+        if (separator < 0) throw new Error('Invalid cursor.');
+        const timestamp = cursor.slice(0, separator);
+        const id = cursor.slice(separator + 1);
+        clauses.push("(COALESCE(r.timestamp, '') < ? OR (COALESCE(r.timestamp, '') = ? AND r.id < ?))");
+        bindings.push(timestamp, timestamp, id);
+    }
+    const { results } = await db.prepare(`
+        SELECT r.id, r.title, r.cigarName, r.cigarSize, r.cigarOrigin, r.normalizedScore, r.finalGrade_grade,
+               r.finalGrade_name_cn, r.isCertified, r.timestamp, r.imageUrl
+        FROM ratings r
+        WHERE ${clauses.join(' AND ')}
+        ORDER BY COALESCE(r.timestamp, '') DESC, r.id DESC
+        LIMIT ?
+    `).bind(...bindings, pageSize + 1).all();
+    const rows = results || [];
+    const page = rows.slice(0, pageSize);
+    const last = page[page.length - 1];
+    return {
+        ratings: page.map(toProfileRating),
+        nextCursor: rows.length > pageSize && last ? `${last.timestamp ?? ''}|${last.id}` : null
+    };
+}
@@ -0,0 +1,65 @@
+// ---------------------------------------------------
+// 文件: /functions/api/profiles/[userId].js
+// 作用: 动态路由, 用户的公开资料页 (见 profiles.js)
+// GET /api/profiles/<userId>[?limit=&cursor=]  -> { profile, ratings, nextCursor } (只包含 public 评分, 不需要登录)
+// PUT /api/profiles/<userId> {bio?, avatarKey?, hideEmail?}  -> 本人修改简介、头像和是否隐藏邮箱
+// <userId> 可以写成 me, 表示当前登录的用户; 头像先通过 /api/upload-image 上传, 再把返回的 imageKey 作为 avatarKey 提交
+// ---------------------------------------------------
+
+import { validateToken } from '../auth.js';
+import { listProfileRatings, loadPublicProfile, parseProfileInput, saveProfileSettings } from '../profiles.js';
+import { ensureVisibilityTables } from '../visibility.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function errorResponse(e) {
+    console.error('[profiles API] Error:', e.message, e);
+    let statusCode = 500;
+    if (e.message.includes('token') || e.message.includes('需要登录')) statusCode = 401;
+    else if (e.message.includes('Permission denied')) statusCode = 403;
+    else if (e.message.includes('not found')) statusCode = 404;
+    else if (e.message.includes('Missing') || e.message.includes('Invalid')) statusCode = 400;
+    return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+}
+
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+
+    try {
+        const viewer = await validateToken(request, env, { optional: true });
+        const userId = params.userId === 'me' ? viewer?.sub : params.userId;
+        if (!userId) throw new Error('需要登录才能查看自己的资料。');
+        await ensureVisibilityTables(env.DB);
+
+        const profile = await loadPublicProfile(env.DB, userId, viewer);
+        if (!profile) throw new Error(`User ${userId} not found.`);
+        const searchParams = new URL(request.url).searchParams;
+        const page = await listProfileRatings(env.DB, userId, {
+            limit: Number.parseInt(searchParams.get('limit'), 10),
+            cursor: searchParams.get('cursor') || null
+        });
+        return jsonResponse({ profile, ...page });
+    } catch (e) {
+        return errorResponse(e);
+    }
+}
+
+export async function onRequestPut(context) {
+    const { request, env, params } = context;
+
+    try {
+        const userInfo = await validateToken(request, env);
+        if (!userInfo) throw new Error('需要登录才能修改资料。');
+        if (params.userId !== 'me' && params.userId !== userInfo.sub) throw new Error('Permission denied: you can only edit your own profile.');
+
+        const input = parseProfileInput(await request.json().catch(() => ({})));
+        await saveProfileSettings(env, userInfo.sub, input);
+        await ensureVisibilityTables(env.DB);
+        const profile = await loadPublicProfile(env.DB, userInfo.sub, userInfo);
+        return jsonResponse({ success: true, profile });
+    } catch (e) {
+        return errorResponse(e);
+    }
+}
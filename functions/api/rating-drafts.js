@@ -0,0 +1,118 @@
+// ---------------------------------------------------
+// 文件: /functions/api/rating-drafts.js
+// 作用: 评分草稿 —— 列出 / 读取(GET), 自动保存(PUT), 丢弃(DELETE)
+// 草稿转成正式评分走 POST /api/ratings (payload 带 draftId), 见 drafts.js
+// ---------------------------------------------------
+
+import { validateToken } from './auth.js';
+import { DRAFT_RETENTION_DAYS, ensureDraftTables, MAX_DRAFT_BYTES, purgeExpiredDrafts, sanitizeDraftData, toDraftSummary } from './drafts.js';
+import { hasCapability } from './permissions.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function toDraftResponse(row) {
+    let data = {};
+    try { data = JSON.parse(row.data || '{}'); } catch (e) { data = {}; }
+    return { ...toDraftSummary(row), data };
+}
+
+async function loadOwnDraft(env, draftId, userInfo) {
+    if (!draftId) throw new Error('Missing draft id.');
+    const row = await env.DB.prepare('SELECT * FROM rating_drafts WHERE id = ?').bind(draftId).first();
+    // 其他用户的草稿按不存在处理
+    if (!row || row.userId !== userInfo.sub) throw new Error('Draft not found.');
+    return row;
+}
+
+async function handleGetDrafts(env, request, url) {
+    const userInfo = await validateToken(request, env);
+    const draftId = url.searchParams.get('id');
+    if (draftId) {
+        const row = await loadOwnDraft(env, draftId, userInfo);
+        return jsonResponse({ draft: toDraftResponse(row) });
+    }
+    await purgeExpiredDrafts(env.DB, userInfo.sub);
+    const { results } = await env.DB.prepare('SELECT * FROM rating_drafts WHERE userId = ? ORDER BY updatedAt DESC LIMIT 50').bind(userInfo.sub).all();
+    return jsonResponse({ drafts: (results || []).map(toDraftSummary), retentionDays: DRAFT_RETENTION_DAYS });
+}
+
+async function handleSaveDraft(env, request) {
+    const userInfo = await validateToken(request, env);
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object') throw new Error('Invalid draft payload.');
+    const data = sanitizeDraftData(body.data);
+    const serialized = JSON.stringify(data);
+    if (serialized.length > MAX_DRAFT_BYTES) throw new Error('Invalid draft: data is too large.');
+
+    // 编辑已有评分时的草稿: 只有作者或管理员可以保存
+    const ratingId = typeof body.ratingId === 'string' && body.ratingId ? body.ratingId : null;
+    if (ratingId) {
+        const rating = await env.DB.prepare('SELECT userId FROM ratings WHERE id = ?').bind(ratingId).first();
+        if (!rating) throw new Error('Rating not found.');
+        if (rating.userId !== userInfo.sub && !hasCapability(userInfo, 'ratings.manage')) throw new Error('Permission denied to edit this rating.');
+    }
+
+    const deviceId = typeof body.deviceId === 'string' ? body.deviceId.slice(0, 64) : null;
+    const deviceLabel = typeof body.deviceLabel === 'string' ? body.deviceLabel.slice(0, 80) : null;
+    const now = new Date().toISOString();
+    const summaryColumns = [data.title || null, data.cigarInfo.name || null, Object.keys(data.ratings).length, data.imageUrls.length];
+
+    if (body.id) {
+        const existing = await loadOwnDraft(env, body.id, userInfo);
+        // 另一台设备在此期间保存过: 返回服务器上的版本, 由页面决定是否覆盖 (force)
+        const baseRevision = Number(body.baseRevision);
+        if (!body.force && Number.isInteger(baseRevision) && baseRevision !== existing.revision) {
+            return jsonResponse({ error: 'Draft was changed on another device.', conflict: true, draft: toDraftResponse(existing) }, 409);
+        }
+        await env.DB.prepare(
+            'UPDATE rating_drafts SET deviceId = ?, deviceLabel = ?, ratingId = ?, title = ?, cigarName = ?, itemsRated = ?, imageCount = ?, data = ?, revision = revision + 1, updatedAt = ? WHERE id = ?'
+        ).bind(deviceId, deviceLabel, ratingId, ...summaryColumns, serialized, now, existing.id).run();
+        const row = await env.DB.prepare('SELECT * FROM rating_drafts WHERE id = ?').bind(existing.id).first();
+        return jsonResponse({ success: true, draft: toDraftSummary(row) });
+    }
+
+    const draftId = crypto.randomUUID();
+    await env.DB.prepare(
+        'INSERT INTO rating_drafts (id, userId, deviceId, deviceLabel, ratingId, title, cigarName, itemsRated, imageCount, data, revision, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)'
+    ).bind(draftId, userInfo.sub, deviceId, deviceLabel, ratingId, ...summaryColumns, serialized, now, now).run();
+    console.log(`[rating-drafts] ${userInfo.sub} started draft ${draftId}${ratingId ? ` for rating ${ratingId}` : ''}`);
+    const row = await env.DB.prepare('SELECT * FROM rating_drafts WHERE id = ?').bind(draftId).first();
+    return jsonResponse({ success: true, draft: toDraftSummary(row) }, 201);
+}
+
+async function handleDeleteDraft(env, request, url) {
+    const userInfo = await validateToken(request, env);
+    const row = await loadOwnDraft(env, url.searchParams.get('id'), userInfo);
+    // 草稿里的图片不删除: 与放弃未提交的评分时一样, 上传过的图片留在 R2 中
+    await env.DB.prepare('DELETE FROM rating_drafts WHERE id = ?').bind(row.id).run();
+    return jsonResponse({ success: true, id: row.id });
+}
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        await ensureDraftTables(env.DB);
+        if (request.method === 'GET') {
+            return await handleGetDrafts(env, request, url);
+        }
+        if (request.method === 'PUT') {
+            return await handleSaveDraft(env, request);
+        }
+        if (request.method === 'DELETE') {
+            return await handleDeleteDraft(env, request, url);
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+    } catch (e) {
+        console.error('[rating-drafts API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        else if (e.message.includes('not found')) statusCode = 404;
+        else if (e.message.includes('Missing') || e.message.includes('Invalid')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
@@ -0,0 +1,84 @@
+// ---------------------------------------------------
+// 文件: /functions/api/rating-reactions.js
+// 作用: 评分及其评论的点赞 / 表情回应 —— 读取计数(GET), 切换回应(POST)
+// 列表中的计数由 GET /api/ratings 与 GET /api/comments 直接附带, 见 reactions.js
+// ---------------------------------------------------
+
+import { validateToken } from './auth.js';
+import { ensureReactionTables, getReactionSummaries, REACTION_TARGETS, REACTION_TYPES, toggleReaction } from './reactions.js';
+import { canViewRating, getRatingVisibility } from './visibility.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * 找到目标所属的评分并检查可见性 (private 评分及其评论按不存在处理)
+ * @returns {Promise<{ratingId: string}>}
+ */
+async function resolveTarget(env, targetType, targetId, userInfo) {
+    let ratingId = targetId;
+    if (targetType === 'comment') {
+        const comment = await env.DB.prepare('SELECT ratingId FROM comments WHERE id = ? AND isDeleted = 0').bind(targetId).first();
+        if (!comment) throw new Error('Comment not found.');
+        ratingId = comment.ratingId;
+    }
+    const rating = await env.DB.prepare('SELECT id, userId FROM ratings WHERE id = ?').bind(ratingId).first();
+    if (!rating || !canViewRating(rating, await getRatingVisibility(env.DB, ratingId), userInfo)) {
+        throw new Error(targetType === 'comment' ? 'Comment not found.' : 'Rating not found.');
+    }
+    return { ratingId };
+}
+
+function parseTarget(targetType, targetId) {
+    if (!REACTION_TARGETS.includes(targetType)) throw new Error(`Invalid targetType, expected one of: ${REACTION_TARGETS.join(', ')}.`);
+    if (!targetId || typeof targetId !== 'string') throw new Error('Missing targetId.');
+    return { targetType, targetId };
+}
+
+async function summaryResponse(env, targetType, targetId, userInfo) {
+    const summaries = await getReactionSummaries(env.DB, targetType, [targetId], userInfo?.sub ?? null);
+    return { targetType, targetId, ...summaries.get(targetId) };
+}
+
+async function handleGetReactions(env, request, url) {
+    const userInfo = await validateToken(request, env, { optional: true });
+    const { targetType, targetId } = parseTarget(url.searchParams.get('targetType'), url.searchParams.get('targetId'));
+    await resolveTarget(env, targetType, targetId, userInfo);
+    return jsonResponse(await summaryResponse(env, targetType, targetId, userInfo));
+}
+
+async function handleToggleReaction(env, request) {
+    const userInfo = await validateToken(request, env);
+    const payload = await request.json().catch(() => ({}));
+    const { targetType, targetId } = parseTarget(payload.targetType, payload.targetId);
+    const reaction = payload.reaction ?? 'like';
+    if (!REACTION_TYPES.includes(reaction)) throw new Error(`Invalid reaction, expected one of: ${REACTION_TYPES.join(', ')}.`);
+    const { ratingId } = await resolveTarget(env, targetType, targetId, userInfo);
+
+    await toggleReaction(env.DB, { targetType, targetId, ratingId, userId: userInfo.sub, reaction });
+    return jsonResponse({ success: true, ...(await summaryResponse(env, targetType, targetId, userInfo)) });
+}
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        await ensureReactionTables(env.DB);
+        if (request.method === 'GET') {
+            return await handleGetReactions(env, request, url);
+        }
+        if (request.method === 'POST') {
+            return await handleToggleReaction(env, request);
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+    } catch (e) {
+        console.error('[reactions API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('not found')) statusCode = 404;
+        else if (e.message.includes('Missing') || e.message.includes('Invalid')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
@@ -0,0 +1,189 @@
+// ---------------------------------------------------
+// 文件: /functions/api/rating-revisions.js
+// 作用: 评分修订记录 —— 列表(GET), 两个版本的差异(GET ?from=&to=), 恢复到某个版本(POST)
+// 仅评分作者与管理员可访问
+// ---------------------------------------------------
+
+import { ensureAuditTables, prepareAuditEntry, snapshotRating } from './audit.js';
+import { validateToken } from './auth.js';
+import { resolveSubmittedCigarId, syncRatingCigarLink } from './catalog.js';
+import { hasCapability } from './permissions.js';
+import { diffSnapshots, ensureRevisionTables, prepareRevisionSnapshot } from './revisions.js';
+import { SCORE_TOLERANCE } from './scoring.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// 读取评分当前行并校验 作者/管理员 权限
+async function loadRatingForUser(env, ratingId, userInfo) {
+    const rating = await env.DB.prepare(`
+        SELECT id, userId, timestamp, isCertified, title, cigarName, cigarSize, cigarOrigin, normalizedScore,
+               finalGrade_grade, finalGrade_name_cn, imageUrl, cigarReview, fullData
+        FROM ratings WHERE id = ?
+    `).bind(ratingId).first();
+    if (!rating) throw new Error('Rating not found.');
+    if (rating.userId !== userInfo.sub && !hasCapability(userInfo, 'ratings.manage')) {
+        throw new Error('Permission denied to view the revisions of this rating.');
+    }
+    return rating;
+}
+
+function toRevisionSummary(row) {
+    return {
+        id: row.id,
+        ratingId: row.ratingId,
+        revisionNumber: row.revisionNumber,
+        action: row.action,
+        restoredFromRevisionId: row.restoredFromRevisionId ?? null,
+        editorId: row.editorId,
+        editorNickname: row.editorNickname ?? null,
+        editorRole: row.editorRole ?? null,
+        // 作者需要知道哪些改动是管理员做的
+        isAdminEdit: !!row.ratingOwnerId && row.editorId !== row.ratingOwnerId,
+        createdAt: row.createdAt,
+        previousTimestamp: row.previousTimestamp ?? null,
+        title: row.title ?? null,
+        normalizedScore: row.normalizedScore ?? null,
+        finalGrade_grade: row.finalGrade_grade ?? null
+    };
+}
+
+async function loadRevision(env, ratingId, revisionId) {
+    const revision = await env.DB.prepare('SELECT * FROM rating_revisions WHERE id = ? AND ratingId = ?').bind(revisionId, ratingId).first();
+    if (!revision) throw new Error('Revision not found.');
+    return revision;
+}
+
+async function handleListRevisions(env, rating) {
+    const { results } = await env.DB.prepare(`
+        SELECT id, ratingId, revisionNumber, action, restoredFromRevisionId, ratingOwnerId, editorId, editorNickname,
+               editorRole, createdAt, previousTimestamp, title, normalizedScore, finalGrade_grade
+        FROM rating_revisions
+        WHERE ratingId = ?
+        ORDER BY revisionNumber DESC
+    `).bind(rating.id).all();
+    return jsonResponse({ ratingId: rating.id, ownerId: rating.userId, revisions: (results || []).map(toRevisionSummary) });
+}
+
+/**
+ * from: 修订 ID; to: 修订 ID 或 'current'。
+ * 省略 to 时与该修订之后的状态比较 (下一条修订或当前版本), 即 "这次编辑改了什么"。
+ */
+async function handleDiffRevisions(env, rating, fromId, toId) {
+    const fromRevision = await loadRevision(env, rating.id, fromId);
+    let toRow;
+    let toSummary;
+    if (!toId) {
+        toRow = await env.DB.prepare('SELECT * FROM rating_revisions WHERE ratingId = ? AND revisionNumber > ? ORDER BY revisionNumber ASC LIMIT 1')
+            .bind(rating.id, fromRevision.revisionNumber).first();
+        toSummary = toRow ? toRevisionSummary(toRow) : null;
+    } else if (toId !== 'current') {
+        toRow = await loadRevision(env, rating.id, toId);
+        toSummary = toRevisionSummary(toRow);
+    }
+    if (!toRow) {
+        toRow = rating;
+        toSummary = { id: 'current', timestamp: rating.timestamp };
+    }
+    return jsonResponse({
+        ratingId: rating.id,
+        from: toRevisionSummary(fromRevision),
+        to: toSummary,
+        changes: diffSnapshots(fromRevision, toRow)
+    });
+}
+
+/**
+ * 恢复后与 PUT 相同地同步目录关联: 使用旧版本 fullData 中的 cigarInfo.cigarId。
+ * 目录条目已不存在, 或旧版本没有 cigarId 但雪茄名称变了时移除关联; 返回 undefined 表示保留现有关联。
+ */
+async function resolveRestoredCigarId(env, rating, revision) {
+    let fullData = null;
+    try { fullData = JSON.parse(revision.fullData || 'null'); } catch (e) { fullData = null; }
+    try {
+        const cigarId = await resolveSubmittedCigarId(env.DB, fullData?.cigarInfo, 'Cannot restore revision');
+        if (cigarId !== undefined) return cigarId;
+    } catch (e) {
+        console.warn(`[rating-revisions] Unlinking rating ${rating.id}: ${e.message}`);
+        return null;
+    }
+    return (revision.cigarName ?? null) === (rating.cigarName ?? null) ? undefined : null;
+}
+
+async function handleRestoreRevision(env, request) {
+    const userInfo = await validateToken(request, env);
+    const body = await request.json().catch(() => ({}));
+    const ratingId = body?.ratingId;
+    const revisionId = body?.revisionId;
+    if (!ratingId || !revisionId) throw new Error('Missing ratingId or revisionId.');
+
+    const rating = await loadRatingForUser(env, ratingId, userInfo);
+    const revision = await loadRevision(env, ratingId, revisionId);
+    const isAdmin = hasCapability(userInfo, 'ratings.manage');
+    // 与 PUT 相同: 认证评分的分数只能由管理员改动
+    if (rating.isCertified && !isAdmin && Math.abs((rating.normalizedScore ?? 0) - (revision.normalizedScore ?? 0)) > SCORE_TOLERANCE) {
+        throw new Error('Permission denied: the score of a certified rating can only be changed by an admin.');
+    }
+
+    // 管理员把别人的评分恢复到旧版本时记入审计日志 (见 audit.js)
+    const auditStatements = [];
+    if (rating.userId !== userInfo.sub) {
+        await ensureAuditTables(env.DB);
+        auditStatements.push(prepareAuditEntry(env.DB, {
+            actor: userInfo, action: 'rating.admin_edit', targetType: 'rating', targetId: ratingId,
+            before: snapshotRating(rating),
+            after: { ...snapshotRating({ ...rating, ...revision }), restoredFromRevision: revision.revisionNumber },
+            request
+        }));
+    }
+
+    // 恢复本身也是一次修改: 先快照当前版本, 因此恢复操作同样可以撤销
+    await env.DB.batch([
+        prepareRevisionSnapshot(env.DB, ratingId, { editor: userInfo, action: 'restore', restoredFromRevisionId: revisionId }),
+        ...auditStatements,
+        env.DB.prepare(`
+            UPDATE ratings SET timestamp = ?, title = ?, cigarName = ?, cigarSize = ?, cigarOrigin = ?, normalizedScore = ?,
+                   finalGrade_grade = ?, finalGrade_name_cn = ?, imageUrl = ?, cigarReview = ?, fullData = ?
+            WHERE id = ?
+        `).bind(
+            new Date().toISOString(), revision.title, revision.cigarName, revision.cigarSize, revision.cigarOrigin, revision.normalizedScore,
+            revision.finalGrade_grade, revision.finalGrade_name_cn, revision.imageUrl, revision.cigarReview, revision.fullData, ratingId
+        )
+    ]);
+    await syncRatingCigarLink(env.DB, ratingId, await resolveRestoredCigarId(env, rating, revision), userInfo);
+    console.log(`[rating-revisions] ${userInfo.sub} restored rating ${ratingId} to revision #${revision.revisionNumber}`);
+    return jsonResponse({ success: true, ratingId, restoredRevisionId: revisionId, revisionNumber: revision.revisionNumber });
+}
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        await ensureRevisionTables(env.DB);
+        if (request.method === 'GET') {
+            const ratingId = url.searchParams.get('ratingId');
+            if (!ratingId) return jsonResponse({ error: 'ratingId parameter is required.' }, 400);
+            const userInfo = await validateToken(request, env);
+            const rating = await loadRatingForUser(env, ratingId, userInfo);
+            const fromId = url.searchParams.get('from');
+            if (fromId) {
+                return await handleDiffRevisions(env, rating, fromId, url.searchParams.get('to'));
+            }
+            return await handleListRevisions(env, rating);
+        }
+        if (request.method === 'POST') {
+            return await handleRestoreRevision(env, request);
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+    } catch (e) {
+        console.error('[rating-revisions API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        else if (e.message.includes('not found')) statusCode = 404;
+        else if (e.message.includes('Missing')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
@@ -0,0 +1,77 @@
+// ---------------------------------------------------
+// 文件: /functions/api/rating-translations.js
+// 作用: 修正评分标题和评语的机器翻译 (需要 ratings.translate 能力)
+// POST {ratingId, field: 'title' | 'cigarReview', language, text}
+// 译文保存在 fullData.translations 中; 作者之后修改原文时会重新机器翻译, 覆盖这里的修正
+// 修改前的评分存入 rating_revisions (见 revisions.js); 修正别人的评分时写入审计日志 (见 audit.js)
+// ---------------------------------------------------
+
+import { ensureAuditTables, prepareAuditEntry } from './audit.js';
+import { validateCapability } from './auth.js';
+import { ensureRevisionTables, prepareRevisionSnapshot } from './revisions.js';
+import { SUPPORTED_LANGUAGES } from './translation.js';
+
+const TRANSLATABLE_FIELDS = ['title', 'cigarReview'];
+const MAX_TRANSLATION_LENGTH = 5000;
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function parseFullData(value) {
+    try {
+        const data = JSON.parse(value || '{}');
+        return data && typeof data === 'object' ? data : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    try {
+        const userInfo = await validateCapability(request, env, 'ratings.translate');
+        const { ratingId, field, language, text } = await request.json().catch(() => ({}));
+        if (!ratingId) throw new Error('Missing ratingId.');
+        if (!TRANSLATABLE_FIELDS.includes(field)) throw new Error(`Invalid field, expected one of: ${TRANSLATABLE_FIELDS.join(', ')}.`);
+        if (!SUPPORTED_LANGUAGES.includes(language)) throw new Error(`Invalid language, expected one of: ${SUPPORTED_LANGUAGES.join(', ')}.`);
+        const translation = typeof text === 'string' ? text.trim() : '';
+        if (!translation) throw new Error('Missing text.');
+        if (translation.length > MAX_TRANSLATION_LENGTH) throw new Error(`Invalid text: at most ${MAX_TRANSLATION_LENGTH} characters.`);
+
+        const rating = await env.DB.prepare('SELECT id, userId, fullData FROM ratings WHERE id = ?').bind(ratingId).first();
+        if (!rating) throw new Error(`Rating ${ratingId} not found.`);
+
+        const fullData = parseFullData(rating.fullData);
+        const translations = fullData.translations && typeof fullData.translations === 'object' ? fullData.translations : {};
+        const previousTranslation = translations[field]?.[language] ?? null;
+        translations[field] = { ...(translations[field] || {}), [language]: translation };
+        fullData.translations = translations;
+        fullData.availableLanguages = [...new Set([...(fullData.availableLanguages || []), language])];
+
+        await ensureRevisionTables(env.DB);
+        const statements = [prepareRevisionSnapshot(env.DB, ratingId, { editor: userInfo, action: 'update' })];
+        if (rating.userId !== userInfo.sub) {
+            await ensureAuditTables(env.DB);
+            statements.push(prepareAuditEntry(env.DB, {
+                actor: userInfo, action: 'rating.admin_edit', targetType: 'rating', targetId: ratingId,
+                before: { translation: { field, language, text: previousTranslation } },
+                after: { translation: { field, language, text: translation } },
+                request
+            }));
+        }
+        statements.push(env.DB.prepare('UPDATE ratings SET fullData = ? WHERE id = ?').bind(JSON.stringify(fullData), ratingId));
+        await env.DB.batch(statements);
+        console.log(`[rating-translations] ${userInfo.sub} updated ${field} (${language}) of rating ${ratingId}`);
+        return jsonResponse({ success: true, ratingId, field, language, translations: translations[field] });
+    } catch (e) {
+        console.error('[rating-translations API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        else if (e.message.includes('not found')) statusCode = 404;
+        else if (e.message.includes('Missing') || e.message.includes('Invalid')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
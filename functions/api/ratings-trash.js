@@ -0,0 +1,140 @@
+// ---------------------------------------------------
+// 文件: /functions/api/ratings-trash.js
+// 作用: 评分回收站 —— 列出(GET, 顺带清理少量过期记录), 恢复 / 彻底删除 / 定时清理过期记录(POST action)
+// 删除操作本身由 DELETE /api/ratings 完成, 见 trash.js
+// ---------------------------------------------------
+
+import { recordAuditEntry, snapshotRating } from './audit.js';
+import { validateToken } from './auth.js';
+import { hasCapability } from './permissions.js';
+import { ensureTrashTables, purgeExpiredRatings, purgeTrashedRating, restoreRatingFromTrash, schedulePurgeExpiredRatings, TRASH_RETENTION_DAYS } from './trash.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// 只有 ratings.manage 能删除别人的评分, 所以不是作者本人删除的就是管理员删除的
+function isDeletedByAdmin(row) {
+    return !!row.deletedBy && row.deletedBy !== row.userId;
+}
+
+// 作者可以恢复自己删除的评分; 被管理员删除的评分只能由管理员恢复
+function canRestore(row, userInfo) {
+    if (hasCapability(userInfo, 'ratings.manage')) return true;
+    return row.userId === userInfo.sub && !isDeletedByAdmin(row);
+}
+
+function parseRowData(row) {
+    try { return JSON.parse(row.rowData || 'null'); } catch (e) { return null; }
+}
+
+function toTrashItem(row, userInfo) {
+    let coverImage = null;
+    try { const keys = JSON.parse(row.imageUrl || '[]'); coverImage = Array.isArray(keys) && keys.length > 0 ? keys[0] : null; } catch (e) { coverImage = null; }
+    return {
+        ratingId: row.ratingId,
+        userId: row.userId,
+        title: row.title,
+        cigarName: row.cigarName,
+        normalizedScore: row.normalizedScore,
+        finalGrade_grade: row.finalGrade_grade,
+        coverImage,
+        deletedAt: row.deletedAt,
+        deletedByAdmin: isDeletedByAdmin(row),
+        purgeAfter: row.purgeAfter,
+        canRestore: canRestore(row, userInfo)
+    };
+}
+
+async function handleListTrash(env, request, url) {
+    const userInfo = await validateToken(request, env);
+    const showAll = url.searchParams.get('all') === 'true' && hasCapability(userInfo, 'ratings.manage');
+    const stmt = showAll
+        ? env.DB.prepare('SELECT * FROM rating_trash WHERE purgeAfter > ? ORDER BY deletedAt DESC LIMIT 200').bind(new Date().toISOString())
+        : env.DB.prepare('SELECT * FROM rating_trash WHERE userId = ? AND purgeAfter > ? ORDER BY deletedAt DESC LIMIT 200').bind(userInfo.sub, new Date().toISOString());
+    const { results } = await stmt.all();
+    return jsonResponse({ items: (results || []).map(row => toTrashItem(row, userInfo)), retentionDays: TRASH_RETENTION_DAYS });
+}
+
+async function loadTrashEntry(env, ratingId) {
+    if (!ratingId) throw new Error('Missing ratingId.');
+    const row = await env.DB.prepare('SELECT * FROM rating_trash WHERE ratingId = ?').bind(ratingId).first();
+    if (!row) throw new Error('Trashed rating not found.');
+    return row;
+}
+
+async function handleTrashAction(env, request) {
+    const body = await request.json().catch(() => ({}));
+    const action = body?.action;
+
+    if (action === 'purgeExpired') {
+        // 定时任务使用共享密钥调用; 也允许超级管理员手动触发
+        const purgeSecret = request.headers.get('X-Purge-Secret');
+        const authorizedBySecret = !!env.TRASH_PURGE_SECRET && purgeSecret === env.TRASH_PURGE_SECRET;
+        if (!authorizedBySecret) {
+            const userInfo = await validateToken(request, env);
+            if (userInfo.db_role !== 'super_admin') throw new Error('Permission denied to purge the trash.');
+        }
+        const purged = await purgeExpiredRatings(env);
+        return jsonResponse({ success: true, purged });
+    }
+
+    const userInfo = await validateToken(request, env);
+    const row = await loadTrashEntry(env, body?.ratingId);
+
+    if (action === 'restore') {
+        if (!canRestore(row, userInfo)) throw new Error('Permission denied to restore this rating.');
+        if (row.purgeAfter <= new Date().toISOString()) throw new Error('Restore window has expired for this rating.');
+        const restored = await restoreRatingFromTrash(env, row);
+        if (row.userId !== userInfo.sub) {
+            await recordAuditEntry(env.DB, {
+                actor: userInfo, action: 'rating.admin_restore', targetType: 'rating', targetId: row.ratingId,
+                before: { trashed: true, deletedAt: row.deletedAt, deletedBy: row.deletedBy, purgeAfter: row.purgeAfter },
+                after: snapshotRating(restored), request
+            });
+        }
+        console.log(`[ratings-trash] ${userInfo.sub} restored rating ${row.ratingId}`);
+        return jsonResponse({ success: true, ratingId: row.ratingId, restored: true });
+    }
+
+    if (action === 'purge') {
+        if (!canRestore(row, userInfo)) throw new Error('Permission denied to delete this rating.');
+        await purgeTrashedRating(env, row);
+        if (row.userId !== userInfo.sub) {
+            await recordAuditEntry(env.DB, {
+                actor: userInfo, action: 'rating.admin_purge', targetType: 'rating', targetId: row.ratingId,
+                before: { ...snapshotRating(parseRowData(row) || row), trashed: true, deletedAt: row.deletedAt, deletedBy: row.deletedBy },
+                after: null, request
+            });
+        }
+        return jsonResponse({ success: true, ratingId: row.ratingId, purged: true });
+    }
+
+    return jsonResponse({ error: 'Unsupported action.' }, 400);
+}
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        await ensureTrashTables(env.DB);
+        if (request.method === 'GET') {
+            schedulePurgeExpiredRatings(context);
+            return await handleListTrash(env, request, url);
+        }
+        if (request.method === 'POST') {
+            return await handleTrashAction(env, request);
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+    } catch (e) {
+        console.error('[ratings-trash API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        else if (e.message.includes('not found')) statusCode = 404;
+        else if (e.message.includes('expired')) statusCode = 410;
+        else if (e.message.includes('Missing')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
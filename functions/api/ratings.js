@@ -1,10 +1,21 @@
 // ---------------------------------------------------
 // 文件: /functions/api/ratings.js
-// 作用: 处理评分的 增(POST), 删(DELETE), 改(PUT), 查(GET)
+// 作用: 处理评分的 增(POST), 删(DELETE, 移入回收站), 改(PUT), 查(GET)
 // **MODIFIED**: Allows anonymous GET for single ID
 // ---------------------------------------------------
 
 import { buildTranslationMap, normalizeLanguageTag, SUPPORTED_LANGUAGES } from './translation.js';
+import { computeRatingScore, fingerprintScoringConfig, GRADING_SCALE, SCORE_TOLERANCE } from './scoring.js';
+import { ensureRevisionTables, prepareRevisionSnapshot } from './revisions.js';
+import { moveRatingToTrash, schedulePurgeExpiredRatings, TRASH_RETENTION_DAYS } from './trash.js';
+import { ensureCatalogTables, resolveSubmittedCigarId, syncRatingCigarLink, toCigarResponse } from './catalog.js';
+import { deleteDraftAfterSave } from './drafts.js';
+import { attachReactionSummaries, ensureReactionTables, RATING_LIKE_COUNT_SQL } from './reactions.js';
+import { canViewRating, ensureVisibilityTables, normalizeVisibility, prepareVisibilityUpsert, PUBLIC_LISTING_CLAUSE, signImageAccess, VISIBILITY, VISIBILITY_SELECT_FIELD } from './visibility.js';
+import { validateToken } from './auth.js';
+import { hasCapability } from './permissions.js';
+import { ensureAuditTables, prepareAuditEntry, recordAuditEntry, snapshotRating } from './audit.js';
+import { redactHiddenEmails } from './profiles.js';
 
 function sanitizeString(input) {
     if (typeof input !== 'string') return '';
@@ -77,48 +88,6 @@ function applyTranslationsToRating(rating, requestedLanguage) {
     }
 }
 
-/**
- * 验证 Authing Token 并返回用户信息 (包含 db_role)
- */
-async function validateTokenAndGetUser(request, env) {
-    const authHeader = request.headers.get('Authorization') || '';
-    const token = authHeader.replace('Bearer ', '');
-    if (!token) {
-        if (request.method === 'GET') return null; // Allow anonymous GET
-        throw new Error("Missing token");
-    }
-    try {
-        const userInfoUrl = new URL('/oidc/me', env.AUTHING_ISSUER);
-        const response = await fetch(userInfoUrl.toString(), { headers: { 'Authorization': `Bearer ${token}` } });
-        if (!response.ok) {
-            if (request.method === 'GET') return null; // Treat invalid token as anonymous for GET
-            const errorText = await response.text(); console.error("Authing token validation failed:", response.status, errorText); throw new Error(`Invalid token (status: ${response.status})`);
-        }
-        const userInfo = await response.json();
-        const dbRole = await getRoleFromDatabase(env.DB, userInfo, `validateToken(${request.method})`);
-        userInfo.db_role = dbRole;
-        return userInfo;
-    } catch (e) {
-        if (request.method === 'GET') { console.warn("Token validation failed during GET, treating as anonymous:", e.message); return null; }
-        throw e;
-    }
-}
-
-
-/**
- * 从 D1 获取/更新用户角色和昵称 (SELECT-first approach)
- */
-async function getRoleFromDatabase(db, userInfo, source = "unknown") {
-     const userId = userInfo.sub; const email = userInfo.email; const nickname = userInfo.name || userInfo.nickname || userInfo.preferred_username || userInfo.email;
-     if (!userId) { console.error(`[getRoleFromDatabase @ ${source}] Error: userId is missing from userInfo.`); return 'general'; }
-     try {
-         const stmtSelect = db.prepare("SELECT role, nickname as dbNickname, email as dbEmail FROM users WHERE userId = ?").bind(userId); const userRecord = await stmtSelect.first();
-         if (userRecord) { if ((email && userRecord.dbEmail !== email) || (nickname && userRecord.dbNickname !== nickname) || userRecord.dbEmail === null || userRecord.dbNickname === null) { console.log(`[getRoleFromDatabase @ ${source}] Updating email/nickname for existing user ${userId}...`); const stmtUpdate = db.prepare("UPDATE users SET email = ?, nickname = ? WHERE userId = ?").bind(email ?? null, nickname ?? null, userId); await stmtUpdate.run(); } return userRecord.role; }
-         else { if (email) { const stmtSelectEmail = db.prepare("SELECT userId as dbUserId, role, nickname as dbNickname FROM users WHERE email = ?").bind(email); const userRecordEmail = await stmtSelectEmail.first(); if (userRecordEmail) { console.log(`[getRoleFromDatabase @ ${source}] Updating userId (to ${userId}) and nickname for existing user found by email ${email}...`); const stmtUpdateEmail = db.prepare("UPDATE users SET userId = ?, nickname = ? WHERE email = ?").bind(userId, nickname ?? null, email); await stmtUpdateEmail.run(); return userRecordEmail.role; } } let assignedRole = 'general'; const stmtInsert = db.prepare("INSERT INTO users (userId, email, role, nickname) VALUES (?, ?, ?, ?)") .bind(userId, email ?? null, assignedRole, nickname ?? null); await stmtInsert.run(); console.log(`[getRoleFromDatabase @ ${source}] Created new user ${userId}. Assigned Role: ${assignedRole}`); return assignedRole; }
-     } catch (e) { console.error(`[getRoleFromDatabase @ ${source}] Database error for userId=${userId}, email=${email}:`, e.message, e); return 'general'; }
-}
-
-
 let commentSupportEnsured = false;
 async function ensureCommentSupportTables(db) {
     if (commentSupportEnsured) return;
@@ -130,7 +99,8 @@ async function ensureCommentSupportTables(db) {
         userEmail TEXT,
         content TEXT NOT NULL,
         createdAt TEXT NOT NULL,
-        isDeleted INTEGER NOT NULL DEFAULT 0
+        isDeleted INTEGER NOT NULL DEFAULT 0,
+        parentId TEXT
     )`).run();
     await db.prepare('CREATE INDEX IF NOT EXISTS idx_comments_ratingId ON comments(ratingId)').run();
     await db.prepare('CREATE INDEX IF NOT EXISTS idx_comments_userId ON comments(userId)').run();
@@ -143,6 +113,303 @@ async function ensureCommentSupportTables(db) {
     commentSupportEnsured = true;
 }
 
+// --- 列表分页 (keyset / cursor) ---
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// 每种排序都以 id 作为最后的决胜键, 保证游标位置唯一; type 用于校验客户端传回的游标值
+// latest 是社区列表的默认顺序 (置顶优先); newest 是认证和个人历史列表的默认顺序 (只按时间)
+const LIST_SORT_KEYS = {
+    newest: [
+        { column: "COALESCE(r.timestamp, '')", direction: 'DESC', type: 'string', read: row => row.timestamp ?? '' },
+        { column: 'r.id', direction: 'DESC', type: 'string', read: row => row.id }
+    ],
+    latest: [
+        { column: 'COALESCE(r.isPinned, 0)', direction: 'DESC', type: 'number', read: row => (row.isPinned ? 1 : 0) },
+        { column: "COALESCE(r.timestamp, '')", direction: 'DESC', type: 'string', read: row => row.timestamp ?? '' },
+        { column: 'r.id', direction: 'DESC', type: 'string', read: row => row.id }
+    ],
+    highest: [
+        { column: 'COALESCE(r.normalizedScore, 0)', direction: 'DESC', type: 'number', read: row => row.normalizedScore ?? 0 },
+        { column: "COALESCE(r.timestamp, '')", direction: 'DESC', type: 'string', read: row => row.timestamp ?? '' },
+        { column: 'r.id', direction: 'DESC', type: 'string', read: row => row.id }
+    ],
+    lowest: [
+        { column: 'COALESCE(r.normalizedScore, 0)', direction: 'ASC', type: 'number', read: row => row.normalizedScore ?? 0 },
+        { column: "COALESCE(r.timestamp, '')", direction: 'DESC', type: 'string', read: row => row.timestamp ?? '' },
+        { column: 'r.id', direction: 'DESC', type: 'string', read: row => row.id }
+    ],
+    // 点赞数来自 reactions 表 (子查询), SELECT 中以 likeCount 返回
+    mostLiked: [
+        { column: RATING_LIKE_COUNT_SQL, direction: 'DESC', type: 'number', read: row => row.likeCount ?? 0 },
+        { column: "COALESCE(r.timestamp, '')", direction: 'DESC', type: 'string', read: row => row.timestamp ?? '' },
+        { column: 'r.id', direction: 'DESC', type: 'string', read: row => row.id }
+    ]
+};
+
+function parsePageSize(value) {
+    const parsed = parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed <= 0) return DEFAULT_PAGE_SIZE;
+    return Math.min(parsed, MAX_PAGE_SIZE);
+}
+
+function encodeCursor(sortName, row) {
+    const values = LIST_SORT_KEYS[sortName].map(key => key.read(row));
+    return btoa(JSON.stringify({ s: sortName, v: values }));
+}
+
+function decodeCursor(cursor, sortName) {
+    if (!cursor) return null;
+    try {
+        const decoded = JSON.parse(atob(cursor));
+        const keys = LIST_SORT_KEYS[sortName];
+        if (!decoded || decoded.s !== sortName || !Array.isArray(decoded.v) || decoded.v.length !== keys.length) {
+            throw new Error('shape mismatch');
+        }
+        // 游标来自客户端: 类型不对的值直接拒绝, 不能带进 SQL; 最后的 id 不能为空
+        const typesMatch = keys.every((key, index) => (key.type === 'number' ? Number.isFinite(decoded.v[index]) : typeof decoded.v[index] === 'string'));
+        if (!typesMatch || !decoded.v[keys.length - 1]) throw new Error('type mismatch');
+        return decoded.v;
+    } catch (e) {
+        throw new Error('Invalid cursor parameter.');
+    }
+}
+
+/**
+ * 生成 "位于游标之后" 的 WHERE 片段:
+ * (k0 < v0) OR (k0 = v0 AND k1 < v1) OR (k0 = v0 AND k1 = v1 AND k2 < v2) ...
+ */
+function buildCursorCondition(sortName, cursorValues) {
+    const keys = LIST_SORT_KEYS[sortName];
+    const clauses = [];
+    const bindings = [];
+    keys.forEach((key, index) => {
+        const parts = [];
+        for (let i = 0; i < index; i++) {
+            parts.push(`${keys[i].column} = ?`);
+            bindings.push(cursorValues[i]);
+        }
+        parts.push(`${key.column} ${key.direction === 'DESC' ? '<' : '>'} ?`);
+        bindings.push(cursorValues[index]);
+        clauses.push(`(${parts.join(' AND ')})`);
+    });
+    return { sql: `(${clauses.join(' OR ')})`, bindings };
+}
+
+function buildOrderBy(sortName) {
+    return 'ORDER BY ' + LIST_SORT_KEYS[sortName].map(key => `${key.column} ${key.direction}`).join(', ');
+}
+
+// --- 服务端搜索与分面筛选 ---
+// 等级从高到低
+const GRADE_ORDER = GRADING_SCALE.map(g => g.grade);
+const MAX_FILTER_VALUES = 20;
+const MAX_FACET_VALUES = 20;
+// fullData 可能是历史遗留的非法 JSON, json_each/json_extract 遇到会直接报错
+const SAFE_FULL_DATA = "(CASE WHEN json_valid(r.fullData) THEN r.fullData ELSE '{}' END)";
+// 译文按语言逐个匹配字符串值; 直接匹配整个 translations 对象会命中 "en" 之类的键名
+const TEXT_SEARCH_COLUMNS = [
+    'r.title',
+    'r.cigarName',
+    'r.cigarReview',
+    ...['title', 'cigarReview'].flatMap(field => SUPPORTED_LANGUAGES.map(lang => `json_extract(${SAFE_FULL_DATA}, '$.translations.${field}.${lang}')`))
+];
+
+function readListParam(searchParams, name) {
+    return searchParams.getAll(name)
+        .flatMap(value => value.split(','))
+        .map(value => value.trim())
+        .filter(Boolean)
+        .slice(0, MAX_FILTER_VALUES);
+}
+
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+function normalizeFlavorKey(value) {
+    const lower = value.toLowerCase();
+    return lower.startsWith('flavors.') ? lower : `flavors.${lower}`;
+}
+
+function parseScoreParam(value) {
+    if (value === null || value === '') return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * 将查询参数转换为 WHERE 片段。每个片段记录所属分面 (facet),
+ * 以便计算某个分面的计数时排除它自身的筛选 (多选芯片的常见做法)。
+ * 支持: q, origin, size, grade, minGrade, minScore, maxScore, flavor, author
+ */
+function buildSearchFilters(searchParams) {
+    const filters = [];
+
+    const query = (searchParams.get('q') || '').trim();
+    if (query) {
+        query.split(/\s+/).slice(0, 5).forEach(term => {
+            const pattern = `%${escapeLike(term)}%`;
+            filters.push({
+                facet: 'q',
+                sql: `(${TEXT_SEARCH_COLUMNS.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`,
+                bindings: TEXT_SEARCH_COLUMNS.map(() => pattern)
+            });
+        });
+    }
+
+    const origins = readListParam(searchParams, 'origin').map(value => value.toLowerCase());
+    if (origins.length > 0) {
+        filters.push({ facet: 'origin', sql: `LOWER(TRIM(r.cigarOrigin)) IN (${origins.map(() => '?').join(', ')})`, bindings: origins });
+    }
+
+    const sizes = readListParam(searchParams, 'size').map(value => value.toLowerCase());
+    if (sizes.length > 0) {
+        filters.push({ facet: 'size', sql: `LOWER(TRIM(r.cigarSize)) IN (${sizes.map(() => '?').join(', ')})`, bindings: sizes });
+    }
+
+    const grades = readListParam(searchParams, 'grade').map(value => value.toUpperCase()).filter(value => GRADE_ORDER.includes(value));
+    if (grades.length > 0) {
+        filters.push({ facet: 'grade', sql: `r.finalGrade_grade IN (${grades.map(() => '?').join(', ')})`, bindings: grades });
+    }
+    const minGradeIndex = GRADE_ORDER.indexOf((searchParams.get('minGrade') || '').trim().toUpperCase());
+    if (minGradeIndex >= 0) {
+        const allowedGrades = GRADE_ORDER.slice(0, minGradeIndex + 1);
+        filters.push({ facet: 'grade', sql: `r.finalGrade_grade IN (${allowedGrades.map(() => '?').join(', ')})`, bindings: allowedGrades });
+    }
+
+    const minScore = parseScoreParam(searchParams.get('minScore'));
+    if (minScore !== null) {
+        filters.push({ facet: 'score', sql: 'r.normalizedScore >= ?', bindings: [minScore] });
+    }
+    const maxScore = parseScoreParam(searchParams.get('maxScore'));
+    if (maxScore !== null) {
+        filters.push({ facet: 'score', sql: 'r.normalizedScore <= ?', bindings: [maxScore] });
+    }
+
+    // 风味为 "全部包含" 语义: 每个选中的风味都必须出现
+    readListParam(searchParams, 'flavor').map(normalizeFlavorKey).forEach(flavorKey => {
+        filters.push({
+            facet: 'flavor',
+            sql: `EXISTS (SELECT 1 FROM json_each(${SAFE_FULL_DATA}, '$.selectedFlavors') sf WHERE sf.value = ?)`,
+            bindings: [flavorKey]
+        });
+    });
+
+    const author = (searchParams.get('author') || '').trim();
+    if (author) {
+        filters.push({ facet: 'author', sql: "(r.userId = ? OR r.userNickname LIKE ? ESCAPE '\\')", bindings: [author, `%${escapeLike(author)}%`] });
+    }
+
+    return filters;
+}
+
+function composeWhere(clauses) {
+    const sqlParts = clauses.map(clause => clause.sql);
+    const bindings = clauses.flatMap(clause => clause.bindings);
+    return { sql: sqlParts.length > 0 ? `WHERE ${sqlParts.join(' AND ')}` : '', bindings };
+}
+
+async function runAll(db, sql, bindings) {
+    let stmt = db.prepare(sql);
+    if (bindings.length > 0) stmt = stmt.bind(...bindings);
+    const { results } = await stmt.all();
+    return results || [];
+}
+
+/**
+ * 计算筛选芯片所需的分面计数。baseClauses 为视图本身的限制 (认证/本人等)。
+ */
+async function computeFacets(db, baseClauses, filters, viewer) {
+    const excluding = facet => composeWhere([...baseClauses, ...filters.filter(filter => filter.facet !== facet)]);
+    const all = composeWhere([...baseClauses, ...filters]);
+    const withExtra = (where, extra) => (where.sql ? `${where.sql} AND ${extra}` : `WHERE ${extra}`);
+
+    const originWhere = excluding('origin');
+    const sizeWhere = excluding('size');
+    const gradeWhere = excluding('grade');
+    const authorWhere = excluding('author');
+
+    const [totalRows, originRows, sizeRows, gradeRows, flavorRows, authorRows] = await Promise.all([
+        runAll(db, `SELECT COUNT(*) AS total FROM ratings r ${all.sql}`, all.bindings),
+        runAll(db, `SELECT MIN(TRIM(r.cigarOrigin)) AS value, COUNT(*) AS count FROM ratings r ${withExtra(originWhere, "TRIM(COALESCE(r.cigarOrigin, '')) != ''")} GROUP BY LOWER(TRIM(r.cigarOrigin)) ORDER BY count DESC LIMIT ${MAX_FACET_VALUES}`, originWhere.bindings),
+        runAll(db, `SELECT MIN(TRIM(r.cigarSize)) AS value, COUNT(*) AS count FROM ratings r ${withExtra(sizeWhere, "TRIM(COALESCE(r.cigarSize, '')) != ''")} GROUP BY LOWER(TRIM(r.cigarSize)) ORDER BY count DESC LIMIT ${MAX_FACET_VALUES}`, sizeWhere.bindings),
+        runAll(db, `SELECT r.finalGrade_grade AS value, COUNT(*) AS count FROM ratings r ${withExtra(gradeWhere, 'r.finalGrade_grade IS NOT NULL')} GROUP BY r.finalGrade_grade`, gradeWhere.bindings),
+        runAll(db, `SELECT sf.value AS value, COUNT(*) AS count FROM ratings r, json_each(${SAFE_FULL_DATA}, '$.selectedFlavors') sf ${all.sql} GROUP BY sf.value ORDER BY count DESC LIMIT ${MAX_FACET_VALUES}`, all.bindings),
+        runAll(db, `SELECT r.userId AS value, MAX(r.userNickname) AS label, COUNT(*) AS count FROM ratings r ${authorWhere.sql} GROUP BY r.userId ORDER BY count DESC LIMIT ${MAX_FACET_VALUES}`, authorWhere.bindings)
+    ]);
+    // 作者标签就是昵称, 可能退回成了隐藏的邮箱 (见 profiles.js)
+    const authors = authorRows.map(row => ({ userId: row.value, userNickname: row.label }));
+    await redactHiddenEmails(db, authors, viewer);
+    authorRows.forEach((row, index) => { row.label = authors[index].userNickname; });
+
+    return {
+        total: totalRows[0]?.total ?? 0,
+        facets: {
+            origin: originRows,
+            size: sizeRows,
+            grade: gradeRows.sort((a, b) => GRADE_ORDER.indexOf(a.value) - GRADE_ORDER.indexOf(b.value)),
+            flavor: flavorRows,
+            author: authorRows
+        }
+    };
+}
+
+// --- 服务端评分校验 ---
+function parseStoredJson(value) {
+    if (!value) return null;
+    if (typeof value === 'object') return value;
+    try { return JSON.parse(value); } catch (e) { return null; }
+}
+
+/**
+ * 以服务端为准重新计算 calculatedScore / normalizedScore / finalGrade。
+ * 提交的 config 必须与某个已发布的配置方案 (或该评分之前保存的 config) 一致, 否则拒绝,
+ * 防止构造的 config 抬高分数。客户端数值与计算结果不符时直接改写, 并返回修正列表。
+ * @param {object} env
+ * @param {object} ratingToSave - 请求体 (会被原地修改)
+ * @param {object} options - { errorPrefix, previousConfig }
+ * @returns {Promise<Array<{field: string, submitted: any, computed: any}>>}
+ */
+async function enforceServerScores(env, ratingToSave, { errorPrefix, previousConfig = null }) {
+    const submittedFingerprint = fingerprintScoringConfig(ratingToSave.config);
+    let trusted = previousConfig ? fingerprintScoringConfig(previousConfig) === submittedFingerprint : false;
+    if (!trusted) {
+        const { results: profileRows } = await env.DB.prepare('SELECT configData FROM config_profiles').all();
+        trusted = (profileRows || []).some(row => {
+            const profileConfig = parseStoredJson(row.configData);
+            return profileConfig && fingerprintScoringConfig(profileConfig) === submittedFingerprint;
+        });
+    }
+    if (!trusted) throw new Error(`${errorPrefix}: scoring config does not match any published config profile.`);
+
+    let computed;
+    try { computed = computeRatingScore(ratingToSave.config, ratingToSave.ratings); }
+    catch (e) { throw new Error(`${errorPrefix}: ${e.message}`); }
+
+    const corrections = [];
+    const submittedCalculated = Number(ratingToSave.calculatedScore);
+    if (!Number.isFinite(submittedCalculated) || Math.abs(submittedCalculated - computed.calculatedScore) > SCORE_TOLERANCE) {
+        corrections.push({ field: 'calculatedScore', submitted: ratingToSave.calculatedScore ?? null, computed: computed.calculatedScore });
+    }
+    const submittedNormalized = Number(ratingToSave.normalizedScore);
+    if (!Number.isFinite(submittedNormalized) || Math.abs(submittedNormalized - computed.normalizedScore) > SCORE_TOLERANCE) {
+        corrections.push({ field: 'normalizedScore', submitted: ratingToSave.normalizedScore ?? null, computed: computed.normalizedScore });
+    }
+    if (ratingToSave.finalGrade?.grade !== computed.finalGrade.grade) {
+        corrections.push({ field: 'finalGrade', submitted: ratingToSave.finalGrade?.grade ?? null, computed: computed.finalGrade.grade });
+    }
+    if (corrections.length > 0) {
+        console.warn(`[ratings] ${errorPrefix}: corrected client-submitted scores:`, JSON.stringify(corrections));
+    }
+
+    ratingToSave.calculatedScore = computed.calculatedScore;
+    ratingToSave.normalizedScore = computed.normalizedScore;
+    ratingToSave.finalGrade = computed.finalGrade;
+    ratingToSave.config.totalWeightMax = computed.totalWeightMax;
+    return corrections;
+}
+
 // --- API: GET /api/ratings ---
 export async function onRequestGet(context) {
      const { request, env } = context;
@@ -155,15 +422,17 @@ export async function onRequestGet(context) {
 
      try {
          let stmt;
-         let userInfo = await validateTokenAndGetUser(request, env); // Token optional for GET
+         let userInfo = await validateToken(request, env, { optional: true }); // Token optional for GET
          const currentUserRole = userInfo?.db_role ?? 'guest';
          console.log(`[GET /api/ratings] User validated. Role: ${currentUserRole}`);
+         await ensureVisibilityTables(env.DB);
+         await ensureReactionTables(env.DB);
 
          const selectFields = `r.id, r.userId, r.userEmail, r.userNickname, r.timestamp,
                                r.title, r.cigarName, r.cigarSize, r.cigarOrigin, r.normalizedScore,
                                r.finalGrade_grade, r.finalGrade_name_cn, r.isCertified,
                                r.certifiedRatingId, r.imageUrl, r.cigarReview, r.isPinned,
-                               r.fullData`;
+                               r.fullData, ${VISIBILITY_SELECT_FIELD}, ${RATING_LIKE_COUNT_SQL} AS likeCount`;
          const defaultOrderBy = "ORDER BY r.timestamp DESC";
          const pinnedOrderBy = "ORDER BY r.isPinned DESC, r.timestamp DESC";
 
@@ -176,6 +445,9 @@ export async function onRequestGet(context) {
              console.log(`[GET /api/ratings] DB result for single rating ${singleRatingId}:`, result ? {id: result.id, userId: result.userId, title: result.title, hasFullData: !!result.fullData, imageUrlType: typeof result.imageUrl} : null);
 
              if (!result) throw new Error("评分未找到。");
+             // private 评分对作者和管理员以外的人按不存在处理; unlisted 与 public 一样可以通过链接访问
+             if (!canViewRating(result, result.visibility, userInfo)) throw new Error("评分未找到。");
+             if (result.visibility === VISIBILITY.PRIVATE) result.imageAccess = await signImageAccess(env, result.id);
 
              // **MODIFIED**: Check permission ONLY if user is logged in AND trying to edit (though edit happens via PUT)
              // We allow public read here. Permission check moved to PUT/DELETE.
@@ -193,6 +465,13 @@ export async function onRequestGet(context) {
 
              // Ensure cigarInfo exists
              result.cigarInfo = { name: result.cigarName, size: result.cigarSize, origin: result.cigarOrigin };
+             // 已确认的目录关联 (用于编辑时回填联想框, 以及详情页跳转到雪茄)
+             try {
+                 await ensureCatalogTables(env.DB);
+                 const linkedCigar = await env.DB.prepare(`SELECT c.* FROM rating_cigar_links l JOIN cigars c ON c.id = l.cigarId WHERE l.ratingId = ? AND l.status = 'confirmed'`).bind(singleRatingId).first();
+                 result.cigar = toCigarResponse(linkedCigar);
+                 result.cigarInfo.cigarId = linkedCigar ? linkedCigar.id : null;
+             } catch (catalogErr) { console.error(`[GET /api/ratings] Failed to load catalog link for ${singleRatingId}:`, catalogErr.message); result.cigar = null; }
              // Reconstruct finalGrade object
              if (result.finalGrade_grade && result.finalGrade_name_cn) { result.finalGrade = { grade: result.finalGrade_grade, name_cn: result.finalGrade_name_cn }; } else { result.finalGrade = null; }
 
@@ -224,18 +503,52 @@ export async function onRequestGet(context) {
                  }
              }
 
+             await attachReactionSummaries(env.DB, 'rating', [result], userInfo?.sub ?? null);
+             // 作者选择了隐藏邮箱时不返回 userEmail (见 profiles.js)
+             await redactHiddenEmails(env.DB, [result], userInfo);
              applyTranslationsToRating(result, requestedLang);
              return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
 
          } else { // List view (Community, History, Certified)
-             if (getCertified) { stmt = env.DB.prepare(`SELECT ${selectFields} FROM ratings r WHERE r.isCertified = 1 ${defaultOrderBy}`); }
-             else if (currentUserRole === 'admin' || currentUserRole === 'super_admin') { stmt = env.DB.prepare(`SELECT ${selectFields} FROM ratings r ${pinnedOrderBy}`); }
-             else if (userInfo) { stmt = env.DB.prepare(`SELECT ${selectFields} FROM ratings r WHERE r.userId = ? ${defaultOrderBy}`).bind(userInfo.sub); }
-             else { stmt = env.DB.prepare(`SELECT ${selectFields} FROM ratings r ${pinnedOrderBy}`); } // Public community view
+             // **MODIFIED**: 传入 limit/cursor 时按 (isPinned, timestamp, id) 游标分页, 否则保持旧的全量数组响应
+             const isPaged = url.searchParams.has('limit') || url.searchParams.has('cursor');
+             const pageSize = parsePageSize(url.searchParams.get('limit'));
+             const baseClauses = [];
+             let orderBy;
+             // ?scope=community: 登录用户也按访客的社区列表返回, 只是多了自己的点赞状态 (likedByMe)
+             const communityScope = url.searchParams.get('scope') === 'community';
+             if (getCertified) { baseClauses.push({ sql: 'r.isCertified = 1', bindings: [] }, PUBLIC_LISTING_CLAUSE); orderBy = defaultOrderBy; }
+             else if (communityScope) { baseClauses.push(PUBLIC_LISTING_CLAUSE); orderBy = pinnedOrderBy; }
+             else if (hasCapability(userInfo, 'ratings.manage')) { orderBy = pinnedOrderBy; }
+             else if (userInfo) { baseClauses.push({ sql: 'r.userId = ?', bindings: [userInfo.sub] }); orderBy = defaultOrderBy; }
+             else { baseClauses.push(PUBLIC_LISTING_CLAUSE); orderBy = pinnedOrderBy; } // Public community view: unlisted / private never listed
+             // 没有 ?sort 时分页模式沿用各列表原来的顺序 (认证和个人历史不把置顶排在前面)
+             const sortName = LIST_SORT_KEYS[url.searchParams.get('sort')]
+                 ? url.searchParams.get('sort')
+                 : (orderBy === defaultOrderBy ? 'newest' : 'latest');
+
+             const searchFilters = buildSearchFilters(url.searchParams);
+             const listClauses = [...baseClauses, ...searchFilters];
+             if (isPaged) {
+                 const cursorValues = decodeCursor(url.searchParams.get('cursor'), sortName);
+                 if (cursorValues) {
+                     listClauses.push(buildCursorCondition(sortName, cursorValues));
+                 }
+                 orderBy = `${buildOrderBy(sortName)} LIMIT ${pageSize + 1}`;
+             }
+             const listWhere = composeWhere(listClauses);
+             stmt = env.DB.prepare(`SELECT ${selectFields} FROM ratings r ${listWhere.sql} ${orderBy}`);
+             if (listWhere.bindings.length > 0) stmt = stmt.bind(...listWhere.bindings);
 
-             const { results } = await stmt.all();
+             let { results } = await stmt.all();
              console.log(`[GET /api/ratings] Found ${results.length} ratings in list view.`);
 
+             let nextCursor = null;
+             if (isPaged && results.length > pageSize) {
+                 results = results.slice(0, pageSize);
+                 nextCursor = encodeCursor(sortName, results[results.length - 1]);
+             }
+
             const parsedResults = results.map(row => {
                 try { if (row.fullData && typeof row.fullData === 'string') { row.fullData = JSON.parse(row.fullData); if (!row.fullData || !row.fullData.config || !row.fullData.ratings || row.fullData.calculatedScore === undefined) { row.fullData = null; } } else if (!row.fullData) { row.fullData = null; } }
                 catch (e) { console.error(`Failed to parse fullData for list item ID ${row.id}:`, e.message); row.fullData = null; }
@@ -248,8 +561,15 @@ export async function onRequestGet(context) {
                 applyTranslationsToRating(row, requestedLang);
                 return row;
             });
+            // 点赞 / 表情计数, 以及当前用户自己的回应
+            await attachReactionSummaries(env.DB, 'rating', parsedResults, userInfo?.sub ?? null);
+            await redactHiddenEmails(env.DB, parsedResults, userInfo);
+            // 作者 / 管理员的列表里可能有 private 评分, 附上图片访问签名
+            for (const row of parsedResults) {
+                if (row.visibility === VISIBILITY.PRIVATE) row.imageAccess = await signImageAccess(env, row.id);
+            }
 
-            if (!getCertified && userInfo && !(currentUserRole === 'admin' || currentUserRole === 'super_admin')) {
+            if (!getCertified && userInfo && !hasCapability(userInfo, 'ratings.manage')) {
                 try {
                     await ensureCommentSupportTables(env.DB);
                     const ownerRatingIds = parsedResults.filter(row => row.userId === userInfo.sub).map(row => row.id);
@@ -299,10 +619,17 @@ export async function onRequestGet(context) {
             }
 
             console.log(`[GET /api/ratings] Returning ${parsedResults.length} parsed ratings.`);
-            return new Response(JSON.stringify(parsedResults), { headers: { 'Content-Type': 'application/json' } });
+            const responseBody = isPaged ? { ratings: parsedResults, nextCursor } : parsedResults;
+            // 分面计数仅在分页响应中按需返回 (facets=true), 翻页时无需重复计算
+            if (isPaged && url.searchParams.get('facets') === 'true') {
+                const facetSummary = await computeFacets(env.DB, baseClauses, searchFilters, userInfo);
+                responseBody.total = facetSummary.total;
+                responseBody.facets = facetSummary.facets;
+            }
+            return new Response(JSON.stringify(responseBody), { headers: { 'Content-Type': 'application/json' } });
         }
      } catch(e) {
-          console.error("[GET /api/ratings] Final catch block error:", e.message, e); let errorMessage = e.message || 'An unknown error occurred while fetching ratings.'; let statusCode = 500; if (e.message.includes('token') || e.message.includes('需要登录')) statusCode = 401; if (e.message.includes("评分未找到")) statusCode = 404; return new Response(JSON.stringify({ error: errorMessage }), { status: statusCode, headers: { 'Content-Type': 'application/json' } });
+          console.error("[GET /api/ratings] Final catch block error:", e.message, e); let errorMessage = e.message || 'An unknown error occurred while fetching ratings.'; let statusCode = 500; if (e.message.includes('token') || e.message.includes('需要登录')) statusCode = 401; if (e.message.includes("评分未找到")) statusCode = 404; if (e.message.includes('Invalid cursor')) statusCode = 400; return new Response(JSON.stringify({ error: errorMessage }), { status: statusCode, headers: { 'Content-Type': 'application/json' } });
      }
 }
 
@@ -311,13 +638,20 @@ export async function onRequestGet(context) {
 export async function onRequestPost(context) {
      const { request, env } = context; console.log(`[POST /api/ratings] Received request.`);
      try {
-         const userInfo = await validateTokenAndGetUser(request, env); if (!userInfo) throw new Error("需要登录才能保存评分。"); console.log(`[POST /api/ratings] User validated: ${userInfo.sub}`);
+         const userInfo = await validateToken(request, env); if (!userInfo) throw new Error("需要登录才能保存评分。"); console.log(`[POST /api/ratings] User validated: ${userInfo.sub}`);
          const ratingToSave = await request.json(); console.log(`[POST /api/ratings] Received rating data. Title: ${ratingToSave?.title}, Cigar: ${ratingToSave?.cigarInfo?.name}, Image count: ${ratingToSave?.imageUrls?.length}`);
          if (!ratingToSave || typeof ratingToSave !== 'object') throw new Error("Invalid rating data received.");
+         // 由自动保存的草稿提交时带 draftId, 不写入 fullData, 保存成功后删除该草稿
+         const draftId = ratingToSave.draftId; delete ratingToSave.draftId;
+         // 可见性保存在 rating_visibility 中, 不写入 fullData
+         const visibility = normalizeVisibility(ratingToSave.visibility); delete ratingToSave.visibility;
+         if (!visibility) throw new Error("Cannot save rating: Invalid visibility.");
          ratingToSave.title = sanitizeString(ratingToSave.title);
          if (!ratingToSave.title) throw new Error("Cannot save rating: Title is missing.");
          ratingToSave.cigarReview = sanitizeString(ratingToSave.cigarReview);
          if (!ratingToSave.config || !ratingToSave.ratings || ratingToSave.calculatedScore === undefined) throw new Error("Cannot save rating: Data is incomplete (missing config, ratings, or calculatedScore).");
+         const scoreCorrections = await enforceServerScores(env, ratingToSave, { errorPrefix: 'Cannot save rating' });
+         const cigarId = await resolveSubmittedCigarId(env.DB, ratingToSave.cigarInfo, 'Cannot save rating');
          const normalizedSourceLanguage = normalizeLanguageTag(ratingToSave.sourceLanguage || 'zh', 'zh');
          ratingToSave.sourceLanguage = normalizedSourceLanguage;
          const [titleTranslations, reviewTranslations] = await Promise.all([
@@ -334,15 +668,24 @@ export async function onRequestPost(context) {
          const newId = crypto.randomUUID();
          const nickname = userInfo.nickname || userInfo.name || userInfo.preferred_username || userInfo.email;
          const imageUrlsString = JSON.stringify(ratingToSave.imageUrls || []);
-         console.log(`[POST /api/ratings] Preparing to insert ID ${newId} for user ${userInfo.sub}`);
-         await env.DB.prepare(
-           `INSERT INTO ratings ( id, userId, userEmail, userNickname, timestamp, title, cigarName, cigarSize, cigarOrigin, normalizedScore, finalGrade_grade, finalGrade_name_cn, isCertified, certifiedRatingId, imageUrl, cigarReview, isPinned, fullData ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-         ).bind(
-           newId, userInfo.sub, userInfo.email ?? null, nickname ?? null, new Date().toISOString(), ratingToSave.title, ratingToSave?.cigarInfo?.name ?? null, ratingToSave?.cigarInfo?.size ?? null, ratingToSave?.cigarInfo?.origin ?? null, ratingToSave?.normalizedScore ?? null, ratingToSave?.finalGrade?.grade ?? null, ratingToSave?.finalGrade?.name_cn ?? null, false, null, imageUrlsString, ratingToSave?.cigarReview ?? null, false, JSON.stringify(ratingToSave)
-         ).run();
+         console.log(`[POST /api/ratings] Preparing to insert ID ${newId} for user ${userInfo.sub} (visibility: ${visibility})`);
+         await ensureVisibilityTables(env.DB);
+         // 评分与可见性同一 batch 写入, private 评分不会有短暂公开的窗口
+         await env.DB.batch([
+           env.DB.prepare(
+             `INSERT INTO ratings ( id, userId, userEmail, userNickname, timestamp, title, cigarName, cigarSize, cigarOrigin, normalizedScore, finalGrade_grade, finalGrade_name_cn, isCertified, certifiedRatingId, imageUrl, cigarReview, isPinned, fullData ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+           ).bind(
+             newId, userInfo.sub, userInfo.email ?? null, nickname ?? null, new Date().toISOString(), ratingToSave.title, ratingToSave?.cigarInfo?.name ?? null, ratingToSave?.cigarInfo?.size ?? null, ratingToSave?.cigarInfo?.origin ?? null, ratingToSave?.normalizedScore ?? null, ratingToSave?.finalGrade?.grade ?? null, ratingToSave?.finalGrade?.name_cn ?? null, false, null, imageUrlsString, ratingToSave?.cigarReview ?? null, false, JSON.stringify(ratingToSave)
+           ),
+           prepareVisibilityUpsert(env.DB, newId, visibility, userInfo)
+         ]);
          console.log(`[POST /api/ratings] Successfully inserted ID ${newId}`);
+         await syncRatingCigarLink(env.DB, newId, cigarId, userInfo);
+         await deleteDraftAfterSave(env.DB, draftId, userInfo.sub);
+         // private 评分的图片从现在起需要签名才能读取, 页面用它继续显示刚上传的图片
+         const imageAccess = visibility === VISIBILITY.PRIVATE ? await signImageAccess(env, newId) : null;
          // **MODIFIED**: Return the new ID in the success response
-         return new Response(JSON.stringify({ success: true, id: newId }), { status: 201, headers: { 'Content-Type': 'application/json' } });
+         return new Response(JSON.stringify({ success: true, id: newId, visibility, imageAccess, normalizedScore: ratingToSave.normalizedScore, finalGrade: ratingToSave.finalGrade, corrections: scoreCorrections }), { status: 201, headers: { 'Content-Type': 'application/json' } });
      } catch (e) {
           console.error("[POST /api/ratings] Save rating error:", e.message, e); let errorMessage = e.message || 'An unknown error occurred while saving the rating.'; if (e.message.includes('D1_ERROR')) errorMessage = `Database error: ${e.message}`; else if (e.message.includes('token') || e.message.includes('需要登录')) errorMessage = 'Authentication failed. Please log in again.'; return new Response(JSON.stringify({ error: errorMessage }), { status: e.message.includes('token') || e.message.includes('需要登录') ? 401 : (e.message.includes('Cannot save rating') || e.message.includes('Title is missing') ? 400 : 500), headers: { 'Content-Type': 'application/json' } });
      }
@@ -352,17 +695,29 @@ export async function onRequestPost(context) {
 export async function onRequestPut(context) {
      const { request, env } = context; console.log(`[PUT /api/ratings] Received request.`);
      try {
-         const userInfo = await validateTokenAndGetUser(request, env); if (!userInfo) throw new Error("需要登录才能更新评分。"); console.log(`[PUT /api/ratings] User validated: ${userInfo.sub}`);
+         const userInfo = await validateToken(request, env); if (!userInfo) throw new Error("需要登录才能更新评分。"); console.log(`[PUT /api/ratings] User validated: ${userInfo.sub}`);
          const ratingToSave = await request.json(); const ratingId = ratingToSave?.ratingId; console.log(`[PUT /api/ratings] Received update data for ID ${ratingId}. Title: ${ratingToSave?.title}, Cigar: ${ratingToSave?.cigarInfo?.name}, Image count: ${ratingToSave?.imageUrls?.length}`);
          if (!ratingId) throw new Error("Missing ratingId for update.");
          if (!ratingToSave || typeof ratingToSave !== 'object') throw new Error("Invalid rating data received.");
+         const draftId = ratingToSave.draftId; delete ratingToSave.draftId;
+         // 未传 visibility 时保持原来的设置
+         const visibilityProvided = ratingToSave.visibility !== undefined;
+         const visibility = visibilityProvided ? normalizeVisibility(ratingToSave.visibility) : null; delete ratingToSave.visibility;
+         if (visibilityProvided && !visibility) throw new Error("Cannot save rating update: Invalid visibility.");
          ratingToSave.title = sanitizeString(ratingToSave.title);
          if (!ratingToSave.title) throw new Error("Cannot save rating update: Title is missing.");
          ratingToSave.cigarReview = sanitizeString(ratingToSave.cigarReview);
          if (!ratingToSave.config || !ratingToSave.ratings || ratingToSave.calculatedScore === undefined) throw new Error("Cannot save rating update: Data is incomplete (missing config, ratings, or calculatedScore).");
          console.log(`[PUT /api/ratings] Checking permissions for user ${userInfo.sub} on rating ${ratingId}`);
-         const stmt = env.DB.prepare("SELECT userId FROM ratings WHERE id = ?").bind(ratingId); const originalRating = await stmt.first(); if (!originalRating) { console.log(`[PUT /api/ratings] Rating ${ratingId} not found.`); throw new Error("Rating not found."); }
-         const isOwner = originalRating.userId === userInfo.sub; const isAdmin = userInfo.db_role === 'admin' || userInfo.db_role === 'super_admin'; console.log(`[PUT /api/ratings] Is Owner: ${isOwner}, Is Admin: ${isAdmin}`); if (!isOwner && !isAdmin) throw new Error("Permission denied to edit this rating.");
+         const stmt = env.DB.prepare("SELECT userId, title, cigarName, cigarSize, cigarOrigin, normalizedScore, finalGrade_grade, cigarReview, isCertified, isPinned, fullData FROM ratings WHERE id = ?").bind(ratingId); const originalRating = await stmt.first(); if (!originalRating) { console.log(`[PUT /api/ratings] Rating ${ratingId} not found.`); throw new Error("Rating not found."); }
+         const isOwner = originalRating.userId === userInfo.sub; const isAdmin = hasCapability(userInfo, 'ratings.manage'); console.log(`[PUT /api/ratings] Is Owner: ${isOwner}, Is Admin: ${isAdmin}`); if (!isOwner && !isAdmin) throw new Error("Permission denied to edit this rating.");
+         const previousConfig = parseStoredJson(originalRating.fullData)?.config ?? null;
+         const scoreCorrections = await enforceServerScores(env, ratingToSave, { errorPrefix: 'Cannot save rating update', previousConfig });
+         const cigarId = await resolveSubmittedCigarId(env.DB, ratingToSave.cigarInfo, 'Cannot save rating update');
+         // 认证评分的分数只能由管理员改动, 作者的编辑不得改变已认证的分数
+         if (originalRating.isCertified && !isAdmin && Math.abs((originalRating.normalizedScore ?? 0) - ratingToSave.normalizedScore) > SCORE_TOLERANCE) {
+             throw new Error("Permission denied: the score of a certified rating can only be changed by an admin.");
+         }
          const normalizedSourceLanguage = normalizeLanguageTag(ratingToSave.sourceLanguage || 'zh', 'zh');
          ratingToSave.sourceLanguage = normalizedSourceLanguage;
          const [titleTranslations, reviewTranslations] = await Promise.all([
@@ -378,11 +733,35 @@ export async function onRequestPut(context) {
          }
          const imageUrlsString = JSON.stringify(ratingToSave.imageUrls || []);
          console.log(`[PUT /api/ratings] Preparing to update ID ${ratingId}`);
-         await env.DB.prepare(
-           `UPDATE ratings SET timestamp = ?, title = ?, cigarName = ?, cigarSize = ?, cigarOrigin = ?, normalizedScore = ?, finalGrade_grade = ?, finalGrade_name_cn = ?, imageUrl = ?, cigarReview = ?, fullData = ? WHERE id = ?`
-         ).bind( new Date().toISOString(), ratingToSave.title, ratingToSave?.cigarInfo?.name ?? null, ratingToSave?.cigarInfo?.size ?? null, ratingToSave?.cigarInfo?.origin ?? null, ratingToSave?.normalizedScore ?? null, ratingToSave?.finalGrade?.grade ?? null, ratingToSave?.finalGrade?.name_cn ?? null, imageUrlsString, ratingToSave?.cigarReview ?? null, JSON.stringify(ratingToSave), ratingId ).run();
-         console.log(`[PUT /api/ratings] Successfully updated ID ${ratingId}`);
-         return new Response(JSON.stringify({ success: true, id: ratingId }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+         // 覆盖前先把旧行写入 rating_revisions (同一 batch, 要么都成功要么都失败)
+         await ensureRevisionTables(env.DB);
+         await ensureVisibilityTables(env.DB);
+         // 管理员修改别人的评分时记入审计日志 (见 audit.js)
+         const auditStatements = [];
+         if (!isOwner) {
+             await ensureAuditTables(env.DB);
+             auditStatements.push(prepareAuditEntry(env.DB, {
+                 actor: userInfo, action: 'rating.admin_edit', targetType: 'rating', targetId: ratingId,
+                 before: snapshotRating(originalRating),
+                 after: {
+                     ...snapshotRating({ ...originalRating, title: ratingToSave.title, cigarName: ratingToSave?.cigarInfo?.name, cigarSize: ratingToSave?.cigarInfo?.size, cigarOrigin: ratingToSave?.cigarInfo?.origin, normalizedScore: ratingToSave?.normalizedScore, finalGrade_grade: ratingToSave?.finalGrade?.grade, cigarReview: ratingToSave?.cigarReview }),
+                     ...(visibility ? { visibility } : {})
+                 },
+                 request
+             }));
+         }
+         await env.DB.batch([
+           ...(visibility ? [prepareVisibilityUpsert(env.DB, ratingId, visibility, userInfo)] : []),
+           prepareRevisionSnapshot(env.DB, ratingId, { editor: userInfo, action: 'update' }),
+           ...auditStatements,
+           env.DB.prepare(
+             `UPDATE ratings SET timestamp = ?, title = ?, cigarName = ?, cigarSize = ?, cigarOrigin = ?, normalizedScore = ?, finalGrade_grade = ?, finalGrade_name_cn = ?, imageUrl = ?, cigarReview = ?, fullData = ? WHERE id = ?`
+           ).bind( new Date().toISOString(), ratingToSave.title, ratingToSave?.cigarInfo?.name ?? null, ratingToSave?.cigarInfo?.size ?? null, ratingToSave?.cigarInfo?.origin ?? null, ratingToSave?.normalizedScore ?? null, ratingToSave?.finalGrade?.grade ?? null, ratingToSave?.finalGrade?.name_cn ?? null, imageUrlsString, ratingToSave?.cigarReview ?? null, JSON.stringify(ratingToSave), ratingId )
+         ]);
+         console.log(`[PUT /api/ratings] Successfully updated ID ${ratingId} (previous version kept in rating_revisions)`);
+         await syncRatingCigarLink(env.DB, ratingId, cigarId, userInfo);
+         await deleteDraftAfterSave(env.DB, draftId, userInfo.sub);
+         return new Response(JSON.stringify({ success: true, id: ratingId, normalizedScore: ratingToSave.normalizedScore, finalGrade: ratingToSave.finalGrade, corrections: scoreCorrections }), { status: 200, headers: { 'Content-Type': 'application/json' } });
      } catch (e) {
           console.error("[PUT /api/ratings] Update rating error:", e.message, e); let errorMessage = e.message || 'An unknown error occurred while updating the rating.'; let statusCode = 500; if (e.message.includes('token') || e.message.includes('需要登录')) statusCode = 401; if (e.message.includes('Permission denied')) statusCode = 403; if (e.message.includes("not found")) statusCode = 404; if (e.message.includes('Cannot save rating update') || e.message.includes('Title is missing')) statusCode = 400; return new Response(JSON.stringify({ error: errorMessage }), { status: statusCode, headers: { 'Content-Type': 'application/json' } });
      }
@@ -393,23 +772,24 @@ export async function onRequestPut(context) {
 export async function onRequestDelete(context) {
     const { request, env } = context; console.log(`[DELETE /api/ratings] Received request.`);
     try {
-        const userInfo = await validateTokenAndGetUser(request, env); if (!userInfo) throw new Error("需要登录才能删除评分。"); console.log(`[DELETE /api/ratings] User validated: ${userInfo.sub}`);
+        const userInfo = await validateToken(request, env); if (!userInfo) throw new Error("需要登录才能删除评分。"); console.log(`[DELETE /api/ratings] User validated: ${userInfo.sub}`);
         const { ratingId } = await request.json(); console.log(`[DELETE /api/ratings] Request to delete ID ${ratingId}`); if (!ratingId) throw new Error("Missing ratingId for delete.");
-        console.log(`[DELETE /api/ratings] Checking permissions and fetching image key(s) for rating ${ratingId}`);
-        const stmt = env.DB.prepare("SELECT userId, imageUrl FROM ratings WHERE id = ?").bind(ratingId); const originalRating = await stmt.first();
+        console.log(`[DELETE /api/ratings] Checking permissions for rating ${ratingId}`);
+        const stmt = env.DB.prepare("SELECT * FROM ratings WHERE id = ?").bind(ratingId); const originalRating = await stmt.first();
         if (!originalRating) { console.log(`[DELETE /api/ratings] Rating ${ratingId} not found (already deleted?). Returning success.`); return new Response(JSON.stringify({ success: true, id: ratingId, message: "Rating already deleted or not found." }), { status: 200, headers: { 'Content-Type': 'application/json'} }); }
-        const isOwner = originalRating.userId === userInfo.sub; const isAdmin = userInfo.db_role === 'admin' || userInfo.db_role === 'super_admin'; console.log(`[DELETE /api/ratings] Is Owner: ${isOwner}, Is Admin: ${isAdmin}`); if (!isOwner && !isAdmin) throw new Error("Permission denied to delete this rating.");
-        let imageKeysToDelete = []; if (originalRating.imageUrl && typeof originalRating.imageUrl === 'string') { try { imageKeysToDelete = JSON.parse(originalRating.imageUrl); if (!Array.isArray(imageKeysToDelete)) imageKeysToDelete = []; } catch (e) { console.error(`[DELETE /api/ratings] Failed to parse imageUrl JSON for ${ratingId}:`, e); imageKeysToDelete = []; } }
-        console.log(`[DELETE /api/ratings] Found ${imageKeysToDelete.length} image key(s) to delete from R2.`);
-        if (imageKeysToDelete.length > 0 && env.PISTACHO_BUCKET) {
-             console.log(`[DELETE /api/ratings] Preparing to delete image keys from R2:`, imageKeysToDelete);
-             const deletePromises = imageKeysToDelete.map(key => env.PISTACHO_BUCKET.delete(key).catch(err => ({ key: key, error: err })) ); const results = await Promise.allSettled(deletePromises);
-             results.forEach((result, index) => { if (result.status === 'rejected' || result.value?.error) { console.error(`[DELETE /api/ratings] Failed to delete R2 object ${imageKeysToDelete[index]}:`, result.reason || result.value?.error); } else { console.log(`[DELETE /api/ratings] Successfully deleted R2 object ${imageKeysToDelete[index]}.`); } });
-        } else { console.log(`[DELETE /api/ratings] No image keys found or R2 bucket not configured. Skipping R2 delete.`); }
-        console.log(`[DELETE /api/ratings] Preparing to delete ID ${ratingId} from D1...`);
-        const deleteStmt = env.DB.prepare("DELETE FROM ratings WHERE id = ?").bind(ratingId); const result = await deleteStmt.run(); console.log(`[DELETE /api/ratings] D1 delete result changes: ${result.changes}`);
-        console.log(`[DELETE /api/ratings] Successfully processed delete request for ID ${ratingId}.`);
-        return new Response(JSON.stringify({ success: true, id: ratingId }), { status: 200, headers: { 'Content-Type': 'application/json'} });
+        const isOwner = originalRating.userId === userInfo.sub; const isAdmin = hasCapability(userInfo, 'ratings.manage'); console.log(`[DELETE /api/ratings] Is Owner: ${isOwner}, Is Admin: ${isAdmin}`); if (!isOwner && !isAdmin) throw new Error("Permission denied to delete this rating.");
+        // **MODIFIED**: 软删除 —— 移入回收站, R2 图片/评论/修订记录保留到保留期结束后由定时清理 (见 trash.js)
+        console.log(`[DELETE /api/ratings] Moving ID ${ratingId} to the trash...`);
+        const purgeAfter = await moveRatingToTrash(env, originalRating, userInfo);
+        if (!isOwner) {
+            await recordAuditEntry(env.DB, {
+                actor: userInfo, action: 'rating.admin_delete', targetType: 'rating', targetId: ratingId,
+                before: snapshotRating(originalRating), after: { trashed: true, purgeAfter }, request
+            });
+        }
+        console.log(`[DELETE /api/ratings] Successfully moved ID ${ratingId} to the trash. Purge after ${purgeAfter}.`);
+        schedulePurgeExpiredRatings(context);
+        return new Response(JSON.stringify({ success: true, id: ratingId, trashed: true, purgeAfter, retentionDays: TRASH_RETENTION_DAYS }), { status: 200, headers: { 'Content-Type': 'application/json'} });
     } catch (e) {
          console.error("[DELETE /api/ratings] Final catch block error:", e.message, e); let errorMessage = e.message || 'An unknown error occurred while deleting the rating.'; let statusCode = 500; if (e.message.includes('token') || e.message.includes('需要登录')) statusCode = 401; else if (e.message.includes('Permission denied')) statusCode = 403; else if (e.message.includes("not found") || e.message.includes("deleted already")) statusCode = 404; else if (e.message.includes("Missing ratingId")) statusCode = 400; return new Response(JSON.stringify({ error: errorMessage }), { status: statusCode, headers: { 'Content-Type': 'application/json' } });
     }
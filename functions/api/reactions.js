@@ -0,0 +1,102 @@
+// Utility functions for likes / emoji reactions on ratings and comments.
+// Each user has at most one reaction per target (`reactions` primary key); picking another one replaces it,
+// picking the same one again removes it. `ratingId` is stored for every row (the rating itself, or the rating
+// a comment belongs to) so the trash purge can drop them together with the rating.
+
+export const REACTION_TARGETS = ['rating', 'comment'];
+// like 是默认的 "点赞", 其余为表情回应; 顺序即页面上的显示顺序
+export const REACTION_TYPES = ['like', 'love', 'fire', 'wow', 'laugh'];
+
+// D1 单条语句最多 100 个绑定参数
+const MAX_IDS_PER_QUERY = 90;
+
+let reactionTablesEnsured = false;
+
+export async function ensureReactionTables(db) {
+    if (reactionTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS reactions (
+        targetType TEXT NOT NULL,
+        targetId TEXT NOT NULL,
+        userId TEXT NOT NULL,
+        reaction TEXT NOT NULL,
+        ratingId TEXT NOT NULL,
+        createdAt TEXT NOT NULL,
+        PRIMARY KEY (targetType, targetId, userId)
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_reactions_target ON reactions(targetType, targetId, reaction)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_reactions_ratingId ON reactions(ratingId)').run();
+    reactionTablesEnsured = true;
+}
+
+// 列表按点赞数排序时使用, 表别名须为 r
+export const RATING_LIKE_COUNT_SQL = `(SELECT COUNT(*) FROM reactions x WHERE x.targetType = 'rating' AND x.targetId = r.id AND x.reaction = 'like')`;
+
+function emptySummary() {
+    return { reactions: {}, reactionCount: 0, likeCount: 0, myReaction: null, likedByMe: false };
+}
+
+/**
+ * 批量读取计数和当前用户的回应
+ * @returns {Promise<Map<string, {reactions: Object<string, number>, reactionCount: number, likeCount: number, myReaction: string|null, likedByMe: boolean}>>}
+ */
+export async function getReactionSummaries(db, targetType, targetIds, userId = null) {
+    const summaries = new Map();
+    const ids = [...new Set(targetIds.filter(Boolean))];
+    ids.forEach(id => summaries.set(id, emptySummary()));
+    for (let i = 0; i < ids.length; i += MAX_IDS_PER_QUERY) {
+        const chunk = ids.slice(i, i + MAX_IDS_PER_QUERY);
+        const placeholders = chunk.map(() => '?').join(', ');
+        const { results: countRows } = await db.prepare(`
+            SELECT targetId, reaction, COUNT(*) AS total
+            FROM reactions
+            WHERE targetType = ? AND targetId IN (${placeholders})
+            GROUP BY targetId, reaction
+        `).bind(targetType, ...chunk).all();
+        (countRows || []).forEach(row => {
+            const summary = summaries.get(row.targetId);
+            summary.reactions[row.reaction] = row.total;
+            summary.reactionCount += row.total;
+            if (row.reaction === 'like') summary.likeCount = row.total;
+        });
+        if (!userId) continue;
+        const { results: mineRows } = await db.prepare(`
+            SELECT targetId, reaction FROM reactions
+            WHERE targetType = ? AND userId = ? AND targetId IN (${placeholders})
+        `).bind(targetType, userId, ...chunk).all();
+        (mineRows || []).forEach(row => {
+            const summary = summaries.get(row.targetId);
+            summary.myReaction = row.reaction;
+            summary.likedByMe = row.reaction === 'like';
+        });
+    }
+    return summaries;
+}
+
+/**
+ * 把计数写到每个对象上 (reactions, reactionCount, likeCount, myReaction, likedByMe)
+ * @param {Array<{id: string}>} items
+ */
+export async function attachReactionSummaries(db, targetType, items, userId = null) {
+    if (!items.length) return items;
+    const summaries = await getReactionSummaries(db, targetType, items.map(item => item.id), userId);
+    items.forEach(item => Object.assign(item, summaries.get(item.id) || emptySummary()));
+    return items;
+}
+
+/**
+ * 切换回应: 没有 -> 添加; 相同 -> 取消; 不同 -> 替换
+ * @returns {Promise<string|null>} 当前用户在该目标上的回应
+ */
+export async function toggleReaction(db, { targetType, targetId, ratingId, userId, reaction }) {
+    const existing = await db.prepare('SELECT reaction FROM reactions WHERE targetType = ? AND targetId = ? AND userId = ?')
+        .bind(targetType, targetId, userId).first();
+    if (existing?.reaction === reaction) {
+        await db.prepare('DELETE FROM reactions WHERE targetType = ? AND targetId = ? AND userId = ?').bind(targetType, targetId, userId).run();
+        return null;
+    }
+    await db.prepare(`
+        INSERT INTO reactions (targetType, targetId, userId, reaction, ratingId, createdAt) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(targetType, targetId, userId) DO UPDATE SET reaction = excluded.reaction, createdAt = excluded.createdAt
+    `).bind(targetType, targetId, userId, reaction, ratingId, new Date().toISOString()).run();
+    return reaction;
+}
@@ -0,0 +1,289 @@
+// Utility functions for user reports and the admin moderation queue.
+// A signed-in user reports a comment or a rating with a reason category (`content_reports`, one row per reporter
+// and target; reporting again updates the reason). Admins see open reports grouped by target and resolve a target
+// once: every open report on it is closed and the decision is recorded in `report_resolutions`.
+// Resolution actions reuse the existing moderation tools: soft delete (comments), the trash (ratings),
+// mutes (mutes.js) and private visibility (visibility.js).
+
+import { recordAuditEntry, snapshotRating } from './audit.js';
+import { getMutesForUser, muteUser, parseMuteOptions } from './mutes.js';
+import { moveRatingToTrash } from './trash.js';
+import { canViewRating, getRatingVisibility, setRatingVisibility, VISIBILITY } from './visibility.js';
+
+export const REPORT_TARGETS = ['comment', 'rating'];
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'sexual', 'misinformation', 'other'];
+export const RESOLUTION_ACTIONS = ['dismiss', 'delete_content', 'mute_author', 'hide_rating'];
+export const MAX_REPORT_DETAILS_LENGTH = 500;
+export const MAX_QUEUE_SIZE = 100;
+
+let reportTablesEnsured = false;
+
+export async function ensureReportTables(db) {
+    if (reportTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS content_reports (
+        id TEXT PRIMARY KEY,
+        targetType TEXT NOT NULL,
+        targetId TEXT NOT NULL,
+        ratingId TEXT NOT NULL,
+        targetUserId TEXT,
+        reporterId TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        details TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolutionId TEXT,
+        createdAt TEXT NOT NULL,
+        UNIQUE (targetType, targetId, reporterId)
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_content_reports_status ON content_reports(status, createdAt)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_content_reports_ratingId ON content_reports(ratingId)').run();
+    await db.prepare(`CREATE TABLE IF NOT EXISTS report_resolutions (
+        id TEXT PRIMARY KEY,
+        targetType TEXT NOT NULL,
+        targetId TEXT NOT NULL,
+        ratingId TEXT NOT NULL,
+        targetUserId TEXT,
+        action TEXT NOT NULL,
+        note TEXT,
+        data TEXT,
+        reportCount INTEGER NOT NULL DEFAULT 0,
+        resolvedBy TEXT NOT NULL,
+        resolvedAt TEXT NOT NULL
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_report_resolutions_resolvedAt ON report_resolutions(resolvedAt)').run();
+    reportTablesEnsured = true;
+}
+
+/**
+ * 读取被举报的对象; 评论须未删除, 评分须当前用户可见
+ * @returns {Promise<{targetType, targetId, ratingId, targetUserId, rating}|null>}
+ */
+export async function loadReportTarget(db, targetType, targetId, userInfo) {
+    let ratingId;
+    let targetUserId;
+    if (targetType === 'comment') {
+        const comment = await db.prepare('SELECT id, ratingId, userId FROM comments WHERE id = ? AND isDeleted = 0').bind(targetId).first();
+        if (!comment) return null;
+        ratingId = comment.ratingId;
+        targetUserId = comment.userId;
+    } else {
+        ratingId = targetId;
+    }
+    const rating = await db.prepare('SELECT * FROM ratings WHERE id = ?').bind(ratingId).first();
+    if (!rating || !canViewRating(rating, await getRatingVisibility(db, ratingId), userInfo)) return null;
+    return { targetType, targetId, ratingId, targetUserId: targetType === 'rating' ? rating.userId : targetUserId, rating };
+}
+
+/**
+ * @param {{reason: string, details?: string}} payload
+ * @returns {{reason: string, details: string|null}}
+ */
+export function parseReportInput(payload) {
+    if (!REPORT_REASONS.includes(payload.reason)) throw new Error(`Invalid reason, expected one of: ${REPORT_REASONS.join(', ')}.`);
+    let details = null;
+    if (payload.details !== undefined && payload.details !== null) {
+        if (typeof payload.details !== 'string') throw new Error('Invalid details.');
+        details = payload.details.trim() || null;
+        if (details && details.length > MAX_REPORT_DETAILS_LENGTH) throw new Error(`Invalid details, maximum length is ${MAX_REPORT_DETAILS_LENGTH} characters.`);
+    }
+    return { reason: payload.reason, details };
+}
+
+/**
+ * 同一个人对同一对象只保留一条举报; 已处理过的举报再次提交会重新打开
+ */
+export async function submitReport(db, target, reporterId, { reason, details }) {
+    const createdAt = new Date().toISOString();
+    await db.prepare(`
+        INSERT INTO content_reports (id, targetType, targetId, ratingId, targetUserId, reporterId, reason, details, status, resolutionId, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'open', NULL, ?)
+        ON CONFLICT(targetType, targetId, reporterId) DO UPDATE SET
+            reason = excluded.reason, details = excluded.details, status = 'open', resolutionId = NULL, createdAt = excluded.createdAt
+    `).bind(crypto.randomUUID(), target.targetType, target.targetId, target.ratingId, target.targetUserId ?? null, reporterId, reason, details, createdAt).run();
+    return { targetType: target.targetType, targetId: target.targetId, reason, details, status: 'open', createdAt };
+}
+
+/**
+ * 待处理队列: 按对象分组, 最近被举报的在前。reason 筛选 "至少有一条该原因的举报" 的对象
+ */
+export async function listOpenReports(db, { targetType = null, reason = null, limit = MAX_QUEUE_SIZE } = {}) {
+    const clauses = ["rp.status = 'open'"];
+    const bindings = [];
+    if (targetType) {
+        clauses.push('rp.targetType = ?');
+        bindings.push(targetType);
+    }
+    if (reason) {
+        clauses.push(`EXISTS (SELECT 1 FROM content_reports x WHERE x.targetType = rp.targetType AND x.targetId = rp.targetId AND x.status = 'open' AND x.reason = ?)`);
+        bindings.push(reason);
+    }
+    const { results: groups } = await db.prepare(`
+        SELECT rp.targetType, rp.targetId, rp.ratingId, rp.targetUserId,
+               COUNT(*) AS reportCount, MIN(rp.createdAt) AS firstReportedAt, MAX(rp.createdAt) AS lastReportedAt,
+               u.nickname AS authorNickname, r.title AS ratingTitle,
+               CASE WHEN rp.targetType = 'comment' THEN (SELECT c.content FROM comments c WHERE c.id = rp.targetId) END AS commentContent
+        FROM content_reports rp
+        LEFT JOIN users u ON u.userId = rp.targetUserId
+        LEFT JOIN ratings r ON r.id = rp.ratingId
+        WHERE ${clauses.join(' AND ')}
+        GROUP BY rp.targetType, rp.targetId
+        ORDER BY lastReportedAt DESC
+        LIMIT ?
+    `).bind(...bindings, limit).all();
+    const items = (groups || []).map(group => ({ ...group, reasons: {}, reports: [] }));
+    if (items.length === 0) return items;
+
+    const byTarget = new Map(items.map(item => [`${item.targetType}:${item.targetId}`, item]));
+    // 分组最多 MAX_QUEUE_SIZE 个, 按 ratingId 取回明细, 避免超过绑定参数上限
+    const ratingIds = [...new Set(items.map(item => item.ratingId))];
+    for (let i = 0; i < ratingIds.length; i += 90) {
+        const chunk = ratingIds.slice(i, i + 90);
+        const { results } = await db.prepare(`
+            SELECT rp.id, rp.targetType, rp.targetId, rp.reason, rp.details, rp.createdAt, u.nickname AS reporterNickname
+            FROM content_reports rp
+            LEFT JOIN users u ON u.userId = rp.reporterId
+            WHERE rp.status = 'open' AND rp.ratingId IN (${chunk.map(() => '?').join(', ')})
+            ORDER BY rp.createdAt ASC
+        `).bind(...chunk).all();
+        (results || []).forEach(row => {
+            const item = byTarget.get(`${row.targetType}:${row.targetId}`);
+            if (!item) return;
+            item.reasons[row.reason] = (item.reasons[row.reason] || 0) + 1;
+            item.reports.push({ id: row.id, reason: row.reason, details: row.details, reporterNickname: row.reporterNickname, createdAt: row.createdAt });
+        });
+    }
+    return items;
+}
+
+export async function listResolutions(db, { targetType = null, action = null, limit = MAX_QUEUE_SIZE } = {}) {
+    const clauses = [];
+    const bindings = [];
+    if (targetType) {
+        clauses.push('rs.targetType = ?');
+        bindings.push(targetType);
+    }
+    if (action) {
+        clauses.push('rs.action = ?');
+        bindings.push(action);
+    }
+    const { results } = await db.prepare(`
+        SELECT rs.*, u.nickname AS resolvedByNickname, a.nickname AS authorNickname, r.title AS ratingTitle
+        FROM report_resolutions rs
+        LEFT JOIN users u ON u.userId = rs.resolvedBy
+        LEFT JOIN users a ON a.userId = rs.targetUserId
+        LEFT JOIN ratings r ON r.id = rs.ratingId
+        ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+        ORDER BY rs.resolvedAt DESC
+        LIMIT ?
+    `).bind(...bindings, limit).all();
+    return (results || []).map(row => {
+        let data = {};
+        if (row.data) {
+            try { data = JSON.parse(row.data) || {}; } catch (e) { data = {}; }
+        }
+        return { ...row, data };
+    });
+}
+
+/**
+ * 执行处理动作并记录。评论已被删除时不能再 delete_content, 评分进了回收站时只能 dismiss / mute_author。
+ * @param {{resolution: string, note?: string, mute?: object}} payload - mute: 与 PUT /api/comments 相同的 scope / durationHours / reason
+ * @param {Request} [request] - 审计日志记录 IP 用 (禁言和删除别人的评分会写入审计日志, 见 audit.js)
+ * @returns {Promise<object>} 写入的 report_resolutions 行
+ */
+export async function resolveReports(env, { targetType, targetId }, payload, admin, request = null) {
+    const db = env.DB;
+    const action = payload.resolution;
+    if (!RESOLUTION_ACTIONS.includes(action)) throw new Error(`Invalid resolution, expected one of: ${RESOLUTION_ACTIONS.join(', ')}.`);
+    const note = typeof payload.note === 'string' ? payload.note.trim().slice(0, MAX_REPORT_DETAILS_LENGTH) || null : null;
+
+    const openReports = await db.prepare(`
+        SELECT id, ratingId, targetUserId, reason FROM content_reports
+        WHERE targetType = ? AND targetId = ? AND status = 'open'
+    `).bind(targetType, targetId).all();
+    const reports = openReports.results || [];
+    if (reports.length === 0) throw new Error('Open report not found for this target.');
+    const { ratingId, targetUserId } = reports[0];
+
+    const resolvedAt = new Date().toISOString();
+    const data = {};
+    if (action === 'delete_content') {
+        const target = await loadReportTarget(db, targetType, targetId, admin);
+        if (!target) throw new Error('Reported content not found.');
+        if (targetType === 'comment') {
+            // 与 DELETE /api/comments 相同的软删除
+            await db.batch([
+                db.prepare('UPDATE comments SET isDeleted = 1 WHERE id = ?').bind(targetId),
+                db.prepare(`
+                    INSERT INTO comment_deletions (commentId, ratingId, deletedBy, deletedAt) VALUES (?, ?, ?, ?)
+                    ON CONFLICT(commentId) DO UPDATE SET deletedBy = excluded.deletedBy, deletedAt = excluded.deletedAt
+                `).bind(targetId, ratingId, admin.sub, resolvedAt)
+            ]);
+        } else {
+            data.purgeAfter = await moveRatingToTrash(env, target.rating, admin);
+            if (target.rating.userId !== admin.sub) {
+                await recordAuditEntry(db, {
+                    actor: admin, action: 'rating.admin_delete', targetType: 'rating', targetId,
+                    before: snapshotRating(target.rating), after: { trashed: true, purgeAfter: data.purgeAfter }, request
+                });
+            }
+        }
+    } else if (action === 'mute_author') {
+        // 评论被作者删除后仍然可以禁言作者
+        if (!targetUserId) throw new Error('Invalid target: the reported content has no author to mute.');
+        // 默认: 全站, 永久; 没有填写原因时用处理备注, 再退回到最多的举报类别
+        const muteInput = payload.mute && typeof payload.mute === 'object' ? { ...payload.mute } : {};
+        if (muteInput.scope === 'rating' && !muteInput.ratingId) muteInput.ratingId = ratingId;
+        const options = parseMuteOptions(muteInput);
+        const before = await getMutesForUser(db, targetUserId);
+        const mute = await muteUser(db, { mutedUserId: targetUserId, ...options, reason: options.reason ?? note ?? mostCommonReason(reports), mutedBy: admin.sub });
+        await recordAuditEntry(db, {
+            actor: admin, action: 'comment.mute', targetType: 'user', targetId: targetUserId,
+            before, after: await getMutesForUser(db, targetUserId), request
+        });
+        data.mute = { scope: mute.scope, ratingId: mute.ratingId, reason: mute.reason, expiresAt: mute.expiresAt };
+    } else if (action === 'hide_rating') {
+        const rating = await db.prepare('SELECT * FROM ratings WHERE id = ?').bind(ratingId).first();
+        if (!rating) throw new Error('Reported rating not found.');
+        const previousVisibility = await getRatingVisibility(db, ratingId);
+        await setRatingVisibility(db, ratingId, VISIBILITY.PRIVATE, admin);
+        if (rating.userId !== admin.sub) {
+            await recordAuditEntry(db, {
+                actor: admin, action: 'rating.admin_edit', targetType: 'rating', targetId: ratingId,
+                before: { ...snapshotRating(rating), visibility: previousVisibility },
+                after: { ...snapshotRating(rating), visibility: VISIBILITY.PRIVATE }, request
+            });
+        }
+        data.visibility = VISIBILITY.PRIVATE;
+    }
+
+    const resolution = {
+        id: crypto.randomUUID(),
+        targetType,
+        targetId,
+        ratingId,
+        targetUserId: targetUserId ?? null,
+        action,
+        note,
+        data,
+        reportCount: reports.length,
+        resolvedBy: admin.sub,
+        resolvedAt
+    };
+    await db.batch([
+        db.prepare(`
+            INSERT INTO report_resolutions (id, targetType, targetId, ratingId, targetUserId, action, note, data, reportCount, resolvedBy, resolvedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(resolution.id, targetType, targetId, ratingId, resolution.targetUserId, action, note, JSON.stringify(data), reports.length, admin.sub, resolvedAt),
+        db.prepare(`
+            UPDATE content_reports SET status = ?, resolutionId = ?
+            WHERE targetType = ? AND targetId = ? AND status = 'open'
+        `).bind(action === 'dismiss' ? 'dismissed' : 'resolved', resolution.id, targetType, targetId)
+    ]);
+    return resolution;
+}
+
+function mostCommonReason(reports) {
+    const counts = new Map();
+    reports.forEach(report => counts.set(report.reason, (counts.get(report.reason) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
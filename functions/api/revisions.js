@@ -0,0 +1,156 @@
+// Utility functions for the append-only rating revision history.
+// PUT /api/ratings and the restore endpoint snapshot the row *before* they overwrite it,
+// so revision N holds the state that edit N replaced.
+
+let revisionTablesEnsured = false;
+
+// 快照中保存的 ratings 列 (与 ratings 表同名)
+const SNAPSHOT_COLUMNS = [
+    'title', 'cigarName', 'cigarSize', 'cigarOrigin', 'normalizedScore',
+    'finalGrade_grade', 'finalGrade_name_cn', 'imageUrl', 'cigarReview', 'fullData'
+];
+
+export async function ensureRevisionTables(db) {
+    if (revisionTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS rating_revisions (
+        id TEXT PRIMARY KEY,
+        ratingId TEXT NOT NULL,
+        revisionNumber INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        restoredFromRevisionId TEXT,
+        ratingOwnerId TEXT,
+        editorId TEXT NOT NULL,
+        editorNickname TEXT,
+        editorRole TEXT,
+        createdAt TEXT NOT NULL,
+        previousTimestamp TEXT,
+        title TEXT,
+        cigarName TEXT,
+        cigarSize TEXT,
+        cigarOrigin TEXT,
+        normalizedScore REAL,
+        finalGrade_grade TEXT,
+        finalGrade_name_cn TEXT,
+        imageUrl TEXT,
+        cigarReview TEXT,
+        fullData TEXT
+    )`).run();
+    await db.prepare('CREATE UNIQUE INDEX IF NOT EXISTS idx_rating_revisions_number ON rating_revisions(ratingId, revisionNumber)').run();
+    revisionTablesEnsured = true;
+}
+
+/**
+ * 生成一条 "把 ratings 当前行复制进 rating_revisions" 的语句, 不执行。
+ * 复制在 SQL 内完成, 调用方应与随后的 UPDATE 放进同一个 env.DB.batch, 保证两者一起成功或失败。
+ * @param {D1Database} db
+ * @param {string} ratingId
+ * @param {object} options - { editor: userInfo, action: 'update' | 'restore', restoredFromRevisionId }
+ */
+export function prepareRevisionSnapshot(db, ratingId, { editor, action = 'update', restoredFromRevisionId = null }) {
+    const editorNickname = editor.nickname || editor.name || editor.preferred_username || editor.email;
+    const columns = SNAPSHOT_COLUMNS.join(', ');
+    const sourceColumns = SNAPSHOT_COLUMNS.map(column => `r.${column}`).join(', ');
+    return db.prepare(`
+        INSERT INTO rating_revisions (id, ratingId, revisionNumber, action, restoredFromRevisionId, ratingOwnerId, editorId, editorNickname, editorRole, createdAt, previousTimestamp, ${columns})
+        SELECT ?, r.id,
+               (SELECT COALESCE(MAX(revisionNumber), 0) + 1 FROM rating_revisions WHERE ratingId = r.id),
+               ?, ?, r.userId, ?, ?, ?, ?, r.timestamp, ${sourceColumns}
+        FROM ratings r
+        WHERE r.id = ?
+    `).bind(
+        crypto.randomUUID(), action, restoredFromRevisionId, editor.sub, editorNickname ?? null,
+        editor.db_role ?? null, new Date().toISOString(), ratingId
+    );
+}
+
+function parseJson(value, fallback) {
+    if (value === null || value === undefined || value === '') return fallback;
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch (e) { return fallback; }
+}
+
+/**
+ * 把 ratings 行或 rating_revisions 行统一成可比较的结构
+ */
+export function toComparableSnapshot(row) {
+    const fullData = parseJson(row.fullData, {}) || {};
+    const imageUrls = parseJson(row.imageUrl, []);
+    return {
+        title: row.title ?? null,
+        cigarName: row.cigarName ?? null,
+        cigarSize: row.cigarSize ?? null,
+        cigarOrigin: row.cigarOrigin ?? null,
+        cigarReview: row.cigarReview ?? null,
+        normalizedScore: typeof row.normalizedScore === 'number' ? row.normalizedScore : null,
+        finalGrade: row.finalGrade_grade ?? null,
+        imageUrls: Array.isArray(imageUrls) ? imageUrls : [],
+        selectedFlavors: Array.isArray(fullData.selectedFlavors) ? fullData.selectedFlavors : [],
+        ratings: (fullData.ratings && typeof fullData.ratings === 'object') ? fullData.ratings : {},
+        config: (fullData.config && typeof fullData.config === 'object') ? fullData.config : null
+    };
+}
+
+// 在 config 中按 "类别-项目" key 查找评分项, 用于给差异附上可翻译的名称
+function findCriterion(config, ratingKey) {
+    for (const category of config?.ratingCriteria || []) {
+        for (const criterion of category?.criteriaList || []) {
+            if (`${category.categoryKey}-${criterion.nameKey}` === ratingKey) return criterion;
+        }
+    }
+    return null;
+}
+
+function diffList(before, after) {
+    const beforeSet = new Set(before);
+    const afterSet = new Set(after);
+    return {
+        added: after.filter(item => !beforeSet.has(item)),
+        removed: before.filter(item => !afterSet.has(item))
+    };
+}
+
+/**
+ * 逐字段比较两个快照, 只返回有变化的字段。
+ * 列表字段 (图片, 风味) 返回 added/removed; 评分项返回每个 "类别-项目" key 的选项下标变化,
+ * 并附上评分项与选项的 i18n key (nameKey / descriptionKey)。
+ * @returns {Array<{field: string, before?: any, after?: any, added?: Array, removed?: Array}>}
+ */
+export function diffSnapshots(beforeRow, afterRow) {
+    const before = toComparableSnapshot(beforeRow);
+    const after = toComparableSnapshot(afterRow);
+    const changes = [];
+
+    ['title', 'cigarName', 'cigarSize', 'cigarOrigin', 'cigarReview', 'normalizedScore', 'finalGrade'].forEach(field => {
+        if (before[field] !== after[field]) {
+            changes.push({ field, before: before[field], after: after[field] });
+        }
+    });
+
+    ['imageUrls', 'selectedFlavors'].forEach(field => {
+        const { added, removed } = diffList(before[field], after[field]);
+        // 仅顺序不同也算修改 (图片顺序决定封面)
+        if (added.length > 0 || removed.length > 0 || before[field].join('\n') !== after[field].join('\n')) {
+            changes.push({ field, added, removed, before: before[field], after: after[field] });
+        }
+    });
+
+    const ratingKeys = new Set([...Object.keys(before.ratings), ...Object.keys(after.ratings)]);
+    [...ratingKeys].sort().forEach(key => {
+        const beforeValue = before.ratings[key] ?? null;
+        const afterValue = after.ratings[key] ?? null;
+        if (String(beforeValue) !== String(afterValue)) {
+            const beforeCriterion = findCriterion(before.config, key);
+            const afterCriterion = findCriterion(after.config, key);
+            changes.push({
+                field: `ratings.${key}`,
+                before: beforeValue,
+                after: afterValue,
+                nameKey: afterCriterion?.nameKey ?? beforeCriterion?.nameKey ?? null,
+                beforeOptionKey: beforeValue === null ? null : (beforeCriterion?.options?.[beforeValue]?.descriptionKey ?? null),
+                afterOptionKey: afterValue === null ? null : (afterCriterion?.options?.[afterValue]?.descriptionKey ?? null)
+            });
+        }
+    });
+
+    return changes;
+}
@@ -0,0 +1,59 @@
+// ---------------------------------------------------
+// 文件: /functions/api/role-capabilities.js
+// 作用: 超级管理员查看和编辑角色与能力的对应关系 (见 permissions.js)
+// GET                              -> { roles, capabilities }
+// POST {role, capabilities}        -> 创建角色或替换它的能力
+// DELETE ?role=...                 -> 删除没有用户的自定义角色
+// 修改在一分钟内对所有 isolate 生效 (能力映射的缓存时间), 并写入审计日志 (见 audit.js)
+// ---------------------------------------------------
+
+import { recordAuditEntry } from './audit.js';
+import { validateSuperAdmin } from './auth.js';
+import { CAPABILITIES, deleteRole, getRoleCapabilities, listRoles, parseRoleCapabilities, roleExists, saveRoleCapabilities } from './permissions.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+export async function onRequest(context) {
+    const { request, env } = context;
+
+    try {
+        const userInfo = await validateSuperAdmin(request, env);
+
+        if (request.method === 'GET') {
+            return jsonResponse({ roles: await listRoles(env.DB), capabilities: CAPABILITIES });
+        }
+        if (request.method === 'POST') {
+            const body = await request.json().catch(() => ({}));
+            const input = parseRoleCapabilities(body);
+            const existed = await roleExists(env.DB, input.role);
+            const before = existed ? { role: input.role, capabilities: await getRoleCapabilities(env.DB, input.role) } : null;
+            const saved = await saveRoleCapabilities(env.DB, input, userInfo.sub);
+            await recordAuditEntry(env.DB, {
+                actor: userInfo, action: 'role.capabilities_save', targetType: 'role', targetId: saved.role,
+                before, after: { role: saved.role, capabilities: saved.capabilities }, request
+            });
+            console.log(`[role-capabilities] ${userInfo.sub} set ${saved.role}: ${saved.capabilities.join(', ') || '(none)'}`);
+            return jsonResponse({ success: true, ...saved });
+        }
+        if (request.method === 'DELETE') {
+            const role = new URL(request.url).searchParams.get('role');
+            if (!role) throw new Error('Missing role.');
+            const before = { role, capabilities: await getRoleCapabilities(env.DB, role) };
+            await deleteRole(env.DB, role);
+            await recordAuditEntry(env.DB, { actor: userInfo, action: 'role.delete', targetType: 'role', targetId: role, before, request });
+            console.log(`[role-capabilities] ${userInfo.sub} deleted role ${role}`);
+            return jsonResponse({ success: true, role });
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+    } catch (e) {
+        console.error('[role-capabilities API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Permission denied')) statusCode = 403;
+        else if (e.message.includes('not found')) statusCode = 404;
+        else if (e.message.includes('Missing') || e.message.includes('Invalid')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
@@ -0,0 +1,89 @@
+// Utility functions for computing rating scores on the server.
+// Mirrors calculateWeights/calculateFinalScore in rate.html and the GRADING_SCALE used by the pages.
+
+export const GRADING_SCALE = [
+    { grade: 'P', nameKey: 'resultsPage.grade.P', name_cn: '顶峰 / 登峰造极', min_score: 95, color: 'gold' },
+    { grade: 'I', nameKey: 'resultsPage.grade.I', name_cn: '无暇 / 完美无瑕', min_score: 90, color: 'indigo' },
+    { grade: 'S', nameKey: 'resultsPage.grade.S', name_cn: '卓越 / 出众', min_score: 80, color: 'purple' },
+    { grade: 'T', nameKey: 'resultsPage.grade.T', name_cn: '极好 / 绝佳', min_score: 70, color: 'blue' },
+    { grade: 'A', nameKey: 'resultsPage.grade.A', name_cn: '可圈可点 / 值得欣赏', min_score: 60, color: 'green' },
+    { grade: 'C', nameKey: 'resultsPage.grade.C', name_cn: '平庸 / 普通', min_score: 50, color: 'gray' },
+    { grade: 'H', nameKey: 'resultsPage.grade.H', name_cn: '犹豫 / 瑕瑜互见', min_score: 30, color: 'orange' },
+    { grade: 'O', nameKey: 'resultsPage.grade.O', name_cn: '令人反感 / 极差', min_score: 0, color: 'red' }
+];
+
+// Floating point noise between browser and server is ignored below this difference
+export const SCORE_TOLERANCE = 0.01;
+
+export function getRatingKey(categoryKey, criterionKey) {
+    return `${categoryKey}-${criterionKey}`;
+}
+
+export function resolveGrade(normalizedScore) {
+    const found = GRADING_SCALE.find(g => normalizedScore >= g.min_score) || GRADING_SCALE[GRADING_SCALE.length - 1];
+    return { grade: found.grade, nameKey: found.nameKey, name_cn: found.name_cn, color: found.color };
+}
+
+function toNumber(value) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * Canonical string of the parts of a config that affect scoring.
+ * Labels, descriptions and the totals cached by calculateWeights are left out on purpose.
+ */
+export function fingerprintScoringConfig(config) {
+    const categories = Array.isArray(config?.ratingCriteria) ? config.ratingCriteria : [];
+    return JSON.stringify(categories.map(category => ({
+        k: category?.categoryKey ?? null,
+        c: (Array.isArray(category?.criteriaList) ? category.criteriaList : []).map(criterion => ({
+            k: criterion?.nameKey ?? null,
+            w: toNumber(criterion?.weight),
+            o: (Array.isArray(criterion?.options) ? criterion.options : []).map(option => toNumber(option?.scorePct))
+        }))
+    })));
+}
+
+/**
+ * Recomputes calculatedScore, normalizedScore and finalGrade from a config and the
+ * `ratings` selection map ({ "categoryKey-criterionKey": optionIndex }).
+ * Selections for criteria that are no longer in the config are ignored, as in the browser.
+ * Throws when a selection does not point at an existing option.
+ */
+export function computeRatingScore(config, selections) {
+    if (!config || !Array.isArray(config.ratingCriteria)) {
+        throw new Error('Scoring config is missing ratingCriteria.');
+    }
+    if (!selections || typeof selections !== 'object') {
+        throw new Error('Rating selections are missing.');
+    }
+
+    let calculatedScore = 0;
+    let totalWeightMax = 0;
+
+    config.ratingCriteria.forEach(category => {
+        (category?.criteriaList || []).forEach(criterion => {
+            const key = getRatingKey(category.categoryKey, criterion.nameKey);
+            const weight = toNumber(criterion.weight);
+            totalWeightMax += weight;
+
+            const rawSelection = selections[key];
+            if (rawSelection === undefined || rawSelection === null) return;
+            const optionIndex = Number(rawSelection);
+            const option = Number.isInteger(optionIndex) ? criterion.options?.[optionIndex] : undefined;
+            if (!option) {
+                throw new Error(`Invalid selection for criterion "${key}".`);
+            }
+            calculatedScore += weight * toNumber(option.scorePct);
+        });
+    });
+
+    const normalizedScore = totalWeightMax > 0 ? (calculatedScore / totalWeightMax) * 100 : 0;
+    return {
+        calculatedScore,
+        normalizedScore,
+        totalWeightMax,
+        finalGrade: resolveGrade(normalizedScore)
+    };
+}
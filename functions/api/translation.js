@@ -88,6 +88,25 @@ export async function buildTranslationMap(env, text, sourceLanguage) {
     return translationMap;
 }
 
+/**
+ * Translate a single text into one language, for content that is translated on demand (comments).
+ * Returns null when Baidu is not configured or the request fails, so callers can keep showing the original.
+ */
+export async function translateText(env, text, targetLanguage, sourceLanguage = 'auto') {
+    const target = normalizeLanguageTag(targetLanguage, null);
+    if (!target || typeof text !== 'string' || !text.trim() || !hasBaiduConfig(env)) {
+        return null;
+    }
+    const normalizedSource = normalizeLanguageTag(sourceLanguage, 'auto');
+    const from = normalizedSource === 'auto' ? 'auto' : BAIDU_LANGUAGE_MAP[normalizedSource];
+    try {
+        return await translateTextWithBaidu(env, text.trim(), from, BAIDU_LANGUAGE_MAP[target]);
+    } catch (error) {
+        console.warn('[translation] Failed to translate text', { text: text.substring(0, 100), from, to: target, error: error.message });
+        return null;
+    }
+}
+
 async function translateTextWithBaidu(env, text, from, to) {
     if (!text || from === to) {
         return text;
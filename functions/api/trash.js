@@ -0,0 +1,156 @@
+// Utility functions for the ratings trash (soft delete).
+// A deleted rating is moved out of `ratings` into `rating_trash` as a JSON copy of the row,
+// so every existing query on `ratings` (lists, ?id= lookups, pin, certify, comments joins) stops seeing it.
+// Images, comments, revisions, catalog links, visibility settings, reactions, notifications, rating-scoped mutes and reports
+// are only removed when the trash entry is purged (moderation decisions in `report_resolutions` are kept).
+
+export const TRASH_RETENTION_DAYS = 30;
+// 回收站列表和删除评分时顺带清理过期记录, 每个 isolate 最多每 10 分钟一次, 每次最多 20 条
+const OPPORTUNISTIC_PURGE_INTERVAL_MS = 10 * 60 * 1000;
+const OPPORTUNISTIC_PURGE_LIMIT = 20;
+let lastOpportunisticPurgeAt = 0;
+
+let trashTablesEnsured = false;
+
+export async function ensureTrashTables(db) {
+    if (trashTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS rating_trash (
+        ratingId TEXT PRIMARY KEY,
+        userId TEXT,
+        title TEXT,
+        cigarName TEXT,
+        normalizedScore REAL,
+        finalGrade_grade TEXT,
+        imageUrl TEXT,
+        rowData TEXT NOT NULL,
+        deletedAt TEXT NOT NULL,
+        deletedBy TEXT,
+        deletedByRole TEXT,
+        purgeAfter TEXT NOT NULL
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_rating_trash_userId ON rating_trash(userId)').run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_rating_trash_purgeAfter ON rating_trash(purgeAfter)').run();
+    trashTablesEnsured = true;
+}
+
+/**
+ * 把 ratings 行移入回收站 (INSERT + DELETE 在同一个 batch 中)
+ * @param {object} env
+ * @param {object} ratingRow - SELECT * FROM ratings 的完整行
+ * @param {object} deletedBy - userInfo (含 db_role)
+ * @returns {Promise<string>} purgeAfter (ISO)
+ */
+export async function moveRatingToTrash(env, ratingRow, deletedBy) {
+    await ensureTrashTables(env.DB);
+    const now = new Date();
+    const purgeAfter = new Date(now.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await env.DB.batch([
+        env.DB.prepare(`
+            INSERT OR REPLACE INTO rating_trash (ratingId, userId, title, cigarName, normalizedScore, finalGrade_grade, imageUrl, rowData, deletedAt, deletedBy, deletedByRole, purgeAfter)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            ratingRow.id, ratingRow.userId ?? null, ratingRow.title ?? null, ratingRow.cigarName ?? null, ratingRow.normalizedScore ?? null,
+            ratingRow.finalGrade_grade ?? null, ratingRow.imageUrl ?? null, JSON.stringify(ratingRow), now.toISOString(),
+            deletedBy?.sub ?? null, deletedBy?.db_role ?? null, purgeAfter
+        ),
+        env.DB.prepare('DELETE FROM ratings WHERE id = ?').bind(ratingRow.id)
+    ]);
+    return purgeAfter;
+}
+
+/**
+ * 把回收站中的行原样写回 ratings。列名取自保存的行, 因此之后 ratings 新增的列会使用默认值。
+ */
+export async function restoreRatingFromTrash(env, trashRow) {
+    const row = JSON.parse(trashRow.rowData);
+    const columns = Object.keys(row);
+    if (!columns.includes('id')) throw new Error('Trash entry is corrupted: missing id.');
+    const placeholders = columns.map(() => '?').join(', ');
+    await env.DB.batch([
+        env.DB.prepare(`INSERT INTO ratings (${columns.join(', ')}) VALUES (${placeholders})`).bind(...columns.map(column => row[column] ?? null)),
+        env.DB.prepare('DELETE FROM rating_trash WHERE ratingId = ?').bind(trashRow.ratingId)
+    ]);
+    return row;
+}
+
+function parseKeyList(value) {
+    if (!value) return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed.filter(key => typeof key === 'string' && key) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+async function tableExists(db, name) {
+    const row = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").bind(name).first();
+    return !!row;
+}
+
+/**
+ * 彻底删除一条回收站记录: R2 图片 (含旧版本引用过的图片), 评论, 已读记录, 修订记录, 目录关联, 以及回收站行本身。
+ * R2 删除失败只记录日志, 不阻止 D1 清理。
+ */
+export async function purgeTrashedRating(env, trashRow) {
+    const ratingId = trashRow.ratingId;
+    const imageKeys = new Set(parseKeyList(trashRow.imageUrl));
+    const hasRevisions = await tableExists(env.DB, 'rating_revisions');
+    if (hasRevisions) {
+        const { results } = await env.DB.prepare('SELECT imageUrl FROM rating_revisions WHERE ratingId = ?').bind(ratingId).all();
+        (results || []).forEach(row => parseKeyList(row.imageUrl).forEach(key => imageKeys.add(key)));
+    }
+
+    if (imageKeys.size > 0 && env.PISTACHO_BUCKET) {
+        const keys = [...imageKeys];
+        const results = await Promise.allSettled(keys.map(key => env.PISTACHO_BUCKET.delete(key)));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') console.error(`[trash] Failed to delete R2 object ${keys[index]}:`, result.reason);
+        });
+    }
+
+    const statements = [env.DB.prepare('DELETE FROM rating_trash WHERE ratingId = ?').bind(ratingId)];
+    for (const table of ['comments', 'comment_edits', 'comment_deletions', 'comment_translations', 'comment_mentions', 'comment_reads', 'rating_revisions', 'rating_cigar_links', 'rating_visibility', 'reactions', 'notifications', 'comment_mute_entries', 'content_reports']) {
+        if (table === 'rating_revisions' ? hasRevisions : await tableExists(env.DB, table)) {
+            statements.push(env.DB.prepare(`DELETE FROM ${table} WHERE ratingId = ?`).bind(ratingId));
+        }
+    }
+    await env.DB.batch(statements);
+    console.log(`[trash] Purged rating ${ratingId} (${imageKeys.size} image(s)).`);
+}
+
+/**
+ * 清理所有超过保留期的回收站记录, 由定时任务调用
+ * @returns {Promise<string[]>} 被清理的 ratingId
+ */
+export async function purgeExpiredRatings(env, { limit = 100 } = {}) {
+    await ensureTrashTables(env.DB);
+    const { results } = await env.DB.prepare('SELECT ratingId, imageUrl FROM rating_trash WHERE purgeAfter <= ? ORDER BY purgeAfter ASC LIMIT ?')
+        .bind(new Date().toISOString(), limit).all();
+    const purged = [];
+    for (const row of results || []) {
+        try {
+            await purgeTrashedRating(env, row);
+            purged.push(row.ratingId);
+        } catch (e) {
+            console.error(`[trash] Failed to purge rating ${row.ratingId}:`, e.message);
+        }
+    }
+    return purged;
+}
+
+/**
+ * 在请求结束后清理一小批过期记录 (context.waitUntil), 这样即使没有配置外部定时任务, 过期的回收站也会被清空。
+ * 失败只记录日志, 不影响当前请求。
+ */
+export function schedulePurgeExpiredRatings(context) {
+    const now = Date.now();
+    if (now - lastOpportunisticPurgeAt < OPPORTUNISTIC_PURGE_INTERVAL_MS) return;
+    lastOpportunisticPurgeAt = now;
+    const task = purgeExpiredRatings(context.env, { limit: OPPORTUNISTIC_PURGE_LIMIT })
+        .then(purged => {
+            if (purged.length > 0) console.log(`[trash] Opportunistic purge removed ${purged.length} expired rating(s).`);
+        })
+        .catch(e => console.error('[trash] Opportunistic purge failed:', e.message));
+    if (typeof context.waitUntil === 'function') context.waitUntil(task);
+}
@@ -0,0 +1,75 @@
+// ---------------------------------------------------
+// 文件: /functions/api/user-notifications.js
+// 作用: 站内通知中心 —— 列出通知与未读数(GET), 标记已读 / 全部已读(POST action)
+// 通知由各个接口在事件发生时写入, 见 notifications.js
+// ---------------------------------------------------
+
+import { validateToken } from './auth.js';
+import {
+    countUnreadNotifications,
+    ensureNotificationTables,
+    listNotifications,
+    markAllNotificationsRead,
+    markNotificationsRead,
+    parseNotificationPageSize
+} from './notifications.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// GET ?countOnly=true 只返回未读数 (导航栏轮询用); 否则返回一页通知, 可选 unread=true / limit / cursor
+async function handleListNotifications(env, request, url) {
+    const userInfo = await validateToken(request, env);
+    const unreadCount = await countUnreadNotifications(env.DB, userInfo.sub);
+    if (url.searchParams.get('countOnly') === 'true') {
+        return jsonResponse({ unreadCount });
+    }
+    const page = await listNotifications(env.DB, userInfo.sub, {
+        limit: parseNotificationPageSize(url.searchParams.get('limit')),
+        cursor: url.searchParams.get('cursor') || null,
+        unreadOnly: url.searchParams.get('unread') === 'true'
+    });
+    return jsonResponse({ ...page, unreadCount });
+}
+
+async function handleNotificationAction(env, request) {
+    const userInfo = await validateToken(request, env);
+    const body = await request.json().catch(() => ({}));
+    const action = body?.action;
+
+    if (action === 'markRead') {
+        if (!Array.isArray(body.ids) || body.ids.length === 0) throw new Error('Missing ids.');
+        const marked = await markNotificationsRead(env.DB, userInfo.sub, body.ids);
+        return jsonResponse({ success: true, marked, unreadCount: await countUnreadNotifications(env.DB, userInfo.sub) });
+    }
+
+    if (action === 'markAllRead') {
+        const marked = await markAllNotificationsRead(env.DB, userInfo.sub);
+        return jsonResponse({ success: true, marked, unreadCount: 0 });
+    }
+
+    return jsonResponse({ error: 'Unsupported action.' }, 400);
+}
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    try {
+        await ensureNotificationTables(env.DB);
+        if (request.method === 'GET') {
+            return await handleListNotifications(env, request, url);
+        }
+        if (request.method === 'POST') {
+            return await handleNotificationAction(env, request);
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+    } catch (e) {
+        console.error('[user-notifications API] Error:', e.message, e);
+        let statusCode = 500;
+        if (e.message.includes('token')) statusCode = 401;
+        else if (e.message.includes('Missing') || e.message.includes('Invalid')) statusCode = 400;
+        return jsonResponse({ error: e.message || 'Unknown error.' }, statusCode);
+    }
+}
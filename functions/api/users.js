@@ -1,44 +1,19 @@
 // ---------------------------------------------------
 // 文件: /functions/api/users.js
-// 作用: 查询和更新用户的角色，仅限超级管理员访问
+// 作用: 用户目录 (搜索、筛选、分页, 见 directory.js) 和更新用户的角色，仅限超级管理员访问
+// 角色变更后通知该用户 (见 notifications.js) 并写入审计日志 (见 audit.js); 可选的角色来自 role_capabilities (见 permissions.js)
 // ---------------------------------------------------
 
-/**
- * **FIXED**: Validates Authing Token AND checks D1 database for super_admin role.
- * @param {Request} request
- * @param {object} env
- * @returns {Promise<object>} - User info if authorized
- */
-async function validateSuperAdmin(request, env) {
-    const authHeader = request.headers.get('Authorization') || '';
-    const token = authHeader.replace('Bearer ', '');
-    if (!token) throw new Error("Missing authorization token.");
-
-    // 1. Validate token with Authing
-    const userInfoUrl = new URL('/oidc/me', env.AUTHING_ISSUER);
-    const response = await fetch(userInfoUrl.toString(), {
-        headers: { 'Authorization': `Bearer ${token}` }
-    });
-    if (!response.ok) throw new Error('Invalid token.');
-    const userInfo = await response.json();
-
-    // 2. **CRITICAL FIX**: Check role in our D1 database
-    const callerId = userInfo.sub;
-    const stmt = env.DB.prepare("SELECT role FROM users WHERE userId = ?").bind(callerId);
-    const caller = await stmt.first();
-
-    // 3. Check if user exists in DB and has super_admin role
-    if (!caller || caller.role !== 'super_admin') {
-        throw new Error("Permission denied. Super admin role required.");
-    }
-
-    userInfo.db_role = caller.role;
-    return userInfo;
-}
+import { ensureAuditTables, prepareAuditEntry } from './audit.js';
+import { forgetCachedUser, validateSuperAdmin } from './auth.js';
+import { listDirectory, parseDirectoryQuery } from './directory.js';
+import { notifyUsers } from './notifications.js';
+import { roleExists } from './permissions.js';
 
 /**
  * 处理 API 请求
- * GET /api/users?email=...  -> 查询用户
+ * GET /api/users?email=...  -> 按邮箱精确查询一个用户
+ * GET /api/users?q=&role=&sort=newest|oldest|active&limit=&cursor=  -> 用户目录的一页 {users, nextCursor}
  * POST /api/users           -> 更新用户角色
  */
 export async function onRequest(context) {
@@ -46,14 +21,15 @@ export async function onRequest(context) {
 
     try {
         // **Security Core**: Validate caller is super_admin (using D1 role) before proceeding
-        await validateSuperAdmin(request, env);
+        const callerInfo = await validateSuperAdmin(request, env);
 
         if (request.method === 'GET') {
             // --- Handle user lookup request ---
             const url = new URL(request.url);
             const email = url.searchParams.get('email');
             if (!email) {
-                return new Response(JSON.stringify({ error: "Email parameter is required." }), { status: 400 });
+                const page = await listDirectory(env.DB, parseDirectoryQuery(url.searchParams));
+                return new Response(JSON.stringify(page), { headers: { 'Content-Type': 'application/json' } });
             }
 
             const stmt = env.DB.prepare("SELECT userId, email, role FROM users WHERE email = ?").bind(email);
@@ -70,18 +46,32 @@ export async function onRequest(context) {
             if (!userId || !newRole) {
                 return new Response(JSON.stringify({ error: "userId and newRole are required." }), { status: 400 });
             }
-            if (!['general', 'admin', 'super_admin'].includes(newRole)) {
+            if (typeof newRole !== 'string' || !(await roleExists(env.DB, newRole))) {
                 return new Response(JSON.stringify({ error: "Invalid role." }), { status: 400 });
             }
 
+            const previous = await env.DB.prepare("SELECT email, role FROM users WHERE userId = ?").bind(userId).first();
+            if (!previous) {
+                 return new Response(JSON.stringify({ error: `User with ID ${userId} not found.` }), { status: 404 });
+            }
             const stmt = env.DB.prepare(
                 "UPDATE users SET role = ? WHERE userId = ?"
             ).bind(newRole, userId);
-            const result = await stmt.run();
-            
-            // Check if the update actually affected any row
-            if (result.changes === 0) {
-                 return new Response(JSON.stringify({ error: `User with ID ${userId} not found.` }), { status: 404 });
+            await ensureAuditTables(env.DB);
+            await env.DB.batch([stmt, prepareAuditEntry(env.DB, {
+                actor: callerInfo,
+                action: 'user.role_change',
+                targetType: 'user',
+                targetId: userId,
+                before: { email: previous.email, role: previous.role },
+                after: { email: previous.email, role: newRole },
+                request
+            })]);
+            // 其他 isolate 中缓存的旧角色最多一分钟后过期 (见 auth.js)
+            forgetCachedUser(userId);
+
+            if (previous.role !== newRole) {
+                await notifyUsers(env.DB, [{ userId, type: 'role_changed', actor: callerInfo, data: { previousRole: previous.role, newRole } }]);
             }
 
             return new Response(JSON.stringify({ success: true, userId, newRole }), { status: 200 });
@@ -92,7 +82,7 @@ export async function onRequest(context) {
     } catch (e) {
         // Catch permission errors or DB errors
         return new Response(JSON.stringify({ error: e.message }), { 
-            status: e.message.includes("Permission denied") ? 403 : 500,
+            status: e.message.includes("Permission denied") ? 403 : (e.message.includes('Invalid sort') || e.message.includes('Invalid cursor')) ? 400 : 500,
             headers: { 'Content-Type': 'application/json' }
         });
     }
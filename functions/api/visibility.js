@@ -0,0 +1,140 @@
+// Utility functions for per-rating visibility.
+// public = listed in the community and viewable by anyone; unlisted = viewable by anyone with the link, never listed;
+// private = only the author and admins. Ratings without a row in `rating_visibility` are public.
+// Images of private ratings are only served with a short-lived signed query issued to the author / admins,
+// because <img> requests cannot carry the Authorization header.
+
+import { hasCapability } from './permissions.js';
+import { ensureTrashTables } from './trash.js';
+
+export const VISIBILITY = { PUBLIC: 'public', UNLISTED: 'unlisted', PRIVATE: 'private' };
+export const VISIBILITY_VALUES = Object.values(VISIBILITY);
+export const IMAGE_ACCESS_TTL_SECONDS = 6 * 60 * 60;
+
+const textEncoder = new TextEncoder();
+let visibilityTablesEnsured = false;
+
+export async function ensureVisibilityTables(db) {
+    if (visibilityTablesEnsured) return;
+    await db.prepare(`CREATE TABLE IF NOT EXISTS rating_visibility (
+        ratingId TEXT PRIMARY KEY,
+        visibility TEXT NOT NULL,
+        updatedAt TEXT NOT NULL,
+        updatedBy TEXT
+    )`).run();
+    await db.prepare('CREATE INDEX IF NOT EXISTS idx_rating_visibility_value ON rating_visibility(visibility)').run();
+    visibilityTablesEnsured = true;
+}
+
+/**
+ * 未传值时返回默认的 public; 传了无法识别的值返回 null, 由调用方报错
+ */
+export function normalizeVisibility(value) {
+    if (value === undefined || value === null || value === '') return VISIBILITY.PUBLIC;
+    const normalized = String(value).trim().toLowerCase();
+    return VISIBILITY_VALUES.includes(normalized) ? normalized : null;
+}
+
+// 列表 (社区 / 认证) 只显示公开评分; 作为 {sql, bindings} 子句与其他筛选条件组合, 表别名须为 r
+export const PUBLIC_LISTING_CLAUSE = {
+    sql: `NOT EXISTS (SELECT 1 FROM rating_visibility v WHERE v.ratingId = r.id AND v.visibility != 'public')`,
+    bindings: []
+};
+
+// SELECT 中附带可见性, 表别名须为 r
+export const VISIBILITY_SELECT_FIELD = `COALESCE((SELECT v.visibility FROM rating_visibility v WHERE v.ratingId = r.id), 'public') AS visibility`;
+
+export async function getRatingVisibility(db, ratingId) {
+    await ensureVisibilityTables(db);
+    const row = await db.prepare('SELECT visibility FROM rating_visibility WHERE ratingId = ?').bind(ratingId).first();
+    return row?.visibility || VISIBILITY.PUBLIC;
+}
+
+export function prepareVisibilityUpsert(db, ratingId, visibility, userInfo) {
+    return db.prepare(`
+        INSERT INTO rating_visibility (ratingId, visibility, updatedAt, updatedBy) VALUES (?, ?, ?, ?)
+        ON CONFLICT(ratingId) DO UPDATE SET visibility = excluded.visibility, updatedAt = excluded.updatedAt, updatedBy = excluded.updatedBy
+    `).bind(ratingId, visibility, new Date().toISOString(), userInfo?.sub ?? null);
+}
+
+export async function setRatingVisibility(db, ratingId, visibility, userInfo) {
+    await ensureVisibilityTables(db);
+    await prepareVisibilityUpsert(db, ratingId, visibility, userInfo).run();
+}
+
+/**
+ * 是否可以查看 (单条读取 / 评论): private 仅限作者与有 ratings.manage 能力的用户, 其余任何人可见
+ * @param {{userId: string}} rating
+ */
+export function canViewRating(rating, visibility, userInfo) {
+    if (visibility !== VISIBILITY.PRIVATE) return true;
+    if (!userInfo) return false;
+    return rating.userId === userInfo.sub || hasCapability(userInfo, 'ratings.manage');
+}
+
+function getImageAccessSecret(env) {
+    // 未单独配置时退回到 Authing 的 app secret (登录本身就依赖它, 一定存在)
+    return env.IMAGE_ACCESS_SECRET || env.AUTHING_APP_SECRET || null;
+}
+
+async function hmacHex(secret, message) {
+    const key = await crypto.subtle.importKey('raw', textEncoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, textEncoder.encode(message));
+    return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 为 private 评分的图片生成查询串 "rating=...&exp=...&sig=...", 页面拼在 /api/image/<key> 后面
+ * @returns {Promise<string|null>} 未配置密钥时返回 null
+ */
+export async function signImageAccess(env, ratingId, now = Date.now()) {
+    const secret = getImageAccessSecret(env);
+    if (!secret) {
+        console.error('[visibility] IMAGE_ACCESS_SECRET / AUTHING_APP_SECRET not set, cannot sign private image access.');
+        return null;
+    }
+    const expiresAt = Math.floor(now / 1000) + IMAGE_ACCESS_TTL_SECONDS;
+    const sig = await hmacHex(secret, `${ratingId}:${expiresAt}`);
+    return new URLSearchParams({ rating: ratingId, exp: String(expiresAt), sig }).toString();
+}
+
+async function verifyImageAccess(env, searchParams, ratingIds, now = Date.now()) {
+    const secret = getImageAccessSecret(env);
+    const ratingId = searchParams.get('rating');
+    const expiresAt = Number(searchParams.get('exp'));
+    const sig = searchParams.get('sig') || '';
+    if (!secret || !ratingId || !ratingIds.includes(ratingId) || !Number.isInteger(expiresAt)) return false;
+    if (expiresAt * 1000 < now) return false;
+    const expected = await hmacHex(secret, `${ratingId}:${expiresAt}`);
+    if (expected.length !== sig.length) return false;
+    let diff = 0;
+    for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ sig.charCodeAt(i);
+    return diff === 0;
+}
+
+/**
+ * 图片所属的 private 评分 (包括回收站中的), 没有则返回 []
+ */
+async function findPrivateRatingsForImage(db, key) {
+    await ensureVisibilityTables(db);
+    await ensureTrashTables(db);
+    const pattern = `%${JSON.stringify(String(key)).replace(/[\\%_]/g, '\\$&')}%`;
+    const { results } = await db.prepare(`
+        SELECT v.ratingId
+        FROM rating_visibility v
+        LEFT JOIN ratings r ON r.id = v.ratingId
+        LEFT JOIN rating_trash t ON t.ratingId = v.ratingId
+        WHERE v.visibility = 'private'
+          AND (r.imageUrl LIKE ? ESCAPE '\\' OR t.imageUrl LIKE ? ESCAPE '\\')
+    `).bind(pattern, pattern).all();
+    return (results || []).map(row => row.ratingId);
+}
+
+/**
+ * /api/image/<key> 调用: 返回 { allowed, isPrivate }
+ */
+export async function checkImageAccess(env, key, searchParams) {
+    const privateRatingIds = await findPrivateRatingsForImage(env.DB, key);
+    if (privateRatingIds.length === 0) return { allowed: true, isPrivate: false };
+    return { allowed: await verifyImageAccess(env, searchParams, privateRatingIds), isPrivate: true };
+}
@@ -0,0 +1,149 @@
+// Utility functions for writing ZIP archives in a Worker without dependencies.
+// Entries are encoded one by one as the stream is read, so large exports (many R2 images)
+// never have to sit in memory at the same time. No ZIP64: archives must stay under 4 GB / 65535 entries.
+
+const textEncoder = new TextEncoder();
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS 时间格式, 精度 2 秒, 1980 年之前的时间按 1980 处理
+function toDosDateTime(date) {
+    const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+    const year = Math.max(d.getUTCFullYear(), 1980);
+    return {
+        time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | Math.floor(d.getUTCSeconds() / 2),
+        date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate()
+    };
+}
+
+async function deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return textEncoder.encode(typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+}
+
+/**
+ * 编码单个条目, 返回本地文件头 + 数据, 以及写中央目录需要的信息
+ * @param {{name: string, data: Uint8Array|ArrayBuffer|string, modified?: Date, compress?: boolean}} entry
+ */
+async function encodeEntry(entry, offset) {
+    const nameBytes = textEncoder.encode(entry.name);
+    const raw = toBytes(entry.data);
+    let method = 0;
+    let payload = raw;
+    // 图片本身已经压缩过, 调用方传 compress: false 跳过
+    if (entry.compress !== false && raw.length > 0) {
+        try {
+            const deflated = await deflateRaw(raw);
+            if (deflated.length < raw.length) {
+                method = 8;
+                payload = deflated;
+            }
+        } catch (e) {
+            console.warn(`[zip] deflate-raw unavailable, storing ${entry.name} uncompressed:`, e.message);
+        }
+    }
+    const { time, date } = toDosDateTime(entry.modified);
+    const meta = { nameBytes, method, time, date, crc: crc32(raw), compressedSize: payload.length, size: raw.length, offset };
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 0x0800, true); // 文件名为 UTF-8
+    header.setUint16(8, method, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, meta.crc, true);
+    header.setUint32(18, meta.compressedSize, true);
+    header.setUint32(22, meta.size, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+    return { chunks: [new Uint8Array(header.buffer), nameBytes, payload], meta, length: 30 + nameBytes.length + payload.length };
+}
+
+function encodeCentralDirectory(entries, offset) {
+    const chunks = [];
+    let size = 0;
+    entries.forEach(meta => {
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, meta.method, true);
+        header.setUint16(12, meta.time, true);
+        header.setUint16(14, meta.date, true);
+        header.setUint32(16, meta.crc, true);
+        header.setUint32(20, meta.compressedSize, true);
+        header.setUint32(24, meta.size, true);
+        header.setUint16(28, meta.nameBytes.length, true);
+        // extra / comment / disk / 属性 均为 0
+        header.setUint32(42, meta.offset, true);
+        chunks.push(new Uint8Array(header.buffer), meta.nameBytes);
+        size += 46 + meta.nameBytes.length;
+    });
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, offset, true);
+    chunks.push(new Uint8Array(end.buffer));
+    return chunks;
+}
+
+/**
+ * 把 (异步) 可迭代的条目写成 ZIP 字节流。条目在流被读取时才会生成, 可以用 async generator 按需从 R2 读取文件。
+ * @param {AsyncIterable|Iterable} entries - {name, data, modified?, compress?}
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createZipStream(entries) {
+    const iterator = entries[Symbol.asyncIterator] ? entries[Symbol.asyncIterator]() : entries[Symbol.iterator]();
+    const written = [];
+    const names = new Set();
+    let offset = 0;
+
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                const { value, done } = await iterator.next();
+                if (done) {
+                    encodeCentralDirectory(written, offset).forEach(chunk => controller.enqueue(chunk));
+                    controller.close();
+                    return;
+                }
+                if (!value?.name || names.has(value.name)) throw new Error(`Invalid or duplicate zip entry name: ${value?.name}`);
+                names.add(value.name);
+                const encoded = await encodeEntry(value, offset);
+                encoded.chunks.forEach(chunk => controller.enqueue(chunk));
+                written.push(encoded.meta);
+                offset += encoded.length;
+            } catch (e) {
+                console.error('[zip] Failed to write archive:', e.message);
+                controller.error(e);
+            }
+        },
+        async cancel() {
+            if (typeof iterator.return === 'function') await iterator.return();
+        }
+    });
+}
@@ -0,0 +1,120 @@
+// ---------------------------------------------------
+// 文件: /functions/oidc/[[path]].js
+// 作用: 本地开发用的假 OIDC 登录服务 (见 /functions/api/fake-issuer.js), 与 Authing 的接口路径相同
+// 只有 AUTH_FAKE_ISSUER=true 且 AUTHING_ISSUER 指向本机时才生效, 否则一律 404
+// GET  /oidc/.well-known/jwks.json            签名公钥
+// GET  /oidc/.well-known/openid-configuration 服务发现
+// GET  /oidc/auth?redirect_uri=&state=         登录页面 (填写 email 和昵称), 提交后带 code 跳回 redirect_uri
+// POST /oidc/token                             grant_type=authorization_code (code) 或 password (username=email, name)
+// GET  /oidc/me                                access token 对应的用户资料
+// GET  /oidc/session/end                       退出, 跳回 post_logout_redirect_uri
+// ---------------------------------------------------
+
+import { verifyAccessToken } from '../api/auth.js';
+import {
+    decodeFakeAuthorizationCode,
+    encodeFakeAuthorizationCode,
+    fakeIssuerId,
+    getFakeIssuerJwks,
+    getFakeProfile,
+    isFakeIssuerEnabled,
+    parseFakeProfile,
+    signFakeAccessToken
+} from '../api/fake-issuer.js';
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function loginPage(url) {
+    const hidden = ['redirect_uri', 'state']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(url.searchParams.get(name))}">`)
+        .join('');
+    const html = `<!DOCTYPE html><html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Pistacho fake sign-in</title></head>`
+        + `<body style="font-family:system-ui,sans-serif;max-width:24rem;margin:4rem auto;padding:0 1rem;color:#1f2937">`
+        + `<h1 style="font-size:1.25rem">Fake sign-in (development only)</h1>`
+        + `<form method="GET" action="/oidc/auth" style="display:grid;gap:.75rem">${hidden}`
+        + `<label>Email <input name="email" type="email" required style="width:100%"></label>`
+        + `<label>Name <input name="name" style="width:100%"></label>`
+        + `<button type="submit">Sign in</button></form></body></html>`;
+    return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+async function handleAuthorize(url) {
+    const redirectUri = url.searchParams.get('redirect_uri');
+    if (!redirectUri) throw new Error('Missing redirect_uri.');
+    if (!url.searchParams.get('email')) return loginPage(url);
+    const profile = await parseFakeProfile({ email: url.searchParams.get('email'), name: url.searchParams.get('name') });
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', encodeFakeAuthorizationCode(profile));
+    if (url.searchParams.get('state')) target.searchParams.set('state', url.searchParams.get('state'));
+    return Response.redirect(target.toString(), 302);
+}
+
+async function handleToken(request, env) {
+    const form = new URLSearchParams(await request.text());
+    const grantType = form.get('grant_type');
+    let profile;
+    if (grantType === 'authorization_code') {
+        profile = await parseFakeProfile(decodeFakeAuthorizationCode(form.get('code')));
+    } else if (grantType === 'password') {
+        profile = await parseFakeProfile({ sub: form.get('sub'), email: form.get('username'), name: form.get('name') });
+    } else {
+        throw new Error('Invalid grant_type, expected authorization_code or password.');
+    }
+    const { accessToken, expiresIn } = await signFakeAccessToken(env, profile);
+    return jsonResponse({ access_token: accessToken, token_type: 'Bearer', expires_in: expiresIn, scope: 'openid profile email' });
+}
+
+async function handleUserInfo(request, env) {
+    const token = (request.headers.get('Authorization') || '').replace('Bearer ', '');
+    if (!token) throw new Error('Missing token');
+    const claims = await verifyAccessToken(env, token);
+    if (!claims) throw new Error('Invalid token (not issued by the fake issuer)');
+    const profile = getFakeProfile(claims.sub);
+    return jsonResponse({ sub: claims.sub, email: profile?.email ?? null, name: profile?.name ?? null, nickname: profile?.name ?? null });
+}
+
+export async function onRequest(context) {
+    const { request, env, params } = context;
+    if (!isFakeIssuerEnabled(env)) return new Response('Not Found', { status: 404 });
+
+    const url = new URL(request.url);
+    const path = [].concat(params.path || []).join('/');
+    try {
+        if (request.method === 'GET' && path === '.well-known/jwks.json') {
+            return jsonResponse({ keys: await getFakeIssuerJwks() });
+        }
+        if (request.method === 'GET' && path === '.well-known/openid-configuration') {
+            const issuer = fakeIssuerId(env);
+            return jsonResponse({
+                issuer,
+                authorization_endpoint: `${issuer}/auth`,
+                token_endpoint: `${issuer}/token`,
+                userinfo_endpoint: `${issuer}/me`,
+                jwks_uri: `${issuer}/.well-known/jwks.json`,
+                end_session_endpoint: `${issuer}/session/end`,
+                id_token_signing_alg_values_supported: ['RS256']
+            });
+        }
+        if (request.method === 'GET' && path === 'auth') return await handleAuthorize(url);
+        if (request.method === 'POST' && path === 'token') return await handleToken(request, env);
+        if (request.method === 'GET' && path === 'me') return await handleUserInfo(request, env);
+        if (request.method === 'GET' && path === 'session/end') {
+            return Response.redirect(url.searchParams.get('post_logout_redirect_uri') || url.origin, 302);
+        }
+        return new Response('Not Found', { status: 404 });
+    } catch (e) {
+        console.error('[fake issuer] Error:', e.message);
+        const statusCode = e.message.includes('token') ? 401 : 400;
+        return jsonResponse({ error: e.message }, statusCode);
+    }
+}
@@ -26,12 +26,6 @@ function removeSessionStorage(key) {
     }
 }
 
-function dispatchUnreadStatus(hasUnread) {
-    document.dispatchEvent(new CustomEvent('comments:unread-changed', {
-        detail: { hasUnread: !!hasUnread }
-    }));
-}
-
 function parseHtml(html) {
     const template = document.createElement('template');
     template.innerHTML = html.trim();
@@ -60,47 +54,75 @@ function applyLinkState(link, isActive) {
     }
 }
 
-function getStoredUserRole() {
+function getStoredUser() {
     const rawUserInfo = readSessionStorage('userInfo');
     if (!rawUserInfo) {
         return null;
     }
     try {
         const userInfo = JSON.parse(rawUserInfo);
-        return userInfo?.db_role || null;
+        return userInfo?.db_role ? userInfo : null;
     } catch (error) {
         console.warn('[navbar] Unable to parse stored user info:', error);
         return null;
     }
 }
 
-function applyAdminLinks(nav, userRole) {
+function applyAdminLinks(nav, user) {
     const configLink = nav.querySelector('#config-admin-link');
     const userManagementLink = nav.querySelector('#user-management-link');
+    const catalogLink = nav.querySelector('#catalog-admin-link');
+    const moderationLink = nav.querySelector('#moderation-admin-link');
 
     if (configLink) {
         configLink.classList.add('hidden');
     }
+    if (catalogLink) {
+        catalogLink.classList.add('hidden');
+    }
+    if (moderationLink) {
+        moderationLink.classList.add('hidden');
+    }
     if (userManagementLink) {
         userManagementLink.classList.add('hidden');
     }
 
-    if (!userRole) {
+    if (!user) {
         return;
     }
 
-    const isAdmin = userRole === 'admin' || userRole === 'super_admin';
-    const isSuperAdmin = userRole === 'super_admin';
+    // Each admin page needs one capability of the user's role (see functions/api/permissions.js)
+    const capabilities = Array.isArray(user.capabilities) ? user.capabilities : [];
+    const isSuperAdmin = user.db_role === 'super_admin';
 
-    if (isAdmin && configLink) {
+    if (capabilities.includes('config.edit') && configLink) {
         configLink.classList.remove('hidden');
     }
 
+    if (capabilities.includes('catalog.edit') && catalogLink) {
+        catalogLink.classList.remove('hidden');
+    }
+
+    if (capabilities.includes('comments.moderate') && moderationLink) {
+        moderationLink.classList.remove('hidden');
+    }
+
     if (isSuperAdmin && userManagementLink) {
         userManagementLink.classList.remove('hidden');
     }
 }
 
+function applyProfileLink(nav, user) {
+    const profileLink = nav.querySelector('#profile-link');
+    if (!profileLink) {
+        return;
+    }
+    profileLink.classList.toggle('hidden', !user);
+    if (user?.sub) {
+        profileLink.href = `/profile.html?id=${encodeURIComponent(user.sub)}`;
+    }
+}
+
 function setActiveLink(nav, activeTarget) {
     const links = nav.querySelectorAll('[data-nav-target]');
     links.forEach(link => {
@@ -165,94 +187,282 @@ function setupMobileToggle(nav) {
     });
 }
 
-function initializeUnreadCommentsIndicator(nav) {
-    const indicator = nav.querySelector('[data-nav-unread-indicator]');
-    if (!indicator) {
-        return;
+const NOTIFICATION_POLL_INTERVAL = 60 * 1000;   // Unread count refresh while the page is visible
+const NOTIFICATION_DROPDOWN_LIMIT = 10;
+
+// Texts come from the page's i18next instance once it is ready; the fallbacks match the default Chinese locale
+function translate(key, options, fallback) {
+    const i18n = window.i18next;
+    if (i18n && i18n.isInitialized) {
+        const value = i18n.t(key, options);
+        if (value && value !== key) {
+            return value;
+        }
     }
+    return fallback;
+}
 
-    const updateIndicator = (hasUnread) => {
-        if (hasUnread) {
-            indicator.classList.remove('hidden');
-            indicator.classList.add('inline-flex');
-            indicator.setAttribute('aria-hidden', 'false');
-        } else {
-            indicator.classList.add('hidden');
-            indicator.classList.remove('inline-flex');
-            indicator.setAttribute('aria-hidden', 'true');
+function readToken() {
+    return readSessionStorage('accessToken');
+}
+
+function describeNotification(notification) {
+    const actor = notification.actorNickname || translate('common.anonymous', {}, '匿名用户');
+    const title = notification.ratingTitle || translate('common.noTitle', {}, '无标题');
+    switch (notification.type) {
+        case 'comment':
+            return translate('notifications.types.comment', { actor, title }, `${actor} 评论了你的评分《${title}》`);
+        case 'reply':
+            return translate('notifications.types.reply', { actor, title }, `${actor} 回复了你的评论`);
+        case 'mention':
+            return translate('notifications.types.mention', { actor, title }, `${actor} 在评论中提到了你`);
+        case 'certified':
+            return translate('notifications.types.certified', { title }, `你的评分《${title}》已被认证`);
+        case 'pinned':
+            return translate('notifications.types.pinned', { title }, `你的评分《${title}》已被置顶`);
+        case 'role_changed': {
+            const role = notification.data?.newRole || '';
+            const roleLabel = translate(`roles.${role}`, {}, role);
+            return translate('notifications.types.role_changed', { role: roleLabel }, `你的角色已变更为 ${roleLabel}`);
         }
-    };
+        case 'contact_reply':
+            return translate('notifications.types.contact_reply', {}, '管理员回复了你的留言');
+        default:
+            return notification.type;
+    }
+}
 
-    const stored = readSessionStorage('hasUnreadComments');
-    if (stored !== null) {
-        updateIndicator(stored === 'true');
-    } else {
-        indicator.setAttribute('aria-hidden', 'true');
+function notificationLink(notification) {
+    if (notification.ratingId && ['comment', 'reply', 'mention', 'certified', 'pinned'].includes(notification.type)) {
+        return `/results.html?ratingId=${encodeURIComponent(notification.ratingId)}`;
+    }
+    if (notification.type === 'contact_reply') {
+        return '/contact.html';
     }
+    return null;
+}
 
-    document.addEventListener('comments:unread-changed', event => {
-        const hasUnread = !!(event?.detail && event.detail.hasUnread);
-        writeSessionStorage('hasUnreadComments', hasUnread ? 'true' : 'false');
-        updateIndicator(hasUnread);
-    });
+function formatNotificationTime(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
 
-    checkUnreadComments(updateIndicator).catch(error => {
-        console.warn('[navbar] Failed to check unread comments:', error);
+async function requestNotifications(path, options = {}) {
+    const token = readToken();
+    if (!token) {
+        return null;
+    }
+    const response = await fetch(new URL(path, window.location.origin), {
+        ...options,
+        headers: { 'Authorization': `Bearer ${token}`, ...(options.body ? { 'Content-Type': 'application/json' } : {}) },
+        cache: 'no-store'
     });
+    if (response.status === 401) {
+        removeSessionStorage('accessToken');
+        removeSessionStorage('userInfo');
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
 }
 
-async function checkUnreadComments(updateIndicator) {
-    let token;
-    const previousRaw = readSessionStorage('hasUnreadComments');
-    const previousStatus = previousRaw === 'true';
-    try {
-        token = sessionStorage.getItem('accessToken');
-    } catch (error) {
-        console.warn('[navbar] Unable to access sessionStorage for token:', error);
-        token = null;
+function initializeNotificationCenter(nav) {
+    const container = nav.querySelector('#notification-center');
+    const toggle = nav.querySelector('#notification-toggle');
+    const panel = nav.querySelector('#notification-panel');
+    const list = nav.querySelector('#notification-list');
+    const empty = nav.querySelector('#notification-empty');
+    const badge = nav.querySelector('[data-notification-count]');
+    const markAllButton = nav.querySelector('#notification-mark-all');
+    if (!container || !toggle || !panel || !list || !badge) {
+        return;
     }
 
-    if (!token) {
-        writeSessionStorage('hasUnreadComments', 'false');
-        updateIndicator(false);
-        if (previousStatus) {
-            dispatchUnreadStatus(false);
+    let unreadCount = 0;
+    let isOpen = false;
+    let loadedNotifications = null;
+
+    const renderCount = (count) => {
+        unreadCount = Math.max(0, count || 0);
+        badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+        badge.classList.toggle('hidden', unreadCount === 0);
+        toggle.setAttribute('aria-label', translate('notifications.title', {}, '通知') + (unreadCount ? ` (${unreadCount})` : ''));
+        if (markAllButton) {
+            markAllButton.disabled = unreadCount === 0;
         }
-        return;
-    }
+        document.dispatchEvent(new CustomEvent('notifications:unread-changed', { detail: { unreadCount } }));
+    };
 
-    try {
-        const apiUrl = new URL('/api/comments', window.location.origin);
-        apiUrl.searchParams.set('owned', 'true');
-        const response = await fetch(apiUrl, {
-            headers: { 'Authorization': `Bearer ${token}` },
-            cache: 'no-store'
-        });
+    const setVisible = () => {
+        const signedIn = !!readToken();
+        container.classList.toggle('hidden', !signedIn);
+        if (!signedIn) {
+            closePanel();
+        }
+        return signedIn;
+    };
 
-        if (!response.ok) {
-            if (response.status === 401) {
-                removeSessionStorage('accessToken');
-                removeSessionStorage('userInfo');
-                writeSessionStorage('hasUnreadComments', 'false');
-                updateIndicator(false);
-                if (previousStatus) {
-                    dispatchUnreadStatus(false);
+    const refreshCount = async () => {
+        if (!setVisible()) {
+            return;
+        }
+        try {
+            const data = await requestNotifications('/api/user-notifications?countOnly=true');
+            if (!data) {
+                setVisible();
+                return;
+            }
+            renderCount(data.unreadCount);
+        } catch (error) {
+            console.warn('[navbar] Unable to check notifications:', error);
+        }
+    };
+
+    const markRead = async (ids) => {
+        try {
+            const data = await requestNotifications('/api/user-notifications', {
+                method: 'POST',
+                body: JSON.stringify(ids ? { action: 'markRead', ids } : { action: 'markAllRead' })
+            });
+            if (data) {
+                renderCount(data.unreadCount);
+            }
+        } catch (error) {
+            console.warn('[navbar] Unable to mark notifications read:', error);
+        }
+    };
+
+    const renderList = (notifications) => {
+        list.innerHTML = '';
+        if (empty) {
+            empty.textContent = translate('notifications.empty', {}, '暂时没有通知');
+            empty.classList.toggle('hidden', notifications.length > 0);
+        }
+        notifications.forEach(notification => {
+            const item = document.createElement('li');
+            const link = notificationLink(notification);
+            const entry = document.createElement(link ? 'a' : 'div');
+            if (link) {
+                entry.href = link;
+            }
+            entry.className = `block px-4 py-3 text-sm transition hover:bg-slate-50 ${notification.isRead ? 'text-slate-500' : 'bg-indigo-50/60 text-slate-700'}`;
+
+            const text = document.createElement('p');
+            text.className = notification.isRead ? '' : 'font-medium';
+            text.textContent = describeNotification(notification);
+            entry.appendChild(text);
+
+            if (notification.data?.excerpt) {
+                const quote = document.createElement('p');
+                quote.className = 'mt-1 line-clamp-2 text-xs text-slate-500';
+                quote.textContent = notification.data.excerpt;
+                entry.appendChild(quote);
+            }
+
+            const time = document.createElement('p');
+            time.className = 'mt-1 text-[11px] text-slate-400';
+            time.textContent = formatNotificationTime(notification.createdAt);
+            entry.appendChild(time);
+
+            entry.addEventListener('click', async (event) => {
+                if (notification.isRead) {
+                    return;
+                }
+                // Mark read before leaving the page so the count is right on the next one
+                event.preventDefault();
+                await markRead([notification.id]);
+                if (link) {
+                    window.location.href = link;
+                } else {
+                    notification.isRead = true;
+                    renderList(notifications);
                 }
+            });
+            item.appendChild(entry);
+            list.appendChild(item);
+        });
+    };
+
+    const loadList = async () => {
+        list.innerHTML = '';
+        if (empty) {
+            empty.textContent = translate('common.loading', {}, '加载中...');
+            empty.classList.remove('hidden');
+        }
+        try {
+            const data = await requestNotifications(`/api/user-notifications?limit=${NOTIFICATION_DROPDOWN_LIMIT}`);
+            if (!data) {
+                setVisible();
                 return;
             }
-            throw new Error(`HTTP ${response.status}`);
+            renderCount(data.unreadCount);
+            loadedNotifications = Array.isArray(data.notifications) ? data.notifications : [];
+            renderList(loadedNotifications);
+        } catch (error) {
+            console.warn('[navbar] Unable to load notifications:', error);
+            if (empty) {
+                empty.textContent = translate('notifications.loadFailed', {}, '通知加载失败');
+            }
         }
+    };
+
+    function closePanel() {
+        isOpen = false;
+        panel.classList.add('hidden');
+        toggle.setAttribute('aria-expanded', 'false');
+    }
 
-        const data = await response.json();
-        const hasUnread = !!data.hasUnread;
-        writeSessionStorage('hasUnreadComments', hasUnread ? 'true' : 'false');
-        updateIndicator(hasUnread);
-        if (previousStatus !== hasUnread) {
-            dispatchUnreadStatus(hasUnread);
+    toggle.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (isOpen) {
+            closePanel();
+            return;
         }
-    } catch (error) {
-        console.warn('[navbar] Unable to check unread comments:', error);
+        isOpen = true;
+        panel.classList.remove('hidden');
+        toggle.setAttribute('aria-expanded', 'true');
+        loadList();
+    });
+    panel.addEventListener('click', event => event.stopPropagation());
+    document.addEventListener('click', () => {
+        if (isOpen) {
+            closePanel();
+        }
+    });
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && isOpen) {
+            closePanel();
+        }
+    });
+    if (markAllButton) {
+        markAllButton.addEventListener('click', async () => {
+            await markRead(null);
+            loadList();
+        });
+    }
+
+    // history.html marks incoming comments read; the matching notifications are read too
+    document.addEventListener('comments:unread-changed', () => {
+        refreshCount();
+    });
+
+    if (window.i18next && typeof window.i18next.on === 'function') {
+        window.i18next.on('languageChanged', () => {
+            renderCount(unreadCount);
+            if (isOpen && loadedNotifications) {
+                renderList(loadedNotifications);
+            }
+        });
     }
+
+    refreshCount();
+    setInterval(() => {
+        if (document.visibilityState === 'visible') {
+            refreshCount();
+        }
+    }, NOTIFICATION_POLL_INTERVAL);
 }
 
 async function fetchNavbarHtml() {
@@ -292,9 +502,10 @@ async function insertNavbars() {
 
         setActiveLink(nav, activeTarget);
         configureLanguageControls(nav, languageMode);
-        applyAdminLinks(nav, getStoredUserRole());
+        applyAdminLinks(nav, getStoredUser());
+        applyProfileLink(nav, getStoredUser());
         setupMobileToggle(nav);
-        initializeUnreadCommentsIndicator(nav);
+        initializeNotificationCenter(nav);
 
         placeholder.replaceWith(nav);
     });